@@ -23,6 +23,19 @@ export default [
 
     }
   },
+  {
+    files: ["src/**/*.test.js", "src/setupTests.js", "src/testUtils.js"],
+    languageOptions: {
+      globals: {
+        jest: true,
+        describe: true,
+        beforeAll: true,
+        beforeEach: true,
+        afterAll: true,
+        afterEach: true
+      }
+    }
+  },
   pluginJs.configs.recommended,
   {
     plugins: { react: pluginReact },
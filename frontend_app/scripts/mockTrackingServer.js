@@ -0,0 +1,89 @@
+// Local mock of the order-tracking WebSocket server.
+//
+// Used by the tests, and runnable for manual checks:
+//   npm run mock:ws            (listens on ws://localhost:4001)
+//   REACT_APP_WS_URL=ws://localhost:4001 npm start
+// When run directly, every subscribed order is walked through the normal status timeline.
+
+const WebSocket = require("ws");
+
+const TIMELINE = [
+  { status: "Confirmed", progress: 5, etaMinutes: 35 },
+  { status: "Preparing", progress: 30, etaMinutes: 28 },
+  { status: "Out for delivery", progress: 70, etaMinutes: 12 },
+  { status: "Delivered", progress: 100, etaMinutes: 0 },
+];
+
+// PUBLIC_INTERFACE
+function startMockTrackingServer({ port = 0, autoAdvanceMs = 0 } = {}) {
+  const wss = new WebSocket.Server({ port });
+  const subscribers = new Map(); // orderId -> Set<socket>
+  const timers = new Set();
+  const subscribeWaiters = [];
+
+  function push(orderId, update) {
+    const sockets = subscribers.get(String(orderId));
+    if (!sockets) return 0;
+    const frame = JSON.stringify({ type: "order.update", orderId, ...update });
+    sockets.forEach((ws) => ws.readyState === WebSocket.OPEN && ws.send(frame));
+    return sockets.size;
+  }
+
+  function autoAdvance(orderId) {
+    TIMELINE.forEach((step, i) => {
+      const t = setTimeout(() => {
+        timers.delete(t);
+        push(orderId, step);
+      }, i * autoAdvanceMs);
+      timers.add(t);
+    });
+  }
+
+  wss.on("connection", (ws) => {
+    ws.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(String(raw));
+      } catch {
+        return;
+      }
+      if (!msg || msg.type !== "subscribe" || msg.orderId == null) return;
+
+      const id = String(msg.orderId);
+      if (!subscribers.has(id)) subscribers.set(id, new Set());
+      subscribers.get(id).add(ws);
+      ws.on("close", () => subscribers.get(id) && subscribers.get(id).delete(ws));
+
+      subscribeWaiters.splice(0).forEach((resolve) => resolve(id));
+      if (autoAdvanceMs > 0) autoAdvance(id);
+    });
+  });
+
+  return new Promise((resolve) => {
+    wss.on("listening", () => {
+      resolve({
+        url: `ws://127.0.0.1:${wss.address().port}`,
+        push,
+        // Resolves with the order id of the next subscription.
+        nextSubscription: () => new Promise((r) => subscribeWaiters.push(r)),
+        // Drops every open connection (without stopping the server) to exercise reconnects.
+        dropConnections: () => wss.clients.forEach((ws) => ws.terminate()),
+        close: () =>
+          new Promise((r) => {
+            timers.forEach(clearTimeout);
+            wss.clients.forEach((ws) => ws.terminate());
+            wss.close(() => r());
+          }),
+      });
+    });
+  });
+}
+
+module.exports = { startMockTrackingServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4001;
+  startMockTrackingServer({ port, autoAdvanceMs: 15_000 }).then(({ url }) => {
+    console.log(`Mock tracking server listening on ${url.replace("127.0.0.1", "localhost")}`);
+  });
+}
@@ -0,0 +1,235 @@
+import React, { useEffect, useState } from "react";
+import { formatAddress } from "./address";
+import { validateCredentials } from "./accounts";
+
+const PAYMENT_OPTIONS = [
+  { id: "card", label: "Card" },
+  { id: "cash", label: "Cash on delivery" },
+];
+
+function SignInForm({ demo, onSignIn }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitted, setSubmitted] = useState(false);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const errors = submitted ? validateCredentials({ email, password }) : {};
+
+  async function submit(e) {
+    e.preventDefault();
+    setSubmitted(true);
+    if (busy || Object.keys(validateCredentials({ email, password })).length > 0) return;
+    setBusy(true);
+    setError(await onSignIn({ email: email.trim(), password }));
+    setBusy(false);
+  }
+
+  return (
+    <form className="modal__content formGrid" onSubmit={submit} noValidate>
+      <div className="field field--full">
+        <label className="label" htmlFor="account-email">
+          Email
+        </label>
+        <input
+          id="account-email"
+          className={`input ${errors.email ? "input--invalid" : ""}`}
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoComplete="email"
+          autoFocus
+        />
+        {errors.email ? (
+          <div className="fieldError" role="alert">
+            {errors.email}
+          </div>
+        ) : null}
+      </div>
+      <div className="field field--full">
+        <label className="label" htmlFor="account-password">
+          Password
+        </label>
+        <input
+          id="account-password"
+          className={`input ${errors.password ? "input--invalid" : ""}`}
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+        />
+        {errors.password ? (
+          <div className="fieldError" role="alert">
+            {errors.password}
+          </div>
+        ) : null}
+      </div>
+      {error ? (
+        <div className="field field--full menuNotice menuNotice--error" role="alert">
+          {error}
+        </div>
+      ) : null}
+      {demo ? (
+        <p className="smallNote field--full">
+          Demo mode: any email with a password of 6 or more characters signs you in. Your profile stays in this browser.
+        </p>
+      ) : null}
+      <div className="checkout__actions field--full">
+        <button className="btn btn-primary" type="submit" disabled={busy}>
+          {busy ? "Signing in…" : "Sign in"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function ProfileForm({ profile, onSave, onSignOut }) {
+  const [name, setName] = useState(profile.name);
+  const [phone, setPhone] = useState(profile.phone);
+  const [paymentMethod, setPaymentMethod] = useState(profile.paymentMethod);
+  const [status, setStatus] = useState(null); // { error, message }
+  const [busy, setBusy] = useState(false);
+
+  async function save(changes) {
+    setBusy(true);
+    const error = await onSave(changes);
+    setStatus({ error: Boolean(error), message: error || "Profile saved." });
+    setBusy(false);
+  }
+
+  return (
+    <form
+      className="modal__content formGrid"
+      onSubmit={(e) => {
+        e.preventDefault();
+        save({ name: name.trim(), phone: phone.trim(), paymentMethod });
+      }}
+    >
+      <div className="field">
+        <label className="label" htmlFor="profile-name">
+          Name
+        </label>
+        <input
+          id="profile-name"
+          className="input"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          autoComplete="name"
+        />
+      </div>
+      <div className="field">
+        <label className="label" htmlFor="profile-phone">
+          Phone
+        </label>
+        <input
+          id="profile-phone"
+          className="input"
+          type="tel"
+          value={phone}
+          onChange={(e) => setPhone(e.target.value)}
+          autoComplete="tel"
+        />
+      </div>
+      <div className="field field--full">
+        <label className="label" htmlFor="profile-payment">
+          Preferred payment
+        </label>
+        <select
+          id="profile-payment"
+          className="input"
+          value={paymentMethod}
+          onChange={(e) => setPaymentMethod(e.target.value)}
+        >
+          {PAYMENT_OPTIONS.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="field field--full">
+        <div className="label">Saved addresses</div>
+        {profile.addresses.length === 0 ? (
+          <p className="smallNote">Use “Save this address” at checkout to keep an address on your profile.</p>
+        ) : (
+          <ul className="profileAddresses">
+            {profile.addresses.map((a) => (
+              <li key={a.id}>
+                <span>{formatAddress(a)}</span>
+                <button
+                  className="linkDanger"
+                  type="button"
+                  disabled={busy}
+                  onClick={() => save({ addresses: profile.addresses.filter((b) => b.id !== a.id) })}
+                  aria-label={`Forget ${a.label}`}
+                >
+                  Forget
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {status ? (
+        <div
+          className={`field field--full menuNotice ${status.error ? "menuNotice--error" : ""}`}
+          role={status.error ? "alert" : "status"}
+        >
+          {status.message}
+        </div>
+      ) : null}
+      <div className="checkout__actions field--full">
+        <button className="btn btn-ghost" type="button" onClick={onSignOut}>
+          Sign out
+        </button>
+        <button className="btn btn-primary" type="submit" disabled={busy}>
+          Save profile
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Sign-in form when signed out; the profile editor when signed in.
+// PUBLIC_INTERFACE
+function AccountDialog({ session, demo, onClose, onSignIn, onSignOut, onSaveProfile }) {
+  // Accessibility: close with Escape
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === "Escape") onClose();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="modalOverlay">
+      <button
+        className="modalOverlay__clickCatcher"
+        onClick={onClose}
+        type="button"
+        aria-label="Close account overlay"
+      />
+      <div className="modal" role="dialog" aria-modal="true" aria-label="Account">
+        <div className="drawer__header">
+          <div>
+            <div className="drawer__title">{session ? "Your profile" : "Sign in"}</div>
+            <div className="drawer__subtitle">
+              {session ? session.profile.email : "Save your details and see your orders on any visit."}
+            </div>
+          </div>
+          <button className="iconBtn" onClick={onClose} type="button" aria-label="Close account">
+            ×
+          </button>
+        </div>
+
+        {session ? (
+          <ProfileForm profile={session.profile} onSave={onSaveProfile} onSignOut={onSignOut} />
+        ) : (
+          <SignInForm demo={demo} onSignIn={onSignIn} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AccountDialog;
@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import { ADDRESS_LIMITS, EMPTY_ADDRESS, findSavedAddress, formatAddress, validateAddress } from "./address";
+
+const FIELDS = [
+  { key: "street", label: "Street address", placeholder: "123 Ocean Ave", autoComplete: "address-line1" },
+  { key: "unit", label: "Apt / unit (optional)", placeholder: "Suite 4B", autoComplete: "address-line2" },
+  { key: "city", label: "City", placeholder: "Seaside", autoComplete: "address-level2" },
+  { key: "postalCode", label: "ZIP code", placeholder: "94107", autoComplete: "postal-code", inputMode: "numeric" },
+];
+
+// Structured delivery address with inline validation and the saved-address book.
+// Errors show once a field has been visited, so an untouched form is not covered in red.
+// PUBLIC_INTERFACE
+function AddressFields({ address, onChange, savedAddresses, onSave, onDeleteSaved }) {
+  const [touched, setTouched] = useState({});
+  const errors = validateAddress(address);
+  const saved = findSavedAddress(savedAddresses, address);
+  const canSave = Object.keys(errors).length === 0 && !saved;
+
+  function update(key, value) {
+    onChange({ ...address, [key]: value });
+  }
+
+  function errorFor(key) {
+    return touched[key] && errors[key] ? (
+      <div className="fieldError" id={`address-${key}-error`} role="alert">
+        {errors[key]}
+      </div>
+    ) : null;
+  }
+
+  return (
+    <>
+      {savedAddresses.length > 0 ? (
+        <div className="field field--full">
+          <label className="label" htmlFor="savedAddress">
+            Saved addresses
+          </label>
+          <div className="savedAddresses">
+            <select
+              id="savedAddress"
+              className="input"
+              value={saved ? saved.id : ""}
+              onChange={(e) => {
+                const picked = savedAddresses.find((b) => b.id === e.target.value);
+                onChange(picked ? { ...EMPTY_ADDRESS, ...picked } : { ...EMPTY_ADDRESS });
+              }}
+            >
+              <option value="">New address…</option>
+              {savedAddresses.map((b) => (
+                <option key={b.id} value={b.id}>
+                  {b.label} — {formatAddress(b)}
+                </option>
+              ))}
+            </select>
+            {saved ? (
+              <button
+                className="linkDanger"
+                type="button"
+                onClick={() => onDeleteSaved(saved.id)}
+                aria-label={`Forget ${saved.label}`}
+              >
+                Forget
+              </button>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+
+      {FIELDS.map((f) => (
+        <div key={f.key} className="field">
+          <label className="label" htmlFor={`address-${f.key}`}>
+            {f.label}
+          </label>
+          <input
+            id={`address-${f.key}`}
+            className={`input ${touched[f.key] && errors[f.key] ? "input--invalid" : ""}`}
+            value={address[f.key]}
+            onChange={(e) => update(f.key, e.target.value)}
+            onBlur={() => setTouched((prev) => ({ ...prev, [f.key]: true }))}
+            placeholder={f.placeholder}
+            autoComplete={f.autoComplete}
+            inputMode={f.inputMode}
+            maxLength={ADDRESS_LIMITS[f.key]}
+            aria-invalid={touched[f.key] && errors[f.key] ? "true" : "false"}
+            aria-describedby={touched[f.key] && errors[f.key] ? `address-${f.key}-error` : undefined}
+          />
+          {errorFor(f.key)}
+        </div>
+      ))}
+
+      <div className="field field--full">
+        <label className="label" htmlFor="address-instructions">
+          Delivery instructions (optional)
+        </label>
+        <textarea
+          id="address-instructions"
+          className="textarea"
+          value={address.instructions}
+          onChange={(e) => update("instructions", e.target.value)}
+          placeholder="Gate code, leave at the door, call on arrival…"
+          maxLength={ADDRESS_LIMITS.instructions}
+          rows={2}
+        />
+        {canSave ? (
+          <button className="btn btn-ghost saveAddressBtn" type="button" onClick={() => onSave(address)}>
+            Save this address
+          </button>
+        ) : null}
+      </div>
+    </>
+  );
+}
+
+export default AddressFields;
@@ -1,5 +1,60 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
 import "./App.css";
+import AccountDialog from "./AccountDialog";
+import CartDrawer from "./CartDrawer";
+import Checkout from "./Checkout";
+import DietaryFilters from "./DietaryFilters";
+import ItemDetailDialog from "./ItemDetailDialog";
+import ItemOptionsDialog from "./ItemOptionsDialog";
+import MenuGrid from "./MenuGrid";
+import OrderHistoryDialog from "./OrderHistoryDialog";
+import PaymentChallengeDialog from "./PaymentChallengeDialog";
+import Tracking from "./Tracking";
+import { createApiAccounts, createLocalAccounts, readSession } from "./accounts";
+import { normalizeAddress, saveAddress, validateAddress } from "./address";
+import { cartDietConflicts, matchesDietFilter, normalizeDietFilter } from "./dietary";
+import { buildReorder, historyForCustomer, upsertHistory } from "./orderHistory";
+import { frequentlyAddedTogether, similarItems } from "./recommendations";
+import { MENU_ROUTE, scrollIntoView, useRoute } from "./routes";
+import { menuUrlSearch, readMenuUrlState, searchMenu } from "./search";
+import { deliveryMins, kitchenMins, leadMins } from "./eta";
+import { availableSlots } from "./scheduling";
+import { DELIVERY_ZONES, findZone, minimumShortfall, normalizeZones } from "./deliveryZones";
+import { evaluatePromo } from "./promotions";
+import { hasOptions } from "./itemOptions";
+import { safeParseJson } from "./json";
+import { normalizeMenu, orderedCategories } from "./menu";
+import { LOCAL_CATALOG_KEY, localCatalog, writeLocalCatalog } from "./menuAdminModel";
+import { createApiClient } from "./apiClient";
+import { createMockApi } from "./mockApi";
+import { TRACKED_ORDERS_KEY } from "./kitchen";
+import {
+  cartActions,
+  CART_KEY,
+  checkoutActions,
+  initialStoreState,
+  LEGACY_ORDER_KEY,
+  MENU_CACHE_KEY,
+  MENU_CATEGORIES_KEY,
+  menuActions,
+  orderActions,
+  selectActiveOrderCount,
+  selectCanPlaceOrder,
+  selectCartCount,
+  selectCartFees,
+  selectCartSubtotal,
+  selectCartTip,
+  selectCartTotal,
+  selectOrder,
+  selectOrderableMenu,
+  selectUnavailableLines,
+  selectVisibleMenu,
+  storeReducer,
+  TIP_PREF_KEY,
+} from "./store";
+import { useOrderPlacement } from "./useOrderPlacement";
+import { useOrderTracking } from "./useOrderTracking";
+import { useSession } from "./useSession";
 
 const OCEAN_THEME = {
   primary: "#2563EB",
@@ -9,131 +64,92 @@ const OCEAN_THEME = {
   text: "#111827",
 };
 
-// A small, pleasant set of sample foods to keep the app functional without a backend.
-const SAMPLE_MENU = [
-  {
-    id: "classic-burger",
-    name: "Classic Burger",
-    description: "Beef patty, cheddar, lettuce, tomato, house sauce.",
-    price: 11.99,
-    tags: ["Burgers"],
-    prepMins: 18,
-  },
-  {
-    id: "crispy-chicken-sandwich",
-    name: "Crispy Chicken Sandwich",
-    description: "Crispy chicken, slaw, pickles, spicy mayo.",
-    price: 12.49,
-    tags: ["Sandwiches", "Spicy"],
-    prepMins: 16,
-  },
-  {
-    id: "margherita-pizza",
-    name: "Margherita Pizza",
-    description: "San Marzano tomato, mozzarella, basil, olive oil.",
-    price: 14.5,
-    tags: ["Pizza", "Vegetarian"],
-    prepMins: 22,
-  },
-  {
-    id: "bbq-chicken-pizza",
-    name: "BBQ Chicken Pizza",
-    description: "Smoky BBQ sauce, chicken, red onion, cilantro.",
-    price: 15.75,
-    tags: ["Pizza"],
-    prepMins: 24,
-  },
-  {
-    id: "salmon-bowl",
-    name: "Salmon Power Bowl",
-    description: "Seared salmon, quinoa, avocado, greens, citrus vinaigrette.",
-    price: 13.95,
-    tags: ["Bowls", "Gluten-Free"],
-    prepMins: 15,
-  },
-  {
-    id: "veggie-bowl",
-    name: "Rainbow Veggie Bowl",
-    description: "Roasted veg, chickpeas, brown rice, tahini drizzle.",
-    price: 12.25,
-    tags: ["Bowls", "Vegan"],
-    prepMins: 14,
-  },
-  {
-    id: "caesar-salad",
-    name: "Caesar Salad",
-    description: "Romaine, parmesan, croutons, classic Caesar dressing.",
-    price: 9.5,
-    tags: ["Salads"],
-    prepMins: 10,
-  },
-  {
-    id: "fries",
-    name: "Sea-Salt Fries",
-    description: "Crispy fries with sea salt. Add aioli on checkout.",
-    price: 4.25,
-    tags: ["Sides"],
-    prepMins: 8,
-  },
-  {
-    id: "cold-brew",
-    name: "Cold Brew",
-    description: "Smooth, bold cold brew with optional oat milk.",
-    price: 4.95,
-    tags: ["Drinks"],
-    prepMins: 3,
-  },
-];
-
-function formatMoney(amount) {
-  return new Intl.NumberFormat(undefined, { style: "currency", currency: "USD" }).format(amount);
-}
-
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
+const ORDER_HISTORY_KEY = "food_order_history_v1";
+const SAVED_ADDRESSES_KEY = "food_order_saved_addresses_v1";
+const DIET_PROFILE_KEY = "food_order_diet_profile_v1";
 
-function safeParseJson(maybeJson, fallback) {
-  try {
-    const parsed = JSON.parse(maybeJson);
-    return parsed ?? fallback;
-  } catch {
-    return fallback;
-  }
+// Serves this browser's demo catalog, read on every GET /menu so menu admin edits show up.
+function createDemoMockApi() {
+  return createMockApi({ catalogStore: { read: localCatalog, write: writeLocalCatalog }, latencyMs: 250 });
 }
 
 // PUBLIC_INTERFACE
 function App() {
   const [theme, setTheme] = useState("light");
-  const [cartOpen, setCartOpen] = useState(false);
+  // The cart drawer, item details and the selected order follow the route, so they survive a refresh and
+  // work with back and forward.
+  const [route, navigate] = useRoute();
+  const cartOpen = route.name === "cart" || route.name === "checkout";
+
+  // Search, category, dietary filter and sort start from the address bar so a filtered menu can be shared.
+  const [initialUrlState] = useState(() => readMenuUrlState());
+  const [query, setQuery] = useState(initialUrlState.query);
+  const [activeTag, setActiveTag] = useState(initialUrlState.category);
+  const [sortBy, setSortBy] = useState(initialUrlState.sort);
+  const [similarToId, setSimilarToId] = useState(null); // item whose "You might also like" row is open
+
+  // REACT_APP_API_MOCK=true runs backend mode against the in-browser mock API.
+  const useMockApi = process.env.REACT_APP_API_MOCK === "true";
+  const apiBase =
+    process.env.REACT_APP_API_BASE || process.env.REACT_APP_BACKEND_URL || (useMockApi ? "mock://api" : "");
 
-  const [query, setQuery] = useState("");
-  const [activeTag, setActiveTag] = useState("All");
+  // Cart, tracked orders, menu and the checkout form live in the store (see store.js). The effects below
+  // persist them; useOrderTracking and useOrderPlacement feed them what the backend, sockets and kitchen report.
+  const [store, dispatch] = useReducer(storeReducer, apiBase, initialStoreState);
+  const { cartItems, reorderWarnings, trackedOrders, menu, categoryOrder, menuStatus, menuError, checkout } = store;
+  const isPickup = checkout.fulfillment === "pickup";
 
-  const [cartItems, setCartItems] = useState(() => {
-    const saved = window.localStorage.getItem("food_order_cart_v1");
-    return saved ? safeParseJson(saved, []) : [];
-  });
+  const [optionsItem, setOptionsItem] = useState(null); // menu item whose option picker is open
 
-  const [order, setOrder] = useState(() => {
-    const saved = window.localStorage.getItem("food_order_last_order_v1");
-    return saved ? safeParseJson(saved, null) : null;
-  });
+  // Every placed order stays on the tracking panel until cleared; one is shown in detail.
+  const order = selectOrder(store);
+  const activeOrderCount = selectActiveOrderCount(trackedOrders);
+
+  const [orderHistory, setOrderHistory] = useState(() =>
+    trackedOrders.reduce(upsertHistory, safeParseJson(window.localStorage.getItem(ORDER_HISTORY_KEY), []))
+  );
+  const [historyOpen, setHistoryOpen] = useState(false);
+
+  const api = useMemo(
+    () =>
+      apiBase
+        ? createApiClient({
+            baseUrl: apiBase,
+            // The session useSession keeps in this browser.
+            getToken: () => {
+              const current = readSession();
+              return current ? current.token : null;
+            },
+            fetchImpl: useMockApi ? createDemoMockApi().fetch : undefined,
+          })
+        : null,
+    [apiBase, useMockApi]
+  );
+  // Accounts go through the backend's auth endpoints, or stay in this browser in demo mode.
+  const accounts = useMemo(() => (api ? createApiAccounts(api) : createLocalAccounts()), [api]);
+  const { session, customerId, signIn, signOut, saveProfile } = useSession({ accounts, dispatch });
+  const [accountOpen, setAccountOpen] = useState(false);
+
+  // Dietary profile: on the account when signed in, in this browser otherwise. It seeds the menu's
+  // dietary filter whenever it changes, and checkout warns about cart items that clash with it.
+  const [guestDietProfile, setGuestDietProfile] = useState(() =>
+    normalizeDietFilter(safeParseJson(window.localStorage.getItem(DIET_PROFILE_KEY), null))
+  );
+  const dietProfile = session ? session.profile.dietary : guestDietProfile;
+  const [dietFilter, setDietFilter] = useState(() =>
+    initialUrlState.diet ? normalizeDietFilter(initialUrlState.diet) : dietProfile
+  );
+  const [dietNotice, setDietNotice] = useState("");
 
-  // checkout fields
-  const [customerName, setCustomerName] = useState("");
-  const [deliveryAddress, setDeliveryAddress] = useState("");
-  const [notes, setNotes] = useState("");
-  const [paymentMethod, setPaymentMethod] = useState("card");
-  const [isPlacingOrder, setIsPlacingOrder] = useState(false);
+  // Guests' address book; signed-in customers keep theirs on the profile.
+  const [savedAddresses, setSavedAddresses] = useState(() =>
+    safeParseJson(window.localStorage.getItem(SAVED_ADDRESSES_KEY), [])
+  );
 
-  const progressTimerRef = useRef(null);
+  const wsUrl = process.env.REACT_APP_WS_URL || ""; // real-time tracking; local simulation when unset
+  const zonesConfig = process.env.REACT_APP_DELIVERY_ZONES || ""; // JSON zone list; built-in zones when unset
 
-  const apiBase =
-    process.env.REACT_APP_API_BASE ||
-    process.env.REACT_APP_BACKEND_URL ||
-    ""; // future backend integration
-  const wsUrl = process.env.REACT_APP_WS_URL || ""; // future real-time tracking
+  const [menuReloadKey, setMenuReloadKey] = useState(0);
 
   // Apply theme to document
   useEffect(() => {
@@ -142,90 +158,196 @@ function App() {
 
   // Persist cart & order
   useEffect(() => {
-    window.localStorage.setItem("food_order_cart_v1", JSON.stringify(cartItems));
+    window.localStorage.setItem(CART_KEY, JSON.stringify(cartItems));
   }, [cartItems]);
 
   useEffect(() => {
-    window.localStorage.setItem("food_order_last_order_v1", JSON.stringify(order));
-  }, [order]);
+    window.localStorage.setItem(TRACKED_ORDERS_KEY, JSON.stringify(trackedOrders));
+    window.localStorage.removeItem(LEGACY_ORDER_KEY);
+  }, [trackedOrders]);
 
-  // Drive a simple “tracking” simulation on the client (no backend required).
   useEffect(() => {
-    if (!order || order.status === "Delivered" || order.status === "Cancelled") {
-      if (progressTimerRef.current) window.clearInterval(progressTimerRef.current);
-      progressTimerRef.current = null;
-      return;
+    window.localStorage.setItem(TIP_PREF_KEY, JSON.stringify(checkout.tipChoice));
+  }, [checkout.tipChoice]);
+
+  useEffect(() => {
+    window.localStorage.setItem(SAVED_ADDRESSES_KEY, JSON.stringify(savedAddresses));
+  }, [savedAddresses]);
+
+  useEffect(() => {
+    window.localStorage.setItem(DIET_PROFILE_KEY, JSON.stringify(guestDietProfile));
+  }, [guestDietProfile]);
+
+  // A profile that changes later (sign in, save) replaces the filter; the one present on load only
+  // seeds it, so a filter from a shared link survives.
+  const dietProfileKey = JSON.stringify(dietProfile);
+  const appliedDietProfileRef = useRef(dietProfileKey);
+  useEffect(() => {
+    if (appliedDietProfileRef.current === dietProfileKey) return;
+    appliedDietProfileRef.current = dietProfileKey;
+    setDietFilter(JSON.parse(dietProfileKey));
+  }, [dietProfileKey]);
+
+  useEffect(() => {
+    const search = menuUrlSearch(
+      { query, category: activeTag, diet: dietFilter, sort: sortBy },
+      window.location.search
+    );
+    if (search !== window.location.search) {
+      const { pathname, hash } = window.location;
+      window.history.replaceState(window.history.state, "", `${pathname}${search}${hash}`);
     }
+  }, [query, activeTag, dietFilter, sortBy]);
 
-    if (progressTimerRef.current) return;
-
-    progressTimerRef.current = window.setInterval(() => {
-      setOrder((prev) => {
-        if (!prev) return prev;
-        const now = Date.now();
-        const elapsed = now - prev.createdAt;
-
-        // 0-30s: Confirmed, 30-75s: Preparing, 75-120s: Out for delivery, then Delivered
-        let status = prev.status;
-        if (elapsed < 30_000) status = "Confirmed";
-        else if (elapsed < 75_000) status = "Preparing";
-        else if (elapsed < 120_000) status = "Out for delivery";
-        else status = "Delivered";
-
-        const progress = clamp(Math.round((elapsed / 120_000) * 100), 0, 100);
-
-        if (status === prev.status && progress === prev.progress) return prev;
-        return { ...prev, status, progress };
-      });
-    }, 750);
-
-    return () => {
-      if (progressTimerRef.current) window.clearInterval(progressTimerRef.current);
-      progressTimerRef.current = null;
-    };
-  }, [order]);
-
-  const tags = useMemo(() => {
-    const set = new Set();
-    SAMPLE_MENU.forEach((i) => i.tags.forEach((t) => set.add(t)));
-    return ["All", ...Array.from(set).sort()];
-  }, []);
-
-  const filteredMenu = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    return SAMPLE_MENU.filter((item) => {
-      const matchesQuery =
-        !q ||
-        item.name.toLowerCase().includes(q) ||
-        item.description.toLowerCase().includes(q) ||
-        item.tags.some((t) => t.toLowerCase().includes(q));
+  // Keep history entries for tracked orders in sync so they record the final status.
+  useEffect(() => {
+    setOrderHistory((prev) => trackedOrders.reduce(upsertHistory, prev));
+  }, [trackedOrders]);
+
+  useEffect(() => {
+    window.localStorage.setItem(ORDER_HISTORY_KEY, JSON.stringify(orderHistory));
+  }, [orderHistory]);
+
+  // Load the menu from `GET /menu`; on failure keep the last good menu from localStorage if we have one.
+  useEffect(() => {
+    if (!api) return undefined;
+
+    const controller = new AbortController();
+    dispatch(menuActions.loading());
+
+    (async () => {
+      try {
+        const { items, categories } = await api.getMenu({ signal: controller.signal });
+        dispatch(menuActions.loaded(items, categories));
+        window.localStorage.setItem(MENU_CACHE_KEY, JSON.stringify(items));
+        window.localStorage.setItem(MENU_CATEGORIES_KEY, JSON.stringify(categories));
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        const cached = normalizeMenu(safeParseJson(window.localStorage.getItem(MENU_CACHE_KEY), null));
+        dispatch(menuActions.failed(err && err.message ? err.message : "Could not load the menu", cached));
+      }
+    })();
+
+    return () => controller.abort();
+  }, [api, menuReloadKey]);
+
+  // Demo and mock-API modes: pick up menu edits saved by the menu admin in another tab. The mock API
+  // serves the same catalog, so it reloads the menu through it.
+  useEffect(() => {
+    if (api && !useMockApi) return undefined;
+    function onStorage(e) {
+      if (e.key !== LOCAL_CATALOG_KEY) return;
+      if (api) {
+        setMenuReloadKey((k) => k + 1);
+        return;
+      }
+      const catalog = localCatalog();
+      dispatch(menuActions.loaded(catalog.items, catalog.categories));
+    }
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [api, useMockApi]);
+
+  const visibleMenu = useMemo(() => selectVisibleMenu(menu), [menu]);
+  const orderableMenu = useMemo(() => selectOrderableMenu(menu), [menu]);
+  const tags = useMemo(() => ["All", ...orderedCategories(visibleMenu, categoryOrder)], [visibleMenu, categoryOrder]);
+
+  const menuResults = useMemo(() => {
+    const candidates = visibleMenu.filter((item) => {
       const matchesTag = activeTag === "All" || item.tags.includes(activeTag);
-      return matchesQuery && matchesTag;
+      return matchesTag && matchesDietFilter(item, dietFilter);
     });
-  }, [query, activeTag]);
+    return searchMenu(candidates, query, sortBy);
+  }, [visibleMenu, query, activeTag, dietFilter, sortBy]);
+
+  const similarTo = visibleMenu.find((i) => i.id === similarToId) || null;
+  const similarSuggestions = useMemo(
+    () =>
+      similarTo
+        ? similarItems(similarTo, orderableMenu).map((s) => ({ item: s.item, note: s.reasons.join(" · ") }))
+        : [],
+    [similarTo, orderableMenu]
+  );
+  const detailItem = route.name === "item" ? visibleMenu.find((i) => i.id === route.itemId) || null : null;
+  const detailSuggestions = useMemo(
+    () =>
+      detailItem
+        ? similarItems(detailItem, orderableMenu).map((s) => ({ item: s.item, note: s.reasons.join(" · ") }))
+        : [],
+    [detailItem, orderableMenu]
+  );
+  const cartSuggestions = useMemo(
+    () =>
+      frequentlyAddedTogether(cartItems, orderableMenu, orderHistory).map((s) => ({ item: s.item, note: s.reason })),
+    [cartItems, orderableMenu, orderHistory]
+  );
 
-  const cartCount = useMemo(() => cartItems.reduce((sum, it) => sum + it.quantity, 0), [cartItems]);
+  const dietWarnings = useMemo(() => cartDietConflicts(cartItems, menu, dietProfile), [cartItems, menu, dietProfile]);
 
-  const cartSubtotal = useMemo(
-    () => cartItems.reduce((sum, it) => sum + it.quantity * it.unitPrice, 0),
-    [cartItems]
-  );
+  const unavailableLines = useMemo(() => selectUnavailableLines(cartItems, menu), [cartItems, menu]);
+  const cartCount = useMemo(() => selectCartCount(cartItems), [cartItems]);
+  const cartSubtotal = useMemo(() => selectCartSubtotal(cartItems), [cartItems]);
 
-  const cartFees = useMemo(() => {
-    // simple fee model for UI realism
-    const serviceFee = cartSubtotal > 0 ? Math.min(3.5, Math.max(1.25, cartSubtotal * 0.08)) : 0;
-    const deliveryFee = cartSubtotal > 0 ? 2.99 : 0;
-    const tax = cartSubtotal > 0 ? cartSubtotal * 0.0825 : 0;
-    return { serviceFee, deliveryFee, tax };
-  }, [cartSubtotal]);
-
-  const cartTotal = useMemo(
-    () => cartSubtotal + cartFees.serviceFee + cartFees.deliveryFee + cartFees.tax,
-    [cartSubtotal, cartFees]
+  // Delivery zone for the entered address. Until a ZIP is entered the default fee is shown as an estimate;
+  // a valid ZIP outside every zone blocks checkout.
+  const deliveryZones = useMemo(
+    () => normalizeZones(safeParseJson(zonesConfig, null)) || DELIVERY_ZONES,
+    [zonesConfig]
+  );
+  const addressErrors = validateAddress(checkout.address);
+  const addressBook = session ? session.profile.addresses : savedAddresses;
+  const deliveryZone = addressErrors.postalCode ? null : findZone(normalizeAddress(checkout.address), deliveryZones);
+  const outsideDeliveryArea = !addressErrors.postalCode && !deliveryZone;
+  const zoneShortfall = minimumShortfall(deliveryZone, cartSubtotal);
+
+  // ETA model inputs for the cart: kitchen time (slowest item plus load) and the courier's trip.
+  const cartKitchenMins = useMemo(() => kitchenMins(cartItems, menu), [cartItems, menu]);
+  const cartDeliveryMins = isPickup ? 0 : deliveryMins(deliveryZone ? deliveryZone.distanceKm : undefined);
+  const cartLeadMins = leadMins(cartKitchenMins, cartDeliveryMins);
+  const deliverySlots = checkout.deliveryTiming === "scheduled" ? availableSlots(Date.now(), cartLeadMins) : [];
+  const hasValidSlot = checkout.deliveryTiming === "asap" || deliverySlots.includes(checkout.scheduledSlot);
+
+  const promoResult = useMemo(
+    () => evaluatePromo(checkout.appliedPromo, { items: cartItems, subtotal: cartSubtotal }),
+    [checkout.appliedPromo, cartItems, cartSubtotal]
   );
 
+  const cartPricing = useMemo(() => {
+    const fees = selectCartFees(cartSubtotal, { promoResult, deliveryZone, isPickup });
+    const tip = selectCartTip(cartSubtotal, { tipChoice: checkout.tipChoice, isPickup });
+    return { subtotal: cartSubtotal, ...fees, tip, total: selectCartTotal(cartSubtotal, fees, tip) };
+  }, [cartSubtotal, promoResult, deliveryZone, isPickup, checkout.tipChoice]);
+  const canPlaceOrder = selectCanPlaceOrder(store, { deliveryZone, zoneShortfall, hasValidSlot });
+  const eta = { kitchenMins: cartKitchenMins, deliveryMins: cartDeliveryMins, leadMins: cartLeadMins };
+
+  const tracking = useOrderTracking({ api, wsUrl, trackedOrders, orderableMenu, dispatch });
+  const placement = useOrderPlacement({
+    api,
+    apiBase,
+    wsUrl,
+    customerId,
+    checkout,
+    cart: {
+      items: cartItems,
+      subtotal: cartSubtotal,
+      pricing: cartPricing,
+      promoResult,
+      deliveryZone,
+      eta,
+      canPlaceOrder,
+    },
+    dispatch,
+    // Leave the emptied checkout out of the back history; queued orders show up in tracking once sent.
+    onPlaced: (placedId) => navigate(placedId ? { name: "order", orderId: placedId } : MENU_ROUTE, { replace: true }),
+  });
+
   function findMenuItem(itemId) {
-    return SAMPLE_MENU.find((m) => m.id === itemId) || null;
+    return menu.find((m) => m.id === itemId) || null;
+  }
+
+  // PUBLIC_INTERFACE
+  function retryMenu() {
+    setMenuReloadKey((k) => k + 1);
   }
 
   // PUBLIC_INTERFACE
@@ -236,133 +358,99 @@ function App() {
   // PUBLIC_INTERFACE
   function addToCart(itemId) {
     const item = findMenuItem(itemId);
-    if (!item) return;
-
-    setCartItems((prev) => {
-      const existing = prev.find((p) => p.itemId === itemId);
-      if (existing) {
-        return prev.map((p) => (p.itemId === itemId ? { ...p, quantity: p.quantity + 1 } : p));
-      }
-      return [
-        ...prev,
-        { itemId, name: item.name, unitPrice: item.price, quantity: 1, notes: "" },
-      ];
-    });
+    if (!item || item.soldOut || item.hidden) return;
 
-    setCartOpen(true);
+    // Items with option groups go through the picker first.
+    if (hasOptions(item)) setOptionsItem(item);
+    else addCartLine(item, []);
   }
 
   // PUBLIC_INTERFACE
-  function decrementCartItem(itemId) {
-    setCartItems((prev) => {
-      const existing = prev.find((p) => p.itemId === itemId);
-      if (!existing) return prev;
-      if (existing.quantity <= 1) return prev.filter((p) => p.itemId !== itemId);
-      return prev.map((p) => (p.itemId === itemId ? { ...p, quantity: p.quantity - 1 } : p));
-    });
+  function addCartLine(item, options) {
+    dispatch(cartActions.addLine(item, options));
+    setOptionsItem(null);
+    navigate({ name: "cart" });
   }
 
   // PUBLIC_INTERFACE
-  function incrementCartItem(itemId) {
-    setCartItems((prev) =>
-      prev.map((p) => (p.itemId === itemId ? { ...p, quantity: p.quantity + 1 } : p))
-    );
+  function clearCart() {
+    dispatch(cartActions.clear());
   }
 
   // PUBLIC_INTERFACE
-  function removeCartItem(itemId) {
-    setCartItems((prev) => prev.filter((p) => p.itemId !== itemId));
+  function reorder(pastOrder) {
+    const { lines, warnings } = buildReorder(pastOrder, orderableMenu);
+    const messages = lines.length > 0 ? warnings : [...warnings, "Nothing from that order can be reordered."];
+    dispatch(cartActions.replace(lines, messages));
+    setHistoryOpen(false);
+    navigate({ name: "cart" });
   }
 
-  // PUBLIC_INTERFACE
-  function clearCart() {
-    setCartItems([]);
+  // The account dialog closes once signed in or out.
+  async function signInFromDialog(credentials) {
+    const error = await signIn(credentials);
+    if (!error) setAccountOpen(false);
+    return error;
   }
 
-  function canCheckout() {
-    return cartItems.length > 0 && customerName.trim().length > 0 && deliveryAddress.trim().length > 5;
+  function signOutFromDialog() {
+    signOut();
+    setAccountOpen(false);
   }
 
   // PUBLIC_INTERFACE
-  async function placeOrder() {
-    if (!canCheckout() || isPlacingOrder) return;
-
-    setIsPlacingOrder(true);
-    try {
-      const payload = {
-        customerName: customerName.trim(),
-        deliveryAddress: deliveryAddress.trim(),
-        notes: notes.trim(),
-        paymentMethod,
-        items: cartItems.map((it) => ({
-          itemId: it.itemId,
-          name: it.name,
-          unitPrice: it.unitPrice,
-          quantity: it.quantity,
-        })),
-        pricing: {
-          subtotal: cartSubtotal,
-          ...cartFees,
-          total: cartTotal,
-        },
-      };
-
-      // Optional future backend: if REACT_APP_API_BASE is set, attempt POST.
-      // If it fails or isn't configured, we fall back to a local simulated order.
-      let createdOrder = null;
-      if (apiBase) {
-        try {
-          const res = await fetch(`${apiBase.replace(/\/$/, "")}/orders`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(payload),
-          });
-          if (res.ok) createdOrder = await res.json();
-        } catch {
-          // ignore and fall back
-        }
-      }
+  async function saveDietProfile() {
+    if (!session) {
+      setGuestDietProfile(dietFilter);
+      setDietNotice("Saved. These filters apply whenever you visit.");
+      return;
+    }
+    const error = await saveProfile({ dietary: dietFilter });
+    setDietNotice(error || "Saved to your profile.");
+  }
 
-      const orderId =
-        (createdOrder && (createdOrder.id || createdOrder.orderId)) ||
-        `ORD-${Math.random().toString(36).slice(2, 7).toUpperCase()}-${Date.now().toString().slice(-4)}`;
-
-      setOrder({
-        id: orderId,
-        createdAt: Date.now(),
-        status: "Confirmed",
-        progress: 3,
-        customerName: payload.customerName,
-        deliveryAddress: payload.deliveryAddress,
-        notes: payload.notes,
-        paymentMethod: payload.paymentMethod,
-        items: payload.items,
-        pricing: payload.pricing,
-        // Surface env vars for debugging/verification without breaking preview.
-        meta: { apiBase: apiBase || null, wsUrl: wsUrl || null },
-      });
-
-      // Reset cart but keep checkout fields for convenience
-      setCartItems([]);
-      setCartOpen(false);
-    } finally {
-      setIsPlacingOrder(false);
+  // Signed-in customers keep their address book on the profile; guests keep it in this browser.
+  async function rememberAddress(nextBook) {
+    if (!session) {
+      setSavedAddresses(nextBook);
+      return;
     }
+    const error = await saveProfile({ addresses: nextBook });
+    if (error) dispatch(checkoutActions.failed(error, "The address wasn’t saved to your profile."));
+  }
+
+  // PUBLIC_INTERFACE
+  async function editOrderItems(orderId) {
+    if (await tracking.editOrder(orderId)) navigate({ name: "cart" });
+  }
+
+  // PUBLIC_INTERFACE
+  function clearTrackedOrder(orderId) {
+    dispatch(orderActions.clear(orderId));
+    if (route.name === "order" && route.orderId === orderId) navigate(MENU_ROUTE, { replace: true });
   }
 
   // PUBLIC_INTERFACE
-  function startNewOrder() {
-    setOrder(null);
+  function closeCart() {
+    navigate(MENU_ROUTE);
   }
 
   // Accessibility: close cart with Escape
   useEffect(() => {
     function onKeyDown(e) {
-      if (e.key === "Escape") setCartOpen(false);
+      if (e.key === "Escape") navigate(MENU_ROUTE);
     }
     if (cartOpen) window.addEventListener("keydown", onKeyDown);
     return () => window.removeEventListener("keydown", onKeyDown);
-  }, [cartOpen]);
+  }, [cartOpen, navigate]);
+
+  // `/orders/:id` selects the order and brings tracking into view.
+  const routeOrderId = route.name === "order" ? route.orderId : null;
+  useEffect(() => {
+    if (!routeOrderId) return;
+    dispatch(orderActions.select(routeOrderId));
+    scrollIntoView(document.getElementById("tracking"));
+  }, [routeOrderId]);
 
   return (
     <div className="App">
@@ -380,20 +468,33 @@ function App() {
               <div className="brand__name">OceanEats</div>
               <div className="brand__tagline">Order fresh, track fast.</div>
             </div>
+            {apiBase ? null : (
+              <span className="modeBadge" title="No API configured: orders are simulated in this browser">
+                Demo mode
+              </span>
+            )}
           </div>
 
           <nav className="topbar__actions" aria-label="Primary">
             <button
               className="btn btn-ghost"
               onClick={() => {
-                const el = document.getElementById("tracking");
-                if (el) el.scrollIntoView({ behavior: "smooth", block: "start" });
+                if (order) navigate({ name: "order", orderId: order.id });
+                else scrollIntoView(document.getElementById("tracking"));
               }}
               type="button"
             >
               Order status
             </button>
 
+            <button className="btn btn-ghost" onClick={() => setHistoryOpen(true)} type="button" aria-haspopup="dialog">
+              History
+            </button>
+
+            <button className="btn btn-ghost" onClick={() => setAccountOpen(true)} type="button" aria-haspopup="dialog">
+              {session ? session.profile.name || session.profile.email : "Sign in"}
+            </button>
+
             <button
               className="btn btn-ghost"
               onClick={toggleTheme}
@@ -406,7 +507,7 @@ function App() {
 
             <button
               className="btn btn-primary cart-button"
-              onClick={() => setCartOpen(true)}
+              onClick={() => navigate({ name: "cart" })}
               type="button"
               aria-haspopup="dialog"
               aria-expanded={cartOpen ? "true" : "false"}
@@ -452,6 +553,17 @@ function App() {
                   </button>
                 ))}
               </div>
+
+              <DietaryFilters
+                filter={dietFilter}
+                onChange={(next) => {
+                  setDietFilter(next);
+                  setDietNotice("");
+                }}
+                profile={dietProfile}
+                onSaveProfile={saveDietProfile}
+                notice={dietNotice}
+              />
             </div>
 
             <div className="hero__hint">
@@ -462,162 +574,43 @@ function App() {
         </section>
 
         <section className="layout">
-          <section className="menu" aria-label="Menu items">
-            <div className="menu__header">
-              <h2 className="section-title">Menu</h2>
-              <div className="section-meta">
-                {filteredMenu.length} item{filteredMenu.length === 1 ? "" : "s"} shown
-              </div>
-            </div>
-
-            <div className="grid">
-              {filteredMenu.map((item) => (
-                <article key={item.id} className="card">
-                  <div className="card__top">
-                    <div className="card__titleRow">
-                      <h3 className="card__title">{item.name}</h3>
-                      <div className="price">{formatMoney(item.price)}</div>
-                    </div>
-                    <p className="card__desc">{item.description}</p>
-                    <div className="card__chips" aria-label="Item tags">
-                      {item.tags.map((t) => (
-                        <span key={t} className="chip">
-                          {t}
-                        </span>
-                      ))}
-                      <span className="chip chip--muted">{item.prepMins} min</span>
-                    </div>
-                  </div>
-
-                  <div className="card__actions">
-                    <button className="btn btn-primary" onClick={() => addToCart(item.id)} type="button">
-                      Add to cart
-                    </button>
-                    <button
-                      className="btn btn-ghost"
-                      onClick={() => {
-                        setActiveTag("All");
-                        setQuery(item.name);
-                      }}
-                      type="button"
-                    >
-                      Find similar
-                    </button>
-                  </div>
-                </article>
-              ))}
-            </div>
-          </section>
-
-          <aside className="tracking" id="tracking" aria-label="Order tracking">
-            <div className="tracking__card">
-              <div className="tracking__header">
-                <h2 className="section-title">Order tracking</h2>
-                <div className="section-meta">
-                  {order ? `Order #${order.id}` : "No active order"}
-                </div>
-              </div>
-
-              {!order ? (
-                <div className="empty">
-                  <p className="empty__title">Place an order to see live status.</p>
-                  <p className="empty__desc">
-                    This demo simulates status updates locally. If you later connect a backend, set{" "}
-                    <code>REACT_APP_API_BASE</code> to post orders.
-                  </p>
-
-                  <div className="envHint">
-                    <div className="envHint__row">
-                      <span className="envHint__k">API</span>
-                      <span className="envHint__v">{apiBase || "Not configured"}</span>
-                    </div>
-                    <div className="envHint__row">
-                      <span className="envHint__k">WS</span>
-                      <span className="envHint__v">{wsUrl || "Not configured"}</span>
-                    </div>
-                  </div>
-                </div>
-              ) : (
-                <div className="order">
-                  <div className="order__statusRow">
-                    <div className="statusPill">{order.status}</div>
-                    <div className="order__eta">
-                      {order.status === "Delivered" ? "Enjoy your meal!" : "Updating…"}
-                    </div>
-                  </div>
-
-                  <div className="progress">
-                    <div className="progress__bar" aria-hidden="true">
-                      <div className="progress__fill" style={{ width: `${order.progress}%` }} />
-                    </div>
-                    <div className="progress__meta">
-                      <span>Progress</span>
-                      <span>{order.progress}%</span>
-                    </div>
-                  </div>
-
-                  <div className="order__summary">
-                    <div className="order__line">
-                      <span>Customer</span>
-                      <span className="order__value">{order.customerName}</span>
-                    </div>
-                    <div className="order__line">
-                      <span>Address</span>
-                      <span className="order__value">{order.deliveryAddress}</span>
-                    </div>
-                  </div>
-
-                  <div className="order__items" aria-label="Ordered items">
-                    {order.items.map((it) => (
-                      <div key={it.itemId} className="miniRow">
-                        <div className="miniRow__left">
-                          <div className="miniRow__name">{it.name}</div>
-                          <div className="miniRow__meta">
-                            {it.quantity} × {formatMoney(it.unitPrice)}
-                          </div>
-                        </div>
-                        <div className="miniRow__right">{formatMoney(it.quantity * it.unitPrice)}</div>
-                      </div>
-                    ))}
-                  </div>
-
-                  <div className="totals">
-                    <div className="totals__row">
-                      <span>Subtotal</span>
-                      <span>{formatMoney(order.pricing.subtotal)}</span>
-                    </div>
-                    <div className="totals__row">
-                      <span>Fees</span>
-                      <span>{formatMoney(order.pricing.serviceFee + order.pricing.deliveryFee)}</span>
-                    </div>
-                    <div className="totals__row">
-                      <span>Tax</span>
-                      <span>{formatMoney(order.pricing.tax)}</span>
-                    </div>
-                    <div className="totals__row totals__row--strong">
-                      <span>Total</span>
-                      <span>{formatMoney(order.pricing.total)}</span>
-                    </div>
-                  </div>
-
-                  <div className="order__actions">
-                    <button className="btn btn-ghost" type="button" onClick={startNewOrder}>
-                      Clear
-                    </button>
-                    <button
-                      className="btn btn-primary"
-                      type="button"
-                      onClick={() => setCartOpen(true)}
-                      disabled={cartItems.length === 0}
-                      title={cartItems.length === 0 ? "Cart is empty" : "Open cart"}
-                    >
-                      Open cart
-                    </button>
-                  </div>
-                </div>
-              )}
-            </div>
-          </aside>
+          <MenuGrid
+            results={menuResults}
+            status={menuStatus}
+            error={menuError}
+            hasItems={visibleMenu.length > 0}
+            onRetry={retryMenu}
+            sortBy={sortBy}
+            onSortChange={setSortBy}
+            onAdd={addToCart}
+            onOpenItem={(itemId) => navigate({ name: "item", itemId })}
+            similarToId={similarTo ? similarTo.id : null}
+            similarSuggestions={similarSuggestions}
+            onFindSimilar={setSimilarToId}
+            onCloseSimilar={() => setSimilarToId(null)}
+          />
+
+          <Tracking
+            orders={trackedOrders}
+            order={order}
+            activeCount={activeOrderCount}
+            link={order ? tracking.trackingLinks[order.id] || null : null}
+            pendingCount={placement.pendingCount}
+            onSendPending={placement.sendPending}
+            queueError={placement.queueError}
+            onDismissQueueError={placement.dismissQueueError}
+            missingOrderId={routeOrderId && !trackedOrders.some((o) => o.id === routeOrderId) ? routeOrderId : null}
+            apiBase={apiBase}
+            wsUrl={wsUrl}
+            cancellingOrderId={tracking.cancellingOrderId}
+            actionError={tracking.actionError}
+            onSelect={(orderId) => navigate({ name: "order", orderId })}
+            onCancel={tracking.cancelOrder}
+            onEdit={editOrderItems}
+            onClear={clearTrackedOrder}
+            cartEmpty={cartItems.length === 0}
+            onOpenCart={() => navigate({ name: "cart" })}
+          />
         </section>
 
         <footer className="footer">
@@ -635,219 +628,91 @@ function App() {
         </footer>
       </main>
 
-      {/* Cart Drawer */}
-      <div className={`drawerOverlay ${cartOpen ? "drawerOverlay--open" : ""}`} aria-hidden={!cartOpen}>
-        <div
-          className={`drawer ${cartOpen ? "drawer--open" : ""}`}
-          role="dialog"
-          aria-modal="true"
-          aria-label="Shopping cart"
-        >
-          <div className="drawer__header">
-            <div>
-              <div className="drawer__title">Your cart</div>
-              <div className="drawer__subtitle">
-                {cartItems.length === 0 ? "Empty" : `${cartCount} item${cartCount === 1 ? "" : "s"}`}
-              </div>
-            </div>
+      <CartDrawer
+        open={cartOpen}
+        items={cartItems}
+        count={cartCount}
+        warnings={reorderWarnings}
+        onDismissWarnings={() => dispatch(cartActions.dismissWarnings())}
+        unavailableLines={unavailableLines}
+        suggestions={cartSuggestions}
+        onAdd={addToCart}
+        onIncrement={(lineId) => dispatch(cartActions.increment(lineId))}
+        onDecrement={(lineId) => dispatch(cartActions.decrement(lineId))}
+        onRemove={(lineId) => dispatch(cartActions.remove(lineId))}
+        onNotesChange={(lineId, lineNotes) => dispatch(cartActions.setNotes(lineId, lineNotes))}
+        onContinue={route.name === "cart" ? () => navigate({ name: "checkout" }) : null}
+        onClose={closeCart}
+      >
+        <Checkout
+          active={route.name === "checkout"}
+          checkout={checkout}
+          dispatch={dispatch}
+          addressBook={addressBook}
+          onSaveAddress={(a) => rememberAddress(saveAddress(addressBook, a))}
+          onDeleteSavedAddress={(id) => rememberAddress(addressBook.filter((b) => b.id !== id))}
+          deliveryZone={deliveryZone}
+          outsideDeliveryArea={outsideDeliveryArea}
+          zoneShortfall={zoneShortfall}
+          slots={deliverySlots}
+          hasValidSlot={hasValidSlot}
+          eta={eta}
+          promoResult={promoResult}
+          onApplyPromo={placement.applyPromo}
+          pricing={cartPricing}
+          dietWarnings={dietWarnings}
+          canPlaceOrder={canPlaceOrder}
+          onPlaceOrder={placement.placeOrder}
+          onClearCart={clearCart}
+          apiBase={apiBase}
+          useMockApi={useMockApi}
+        />
+      </CartDrawer>
+
+      {route.name === "item" ? (
+        <ItemDetailDialog
+          item={detailItem}
+          loading={menuStatus === "loading" && menu.length === 0}
+          suggestions={detailSuggestions}
+          onAdd={addToCart}
+          onClose={() => navigate(MENU_ROUTE)}
+        />
+      ) : null}
 
-            <button className="iconBtn" onClick={() => setCartOpen(false)} type="button" aria-label="Close cart">
-              ×
-            </button>
-          </div>
+      {optionsItem ? (
+        <ItemOptionsDialog
+          item={optionsItem}
+          onCancel={() => setOptionsItem(null)}
+          onConfirm={(options) => addCartLine(optionsItem, options)}
+        />
+      ) : null}
 
-          <div className="drawer__content">
-            {cartItems.length === 0 ? (
-              <div className="empty">
-                <p className="empty__title">Your cart is empty.</p>
-                <p className="empty__desc">Add a few items from the menu to place an order.</p>
-              </div>
-            ) : (
-              <>
-                <div className="cartList" aria-label="Cart items">
-                  {cartItems.map((it) => (
-                    <div key={it.itemId} className="cartItem">
-                      <div className="cartItem__main">
-                        <div className="cartItem__name">{it.name}</div>
-                        <div className="cartItem__meta">
-                          {formatMoney(it.unitPrice)} each • {formatMoney(it.unitPrice * it.quantity)}
-                        </div>
-                      </div>
-
-                      <div className="cartItem__actions">
-                        <button
-                          className="qtyBtn"
-                          onClick={() => decrementCartItem(it.itemId)}
-                          type="button"
-                          aria-label={`Decrease quantity of ${it.name}`}
-                        >
-                          −
-                        </button>
-                        <div className="qty" aria-label={`Quantity ${it.quantity}`}>
-                          {it.quantity}
-                        </div>
-                        <button
-                          className="qtyBtn"
-                          onClick={() => incrementCartItem(it.itemId)}
-                          type="button"
-                          aria-label={`Increase quantity of ${it.name}`}
-                        >
-                          +
-                        </button>
-
-                        <button
-                          className="linkDanger"
-                          onClick={() => removeCartItem(it.itemId)}
-                          type="button"
-                          aria-label={`Remove ${it.name} from cart`}
-                        >
-                          Remove
-                        </button>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-
-                <div className="checkout">
-                  <h3 className="checkout__title">Checkout</h3>
-
-                  <div className="formGrid">
-                    <div className="field">
-                      <label className="label" htmlFor="name">
-                        Name
-                      </label>
-                      <input
-                        id="name"
-                        className="input"
-                        value={customerName}
-                        onChange={(e) => setCustomerName(e.target.value)}
-                        placeholder="Alex Johnson"
-                        autoComplete="name"
-                      />
-                    </div>
-
-                    <div className="field">
-                      <label className="label" htmlFor="address">
-                        Delivery address
-                      </label>
-                      <input
-                        id="address"
-                        className="input"
-                        value={deliveryAddress}
-                        onChange={(e) => setDeliveryAddress(e.target.value)}
-                        placeholder="123 Ocean Ave, Suite 4B"
-                        autoComplete="street-address"
-                      />
-                    </div>
-
-                    <div className="field field--full">
-                      <label className="label" htmlFor="notes">
-                        Notes (optional)
-                      </label>
-                      <textarea
-                        id="notes"
-                        className="textarea"
-                        value={notes}
-                        onChange={(e) => setNotes(e.target.value)}
-                        placeholder="Allergies, instructions, gate code…"
-                        rows={3}
-                      />
-                    </div>
-
-                    <div className="field field--full">
-                      <label className="label" htmlFor="payment">
-                        Payment
-                      </label>
-                      <div className="segmented" role="radiogroup" aria-label="Payment method">
-                        {[
-                          { id: "card", label: "Card" },
-                          { id: "cash", label: "Cash" },
-                        ].map((pm) => (
-                          <button
-                            key={pm.id}
-                            className={`segBtn ${paymentMethod === pm.id ? "segBtn--active" : ""}`}
-                            onClick={() => setPaymentMethod(pm.id)}
-                            type="button"
-                            role="radio"
-                            aria-checked={paymentMethod === pm.id ? "true" : "false"}
-                          >
-                            {pm.label}
-                          </button>
-                        ))}
-                      </div>
-                    </div>
-                  </div>
-
-                  <div className="totals totals--cart">
-                    <div className="totals__row">
-                      <span>Subtotal</span>
-                      <span>{formatMoney(cartSubtotal)}</span>
-                    </div>
-                    <div className="totals__row">
-                      <span>Service fee</span>
-                      <span>{formatMoney(cartFees.serviceFee)}</span>
-                    </div>
-                    <div className="totals__row">
-                      <span>Delivery fee</span>
-                      <span>{formatMoney(cartFees.deliveryFee)}</span>
-                    </div>
-                    <div className="totals__row">
-                      <span>Tax</span>
-                      <span>{formatMoney(cartFees.tax)}</span>
-                    </div>
-                    <div className="totals__row totals__row--strong">
-                      <span>Total</span>
-                      <span>{formatMoney(cartTotal)}</span>
-                    </div>
-                  </div>
-
-                  <div className="checkout__actions">
-                    <button className="btn btn-ghost" type="button" onClick={clearCart}>
-                      Clear cart
-                    </button>
-                    <button
-                      className="btn btn-primary"
-                      type="button"
-                      onClick={placeOrder}
-                      disabled={!canCheckout() || isPlacingOrder}
-                      aria-disabled={!canCheckout() || isPlacingOrder ? "true" : "false"}
-                      title={
-                        canCheckout()
-                          ? ""
-                          : "Add items, then enter a name and a valid delivery address to place an order."
-                      }
-                    >
-                      {isPlacingOrder ? "Placing…" : "Place order"}
-                    </button>
-                  </div>
-
-                  <div className="smallNote">
-                    {apiBase ? (
-                      <span>
-                        Backend enabled via <code>REACT_APP_API_BASE</code>. If the POST fails, this demo falls back to a local
-                        order.
-                      </span>
-                    ) : (
-                      <span>
-                        Demo mode: no backend configured. Set <code>REACT_APP_API_BASE</code> later to connect.
-                      </span>
-                    )}
-                  </div>
-                </div>
-              </>
-            )}
-          </div>
-        </div>
+      {placement.paymentChallenge ? (
+        <PaymentChallengeDialog
+          challenge={placement.paymentChallenge}
+          onCancel={() => placement.resolveChallenge(null)}
+          onSubmit={(code) => placement.resolveChallenge(code)}
+        />
+      ) : null}
 
-        {/* overlay click target */}
-        <button
-          className="drawerOverlay__clickCatcher"
-          onClick={() => setCartOpen(false)}
-          type="button"
-          aria-label="Close cart overlay"
-          tabIndex={cartOpen ? 0 : -1}
+      {historyOpen ? (
+        <OrderHistoryDialog
+          orders={historyForCustomer(orderHistory, customerId)}
+          onClose={() => setHistoryOpen(false)}
+          onReorder={reorder}
+        />
+      ) : null}
+
+      {accountOpen ? (
+        <AccountDialog
+          session={session}
+          demo={!api}
+          onClose={() => setAccountOpen(false)}
+          onSignIn={signInFromDialog}
+          onSignOut={signOutFromDialog}
+          onSaveProfile={saveProfile}
         />
-      </div>
+      ) : null}
 
       {/* Inline theme tokens (so the CSS can use the Ocean palette cleanly) */}
       <style>{`
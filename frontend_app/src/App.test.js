@@ -1,7 +1,768 @@
-import { render, screen } from "@testing-library/react";
+import { fireEvent, render, screen, waitFor, within } from "@testing-library/react";
 import App from "./App";
+import KitchenDashboard from "./KitchenDashboard";
+import MenuAdmin from "./MenuAdmin";
+import { createLocalAccounts } from "./accounts";
+import { createApiClient } from "./apiClient";
+import { createMockApi } from "./mockApi";
+import { signedInMockClient } from "./testUtils";
+import { startMockTrackingServer } from "../scripts/mockTrackingServer";
+
+afterEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
+function fillCheckout() {
+  fireEvent.change(screen.getByLabelText("Name"), { target: { value: "Sam" } });
+  fireEvent.change(screen.getByLabelText("Street address"), { target: { value: "1 Harbour St" } });
+  fireEvent.change(screen.getByLabelText("City"), { target: { value: "Seaside" } });
+  fireEvent.change(screen.getByLabelText("ZIP code"), { target: { value: "94107" } });
+  fillCard();
+}
+
+function fillCard(number = "4242 4242 4242 4242") {
+  fireEvent.change(screen.getByLabelText("Card number"), { target: { value: number } });
+  fireEvent.change(screen.getByLabelText("Expiry (MM/YY)"), { target: { value: "12/99" } });
+  fireEvent.change(screen.getByLabelText("Security code"), { target: { value: "123" } });
+}
 
 test("renders menu heading", () => {
   render(<App />);
   expect(screen.getByText(/browse the menu/i)).toBeInTheDocument();
 });
+
+test("differently configured items become separate cart lines with their own unit price", () => {
+  render(<App />);
+  const burgerCard = screen.getByText("Classic Burger").closest("article");
+
+  fireEvent.click(within(burgerCard).getByRole("button", { name: "Customize" }));
+  fireEvent.click(screen.getByRole("button", { name: /add to cart · \$11\.99/i }));
+
+  fireEvent.click(within(burgerCard).getByRole("button", { name: "Customize" }));
+  fireEvent.click(screen.getByLabelText(/^Double/));
+  fireEvent.click(screen.getByLabelText(/^Bacon/));
+  fireEvent.click(screen.getByRole("button", { name: /add to cart · \$17\.49/i }));
+
+  const cart = screen.getByLabelText("Cart items");
+  expect(within(cart).getAllByText("Classic Burger")).toHaveLength(2);
+  expect(within(cart).getByText("Double, Bacon")).toBeInTheDocument();
+  expect(within(cart).getByText(/\$17\.49 each/)).toBeInTheDocument();
+});
+
+test("per-line notes are persisted with the cart and shown on the placed order", async () => {
+  render(<App />);
+  const saladCard = screen.getByText("Caesar Salad").closest("article");
+  fireEvent.click(within(saladCard).getByRole("button", { name: "Add to cart" }));
+
+  fireEvent.change(screen.getByLabelText("Special instructions for Caesar Salad"), {
+    target: { value: "Dressing on the side" },
+  });
+  expect(JSON.parse(window.localStorage.getItem("food_order_cart_v1"))[0].notes).toBe("Dressing on the side");
+
+  fillCheckout();
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+
+  const items = await screen.findByLabelText("Ordered items");
+  expect(within(items).getByText("“Dressing on the side”")).toBeInTheDocument();
+});
+
+test("a valid promo code adds a discount line to the cart totals", async () => {
+  render(<App />);
+  const pizzaCard = screen.getByText("BBQ Chicken Pizza").closest("article");
+  fireEvent.click(within(pizzaCard).getByRole("button", { name: "Add to cart" }));
+
+  fireEvent.change(screen.getByLabelText("Promo code"), { target: { value: "nope" } });
+  fireEvent.click(screen.getByRole("button", { name: "Apply" }));
+  expect(await screen.findByText("“NOPE” isn’t a valid promo code.")).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText("Promo code"), { target: { value: "welcome10" } });
+  fireEvent.click(screen.getByRole("button", { name: "Apply" }));
+
+  const discountRow = (await screen.findByText("Discount (WELCOME10)")).parentElement;
+  expect(discountRow).toHaveTextContent("−$1.58");
+});
+
+test("the courier tip follows the chosen preset or custom amount and is remembered", () => {
+  const { unmount } = render(<App />);
+  const saladCard = screen.getByText("Caesar Salad").closest("article");
+  fireEvent.click(within(saladCard).getByRole("button", { name: "Add to cart" }));
+
+  const tipRow = () =>
+    within(screen.getByLabelText("Shopping cart")).getByText("Courier tip", { selector: "span" }).parentElement;
+  expect(tipRow()).toHaveTextContent("$1.43"); // default 15% of $9.50
+
+  fireEvent.click(screen.getByRole("radio", { name: "20%" }));
+  expect(tipRow()).toHaveTextContent("$1.90");
+
+  fireEvent.click(screen.getByRole("radio", { name: "Custom" }));
+  fireEvent.change(screen.getByLabelText("Custom tip amount"), { target: { value: "4" } });
+  expect(tipRow()).toHaveTextContent("$4.00");
+  unmount();
+
+  render(<App />);
+  fireEvent.click(screen.getByRole("button", { name: /^cart/i }));
+  expect(screen.getByRole("radio", { name: "Custom" })).toHaveAttribute("aria-checked", "true");
+  expect(screen.getByLabelText("Custom tip amount")).toHaveValue(4);
+});
+
+test("past orders are kept in history and can be reordered into the cart", async () => {
+  render(<App />);
+  const saladCard = screen.getByText("Caesar Salad").closest("article");
+  fireEvent.click(within(saladCard).getByRole("button", { name: "Add to cart" }));
+  fillCheckout();
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+  await screen.findByLabelText("Ordered items");
+  fireEvent.click(screen.getByRole("button", { name: "Clear" }));
+
+  fireEvent.click(screen.getByRole("button", { name: "History" }));
+  const history = screen.getByRole("dialog", { name: "Order history" });
+  expect(within(history).getByText("1 × Caesar Salad")).toBeInTheDocument();
+
+  fireEvent.click(within(history).getByRole("button", { name: "Reorder" }));
+  expect(screen.queryByRole("dialog", { name: "Order history" })).not.toBeInTheDocument();
+  expect(within(screen.getByLabelText("Cart items")).getByText("Caesar Salad")).toBeInTheDocument();
+});
+
+test("the tracking panel lists every placed order and shows the selected one in detail", async () => {
+  render(<App />);
+  const placeOrderFor = async (dish) => {
+    fireEvent.click(within(screen.getByText(dish).closest("article")).getByRole("button", { name: "Add to cart" }));
+    fillCheckout();
+    fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+    await within(await screen.findByLabelText("Ordered items")).findByText(dish);
+  };
+
+  await placeOrderFor("Caesar Salad");
+  await placeOrderFor("BBQ Chicken Pizza");
+
+  const tabs = screen.getByLabelText("Your orders");
+  expect(within(tabs).getAllByRole("button")).toHaveLength(2);
+  expect(screen.getByText("2 active")).toBeInTheDocument();
+
+  const items = () => screen.getByLabelText("Ordered items");
+  expect(within(items()).getByText("BBQ Chicken Pizza")).toBeInTheDocument();
+
+  fireEvent.click(within(tabs).getByText(/1× Caesar Salad/).closest("button"));
+  expect(within(items()).getByText("Caesar Salad")).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem("food_order_active_orders_v1"))).toHaveLength(2);
+});
+
+test("a confirmed order can be cancelled and shows its refund", async () => {
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  fillCheckout();
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+  await screen.findByLabelText("Ordered items");
+
+  fireEvent.click(screen.getByRole("button", { name: "Cancel order" }));
+
+  expect(await screen.findByText("Order cancelled")).toBeInTheDocument();
+  expect(screen.getByLabelText("Refund summary")).toHaveTextContent(/refund\$1[0-9]\.\d\d/i);
+  expect(screen.queryByRole("button", { name: "Cancel order" })).not.toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem("food_order_history_v1"))[0].status).toBe("Cancelled");
+});
+
+test("a scheduled order starts in the Scheduled state", async () => {
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  fillCheckout();
+
+  fireEvent.click(screen.getByRole("radio", { name: "Deliver at…" }));
+  const slot = screen.getByRole("combobox", { name: "Delivery time" });
+  expect(slot.value).not.toBe("");
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+
+  expect(await screen.findByText(/^Scheduled for /)).toBeInTheDocument();
+  expect(screen.getByText("Scheduled", { selector: ".statusPill" })).toBeInTheDocument();
+  expect(screen.getByRole("button", { name: "Edit items" })).toBeInTheDocument();
+});
+
+test("a scheduled time that passes while checkout is open is checked again before placing", async () => {
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  fillCheckout();
+  fireEvent.click(screen.getByRole("radio", { name: "Deliver at…" }));
+  const slot = Number(screen.getByRole("combobox", { name: "Delivery time" }).value);
+
+  const now = jest.spyOn(Date, "now").mockReturnValue(slot);
+  try {
+    fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+    expect(await screen.findByText(/That time is no longer available\./)).toBeInTheDocument();
+  } finally {
+    now.mockRestore();
+  }
+  expect(screen.queryByRole("list", { name: "Order timeline" })).not.toBeInTheDocument();
+});
+
+test("checkout previews the arrival time from the cart's prep times", () => {
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  // 2 min to confirm + 10 min salad + 11 min delivery
+  expect(screen.getByLabelText("Estimated arrival")).toHaveTextContent(/about 23 min/);
+
+  fireEvent.click(within(screen.getByText("BBQ Chicken Pizza").closest("article")).getByRole("button", { name: "Add to cart" }));
+  // the pizza is now the slowest item (24 min) and the second unit adds a minute of load
+  expect(screen.getByLabelText("Estimated arrival")).toHaveTextContent(/about 38 min/);
+});
+
+test("address fields flag problems once visited and a valid address can be saved for next time", () => {
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  fillCheckout();
+  fireEvent.change(screen.getByLabelText("ZIP code"), { target: { value: "941" } });
+  fireEvent.blur(screen.getByLabelText("ZIP code"));
+
+  expect(screen.getByText("Enter a 5-digit ZIP code.")).toBeInTheDocument();
+  expect(screen.getByRole("button", { name: "Place order" })).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText("ZIP code"), { target: { value: "94107" } });
+  expect(screen.queryByText("Enter a 5-digit ZIP code.")).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole("button", { name: "Save this address" }));
+
+  const saved = JSON.parse(window.localStorage.getItem("food_order_saved_addresses_v1"));
+  expect(saved).toEqual([expect.objectContaining({ street: "1 Harbour St", postalCode: "94107" })]);
+
+  fireEvent.change(screen.getByLabelText("Saved addresses"), { target: { value: "" } });
+  expect(screen.getByLabelText("Street address")).toHaveValue("");
+  fireEvent.change(screen.getByLabelText("Saved addresses"), { target: { value: saved[0].id } });
+  expect(screen.getByLabelText("City")).toHaveValue("Seaside");
+});
+
+test("the delivery zone sets the fee and blocks addresses outside the area or below its minimum", () => {
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  fillCheckout();
+  expect(screen.getByText("Delivery fee (Downtown)").nextSibling).toHaveTextContent("$1.99");
+  expect(screen.getByRole("button", { name: "Place order" })).toBeEnabled();
+
+  fireEvent.change(screen.getByLabelText("ZIP code"), { target: { value: "10001" } });
+  expect(screen.getByRole("alert")).toHaveTextContent("we don't deliver to 10001");
+  expect(screen.getByRole("button", { name: "Place order" })).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText("ZIP code"), { target: { value: "94122" } });
+  expect(screen.getByText("Delivery fee (Rest of the city)").nextSibling).toHaveTextContent("$3.99");
+  expect(screen.getByText(/has a \$15\.00 minimum/)).toBeInTheDocument();
+  expect(screen.getByRole("button", { name: "Place order" })).toBeDisabled();
+});
+
+test("pickup orders skip the address and delivery fee and track towards ready for pickup", async () => {
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  fireEvent.change(screen.getByLabelText("Name"), { target: { value: "Sam" } });
+  expect(screen.getByRole("button", { name: "Place order" })).toBeDisabled();
+
+  fireEvent.click(screen.getByRole("radio", { name: "Pickup" }));
+  fillCard();
+  expect(screen.queryByLabelText("Street address")).not.toBeInTheDocument();
+  expect(screen.queryByText(/^Delivery fee/)).not.toBeInTheDocument();
+  expect(screen.queryByText("Courier tip")).not.toBeInTheDocument();
+  expect(screen.getByLabelText("Estimated arrival")).toHaveTextContent(/Ready for pickup .* about 12 min/);
+
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+
+  const steps = await screen.findByRole("list", { name: "Order timeline" });
+  expect(within(steps).getByText("Ready for pickup")).toBeInTheDocument();
+  expect(within(steps).queryByText("Out for delivery")).not.toBeInTheDocument();
+  expect(screen.getByText("At the counter")).toBeInTheDocument();
+});
+
+test("a declined card shows why and keeps the cart", async () => {
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  fillCheckout();
+  fillCard("4000 0000 0000 0002");
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+
+  expect(await screen.findByText(/Your card was declined\./)).toBeInTheDocument();
+  expect(within(screen.getByLabelText("Cart items")).getByText("Caesar Salad")).toBeInTheDocument();
+  expect(screen.queryByRole("list", { name: "Order timeline" })).not.toBeInTheDocument();
+});
+
+test("a card that needs verification asks for a code before the order is placed", async () => {
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  fillCheckout();
+  fillCard("4000 0000 0000 3220");
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+
+  const dialog = await screen.findByRole("dialog", { name: "Verify payment" });
+  fireEvent.change(within(dialog).getByLabelText("Verification code"), { target: { value: "123456" } });
+  fireEvent.click(within(dialog).getByRole("button", { name: "Verify" }));
+
+  expect(await screen.findByRole("list", { name: "Order timeline" })).toBeInTheDocument();
+  expect(screen.getByText("Visa •••• 3220")).toBeInTheDocument();
+});
+
+test("signing in prefills checkout from the profile and keeps order history per account", async () => {
+  const accounts = createLocalAccounts();
+  const session = await accounts.login({ email: "sam@example.com", password: "secret1" });
+  await accounts.saveProfile(session, {
+    ...session.profile,
+    name: "Sam",
+    phone: "555-0100",
+    paymentMethod: "cash",
+    addresses: [{ id: "home", label: "Home", street: "1 Harbour St", city: "Seaside", postalCode: "94107" }],
+  });
+
+  render(<App />);
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  fireEvent.click(screen.getByRole("button", { name: "Sign in" }));
+  const dialog = screen.getByRole("dialog", { name: "Account" });
+  fireEvent.change(within(dialog).getByLabelText("Email"), { target: { value: "sam@example.com" } });
+  fireEvent.change(within(dialog).getByLabelText("Password"), { target: { value: "secret1" } });
+  fireEvent.click(within(dialog).getByRole("button", { name: "Sign in" }));
+
+  expect(await screen.findByRole("button", { name: "Sam" })).toBeInTheDocument();
+  expect(screen.getByLabelText("Name")).toHaveValue("Sam");
+  expect(screen.getByLabelText("Phone (optional)")).toHaveValue("555-0100");
+  expect(screen.getByLabelText("Street address")).toHaveValue("1 Harbour St");
+  expect(screen.getByRole("radio", { name: "Cash" })).toHaveAttribute("aria-checked", "true");
+
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+  await screen.findByLabelText("Ordered items");
+  const [placed] = JSON.parse(window.localStorage.getItem("food_order_history_v1"));
+  expect(placed).toMatchObject({ customerId: session.profile.id, customerPhone: "555-0100" });
+
+  fireEvent.click(screen.getByRole("button", { name: "Sam" }));
+  fireEvent.click(within(screen.getByRole("dialog", { name: "Account" })).getByRole("button", { name: "Sign out" }));
+  fireEvent.click(screen.getByRole("button", { name: "History" }));
+  expect(within(screen.getByRole("dialog", { name: "Order history" })).getByText("Nothing here yet.")).toBeInTheDocument();
+  fireEvent.click(screen.getByRole("button", { name: "Close history" }));
+  const menuCard = screen.getByText("Caesar Salad", { selector: ".card__title" }).closest("article");
+  fireEvent.click(within(menuCard).getByRole("button", { name: "Add to cart" }));
+  expect(screen.getByLabelText("Name")).toHaveValue("");
+  expect(screen.getByRole("radio", { name: "Card" })).toHaveAttribute("aria-checked", "true");
+});
+
+test("dietary filters combine with the category, can be saved as a profile and flag clashing cart items", () => {
+  const view = render(<App />);
+  fireEvent.click(screen.getByRole("button", { name: "Dietary filters" }));
+  fireEvent.click(screen.getByRole("checkbox", { name: "Vegetarian" }));
+  fireEvent.click(screen.getByRole("checkbox", { name: "Dairy" }));
+  expect(screen.queryByText("Margherita Pizza")).not.toBeInTheDocument();
+  expect(screen.getByText("Rainbow Veggie Bowl")).toBeInTheDocument();
+  expect(screen.getByText("Sea-Salt Fries")).toBeInTheDocument();
+  expect(screen.getByText("Contains: sesame")).toBeInTheDocument();
+
+  fireEvent.click(within(screen.getByLabelText("Filter by category")).getByRole("button", { name: "Sides" }));
+  expect(screen.queryByText("Rainbow Veggie Bowl")).not.toBeInTheDocument();
+  expect(screen.getByText("Sea-Salt Fries")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole("button", { name: "Save as my dietary profile" }));
+  expect(screen.getByRole("status")).toHaveTextContent("Saved.");
+  expect(window.location.search).toBe("?category=Sides&diet=vegetarian&avoid=dairy");
+  view.unmount();
+  window.history.replaceState(null, "", "/");
+
+  render(<App />);
+  expect(screen.getByRole("button", { name: "Dietary filters (2)" })).toBeInTheDocument();
+  expect(screen.getByText("Using your dietary profile")).toBeInTheDocument();
+  expect(screen.queryByText("Caesar Salad")).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole("button", { name: "Dietary filters (2)" }));
+  fireEvent.click(screen.getByRole("button", { name: "Clear" }));
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  expect(screen.getByRole("alert", { name: "Dietary warning" })).toHaveTextContent(
+    "Caesar Salad isn’t vegetarian and contains dairy"
+  );
+  fillCheckout();
+  expect(screen.getByRole("button", { name: "Place order" })).toBeEnabled();
+});
+
+test("search tolerates typos, highlights matches and keeps the query, filters and sort in the URL", () => {
+  window.history.replaceState(null, "", "/?q=buger&sort=price-desc");
+  render(<App />);
+  expect(screen.getByRole("searchbox")).toHaveValue("buger");
+  expect(screen.getByLabelText("Sort by")).toHaveValue("price-desc");
+  const titles = screen.getAllByRole("heading", { level: 3 }).map((h) => h.textContent);
+  expect(titles).toEqual(["Classic Burger"]);
+  expect(screen.getByText("Burger", { selector: "mark" })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole("searchbox"), { target: { value: "chiken" } });
+  expect(screen.getAllByRole("heading", { level: 3 }).map((h) => h.textContent)).toEqual([
+    "BBQ Chicken Pizza",
+    "Crispy Chicken Sandwich",
+  ]);
+  fireEvent.change(screen.getByLabelText("Sort by"), { target: { value: "prep" } });
+  fireEvent.click(screen.getByRole("button", { name: "Dietary filters" }));
+  fireEvent.click(screen.getByRole("checkbox", { name: "Spicy" }));
+  expect(screen.getAllByRole("heading", { level: 3 }).map((h) => h.textContent)).toEqual(["BBQ Chicken Pizza"]);
+  expect(window.location.search).toBe("?q=chiken&avoid=spicy&sort=prep");
+});
+
+test("find similar opens a row of related items and the cart suggests extras that go with it", () => {
+  render(<App />);
+  const pizza = screen.getByText("Margherita Pizza", { selector: ".card__title" }).closest("article");
+  fireEvent.click(within(pizza).getByRole("button", { name: "Find similar" }));
+  const similar = screen.getByRole("region", { name: "You might also like" });
+  expect(within(similar).getByText("Similar to Margherita Pizza")).toBeInTheDocument();
+  expect(within(similar).getByText("BBQ Chicken Pizza")).toBeInTheDocument();
+  expect(within(similar).queryByText("Margherita Pizza")).not.toBeInTheDocument();
+  expect(within(similar).getByText(/Also Pizza/)).toBeInTheDocument();
+  fireEvent.click(within(similar).getByRole("button", { name: "Close you might also like" }));
+  expect(screen.queryByRole("region", { name: "You might also like" })).not.toBeInTheDocument();
+
+  fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+  const together = screen.getByRole("region", { name: "Frequently added together" });
+  expect(within(together).getAllByText(/Fries|Cold Brew/).map((n) => n.textContent)).toEqual(["Sea-Salt Fries", "Cold Brew"]);
+  fireEvent.click(within(together).getByRole("button", { name: "Customize Sea-Salt Fries" }));
+  expect(screen.getByRole("dialog", { name: /Sea-Salt Fries/ })).toBeInTheDocument();
+});
+
+test("item, cart and order routes deep link, survive a reload and work with back", async () => {
+  window.history.replaceState(null, "", "/menu/caesar-salad");
+  const first = render(<App />);
+  const details = screen.getByRole("dialog", { name: "Caesar Salad" });
+  expect(within(details).getByText("Contains: gluten, dairy, egg, fish")).toBeInTheDocument();
+  fireEvent.click(within(details).getByRole("button", { name: "Add to cart" }));
+  expect(window.location.pathname).toBe("/cart");
+  expect(screen.queryByRole("dialog", { name: "Caesar Salad" })).not.toBeInTheDocument();
+  first.unmount();
+
+  render(<App />);
+  expect(screen.getByRole("button", { name: /^Cart/ })).toHaveAttribute("aria-expanded", "true");
+  fireEvent.click(screen.getByRole("button", { name: "Continue to checkout" }));
+  expect(window.location.pathname).toBe("/checkout");
+  fillCheckout();
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+  await screen.findByLabelText("Ordered items");
+  const [placed] = JSON.parse(window.localStorage.getItem("food_order_active_orders_v1"));
+  expect(window.location.pathname).toBe(`/orders/${placed.id}`);
+  expect(screen.getByRole("button", { name: /^Cart/ })).toHaveAttribute("aria-expanded", "false");
+
+  window.history.back();
+  await waitFor(() => expect(window.location.pathname).toBe("/cart"));
+  expect(screen.getByRole("button", { name: /^Cart/ })).toHaveAttribute("aria-expanded", "true");
+  window.history.back();
+  expect(await screen.findByRole("dialog", { name: "Caesar Salad" })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole("button", { name: "Back to menu" }));
+  expect(window.location.pathname).toBe("/menu");
+});
+
+test("an order link from another device says the order isn't tracked here", () => {
+  window.history.replaceState(null, "", "/orders/ORD-404");
+  render(<App />);
+  expect(screen.getByText(/Order #ORD-404 isn’t tracked in this browser/)).toBeInTheDocument();
+});
+
+describe("menu from backend", () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    process.env.REACT_APP_API_BASE = "http://api.test/";
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    delete process.env.REACT_APP_API_BASE;
+    global.fetch = originalFetch;
+  });
+
+  test("renders items fetched from GET /menu and caches them", async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => [{ id: "tacos", name: "Fish Tacos", price: 10, tags: ["Mexican"], prepMins: 12 }],
+    });
+
+    render(<App />);
+
+    expect(await screen.findByText("Fish Tacos")).toBeInTheDocument();
+    expect(global.fetch.mock.calls[0][0]).toBe("http://api.test/menu");
+    expect(screen.queryByText("Classic Burger")).not.toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Mexican" })).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem("food_order_menu_cache_v1"))[0].id).toBe("tacos");
+  });
+
+  test("falls back to the cached menu when the request fails", async () => {
+    window.localStorage.setItem(
+      "food_order_menu_cache_v1",
+      JSON.stringify([{ id: "soup", name: "Miso Soup", price: 5, tags: [], prepMins: 5 }])
+    );
+    global.fetch = jest.fn().mockRejectedValue(new Error("offline"));
+
+    render(<App />);
+
+    expect(await screen.findByText(/showing the last saved version/i)).toBeInTheDocument();
+    expect(screen.getByText("Miso Soup")).toBeInTheDocument();
+  });
+
+  test("shows an error with a working retry when nothing is cached", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 503, json: async () => ({}) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [{ id: "pho", name: "Pho", price: 13 }] }) });
+
+    render(<App />);
+
+    expect(await screen.findByText(/couldn’t load the menu/i)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Retry" }));
+
+    expect(await screen.findByText("Pho")).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("placing orders with a backend", () => {
+  const originalFetch = global.fetch;
+  const menu = [{ id: "salad", name: "Caesar Salad", price: 12, tags: [], prepMins: 10 }];
+
+  // Serves the menu and hands every POST /orders to `onOrder`.
+  function mockBackend(onOrder) {
+    global.fetch = jest.fn(async (url, init) => {
+      if (url.endsWith("/menu")) return { ok: true, status: 200, json: async () => menu };
+      return onOrder(init);
+    });
+  }
+
+  async function fillCart() {
+    render(<App />);
+    const card = (await screen.findByText("Caesar Salad")).closest("article");
+    fireEvent.click(within(card).getByRole("button", { name: "Add to cart" }));
+    fillCheckout();
+  }
+
+  beforeEach(() => {
+    process.env.REACT_APP_API_BASE = "http://api.test";
+  });
+
+  afterEach(() => {
+    delete process.env.REACT_APP_API_BASE;
+    global.fetch = originalFetch;
+  });
+
+  test("a rejected order shows the server's reason and keeps the cart", async () => {
+    mockBackend(async () => ({ ok: false, status: 422, json: async () => ({ message: "The kitchen is closed." }) }));
+    await fillCart();
+    expect(screen.queryByText(/Demo mode/)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+
+    expect(await screen.findByText(/The kitchen is closed\./)).toBeInTheDocument();
+    expect(within(screen.getByLabelText("Cart items")).getByText("Caesar Salad")).toBeInTheDocument();
+  });
+
+  test("an unreachable backend queues the order and resends it with the same key when back online", async () => {
+    const keys = [];
+    let online = false;
+    mockBackend(async (init) => {
+      keys.push(init.headers["Idempotency-Key"]);
+      if (!online) throw new Error("offline");
+      return { ok: true, status: 201, json: async () => ({ id: "B-100" }) };
+    });
+    await fillCart();
+    fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+
+    expect(await screen.findByText(/1 order is waiting to be sent/, {}, { timeout: 3000 })).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem("food_order_pending_orders_v1"))).toHaveLength(1);
+    expect(screen.queryByRole("list", { name: "Order timeline" })).not.toBeInTheDocument();
+
+    online = true;
+    fireEvent(window, new Event("online"));
+
+    expect(await screen.findByText("Order #B-100")).toBeInTheDocument();
+    expect(screen.queryByText(/waiting to be sent/)).not.toBeInTheDocument();
+    expect(new Set(keys).size).toBe(1);
+    expect(keys.length).toBe(4);
+  });
+});
+
+describe("with the in-browser mock API", () => {
+  beforeEach(() => {
+    process.env.REACT_APP_API_MOCK = "true";
+  });
+
+  afterEach(() => {
+    delete process.env.REACT_APP_API_MOCK;
+  });
+
+  test("places and cancels an order end to end through the API client", async () => {
+    render(<App />);
+    const card = (await screen.findByText("Caesar Salad")).closest("article");
+    fireEvent.click(within(card).getByRole("button", { name: "Add to cart" }));
+    fillCheckout();
+    fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+
+    expect(await screen.findByText("Order #MOCK-0001")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Cancel order" }));
+    expect(await screen.findByText("Order cancelled")).toBeInTheDocument();
+    expect(screen.getByLabelText("Refund summary")).toHaveTextContent(/\$1[0-9]\.\d\d/);
+  });
+
+  test("menu admin edits from another tab reach the menu served by the mock API", async () => {
+    const customer = within(render(<App />).container);
+    await customer.findByText("Caesar Salad");
+
+    const admin = render(<MenuAdmin />);
+    fireEvent.click(within(screen.getByRole("article", { name: "Caesar Salad" })).getByLabelText("Sold out"));
+    fireEvent.click(screen.getByRole("button", { name: "Save changes" }));
+    admin.unmount();
+    fireEvent(window, new StorageEvent("storage", { key: "food_order_menu_admin_v1" }));
+
+    const salad = customer.getByText("Caesar Salad").closest("article");
+    expect(await within(salad).findByRole("button", { name: "Sold out" })).toBeDisabled();
+  });
+});
+
+describe("kitchen view", () => {
+  // Same-origin stand-in for BroadcastChannel: delivers to every other open channel with the same name.
+  class FakeBroadcastChannel {
+    static open = new Set();
+
+    constructor(name) {
+      this.name = name;
+      FakeBroadcastChannel.open.add(this);
+    }
+
+    postMessage(data) {
+      FakeBroadcastChannel.open.forEach((c) => {
+        if (c !== this && c.name === this.name && c.onmessage) c.onmessage({ data });
+      });
+    }
+
+    close() {
+      FakeBroadcastChannel.open.delete(this);
+    }
+  }
+
+  const originalChannel = global.BroadcastChannel;
+  beforeEach(() => {
+    global.BroadcastChannel = FakeBroadcastChannel;
+  });
+
+  afterEach(() => {
+    global.BroadcastChannel = originalChannel;
+  });
+
+  test("in demo mode, orders placed in this browser are advanced from the kitchen tab", async () => {
+    const customer = render(<App />);
+    fireEvent.click(within(screen.getByText("Caesar Salad").closest("article")).getByRole("button", { name: "Add to cart" }));
+    fillCheckout();
+    fireEvent.change(screen.getByLabelText("Notes (optional)"), { target: { value: "Ring twice" } });
+    fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+    await screen.findByLabelText("Ordered items");
+
+    const kitchen = within(render(<KitchenDashboard />).container);
+    const ticket = kitchen.getByRole("article", { name: /^Order ORD-/ });
+    expect(within(ticket).getByText("1 × Caesar Salad")).toBeInTheDocument();
+    expect(within(ticket).getByText("Order note: Ring twice")).toBeInTheDocument();
+
+    fireEvent.click(within(ticket).getByRole("button", { name: "Start preparing" }));
+    expect(within(ticket).getByText("Preparing", { selector: ".statusPill" })).toBeInTheDocument();
+    expect(within(customer.container).getByText("Preparing", { selector: ".statusPill" })).toBeInTheDocument();
+  });
+
+  test("with a backend, the kitchen lists open orders and updates them through the API", async () => {
+    const mock = createMockApi();
+    const api = await signedInMockClient(mock);
+    const { id } = await api.createOrder({ customerName: "Sam", fulfillment: "pickup", items: [{ name: "Fries", quantity: 2 }] });
+
+    render(<KitchenDashboard api={api} />);
+    const ticket = await screen.findByRole("article", { name: `Order ${id}` });
+    expect(within(ticket).getByText("Sam · Pickup", { exact: false })).toBeInTheDocument();
+
+    fireEvent.click(within(ticket).getByRole("button", { name: "Start preparing" }));
+    expect(await within(ticket).findByRole("button", { name: "Mark ready for pickup" })).toBeInTheDocument();
+    expect((await api.getOrderStatus(id)).status).toBe("Preparing");
+  });
+});
+
+describe("menu admin", () => {
+  test("in demo mode, saved edits replace the sample menu for customers", () => {
+    const admin = render(<MenuAdmin />);
+    fireEvent.click(screen.getByRole("button", { name: "New item" }));
+    fireEvent.change(screen.getByLabelText("Name"), { target: { value: "Fish Tacos" } });
+    fireEvent.change(screen.getByLabelText("Price ($)"), { target: { value: "12.5.0" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add item" }));
+    expect(screen.getByText("Use a price like 12 or 12.50.")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Price ($)"), { target: { value: "12.50" } });
+    fireEvent.change(screen.getByLabelText("Categories (comma separated)"), { target: { value: "Tacos" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add item" }));
+    expect(screen.getByRole("article", { name: "Fish Tacos" })).toBeInTheDocument();
+
+    fireEvent.click(within(screen.getByRole("article", { name: "Caesar Salad" })).getByLabelText("Sold out"));
+    fireEvent.click(within(screen.getByRole("article", { name: "Classic Burger" })).getByLabelText("Hidden"));
+    fireEvent.click(screen.getByRole("button", { name: "Move Tacos up" }));
+    fireEvent.click(screen.getByRole("button", { name: "Save changes" }));
+    expect(screen.getByText(/Menu saved/)).toBeInTheDocument();
+    admin.unmount();
+
+    render(<App />);
+    expect(screen.getByText("Fish Tacos")).toBeInTheDocument();
+    expect(screen.queryByText("Classic Burger")).not.toBeInTheDocument();
+    const salad = screen.getByText("Caesar Salad").closest("article");
+    expect(within(salad).getByRole("button", { name: "Sold out" })).toBeDisabled();
+    const pills = within(screen.getByLabelText("Filter by category"))
+      .getAllByRole("button")
+      .map((b) => b.textContent);
+    const tacos = pills.indexOf("Tacos");
+    expect(pills.slice(tacos - 1, tacos + 2)).toEqual(["Sandwiches", "Tacos", "Sides"]);
+  });
+
+  test("with a backend, the menu is loaded and saved through the API", async () => {
+    const mock = createMockApi({ menu: [{ id: "pho", name: "Pho", price: 13, tags: ["Soups"] }] });
+    const api = await signedInMockClient(mock);
+    render(<MenuAdmin api={api} />);
+
+    const row = await screen.findByRole("article", { name: "Pho" });
+    fireEvent.click(within(row).getByRole("button", { name: "Edit" }));
+    fireEvent.change(screen.getByLabelText("Price ($)"), { target: { value: "14" } });
+    fireEvent.click(screen.getByRole("button", { name: "Update item" }));
+    fireEvent.click(screen.getByRole("button", { name: "Save changes" }));
+
+    expect(await screen.findByText(/Menu saved/)).toBeInTheDocument();
+    expect((await api.getMenu()).items[0]).toMatchObject({ id: "pho", price: 14 });
+  });
+
+  test("a save without a staff sign-in asks to sign in as staff", async () => {
+    const mock = createMockApi({ menu: [{ id: "pho", name: "Pho", price: 13, tags: ["Soups"] }] });
+    const guest = render(<MenuAdmin api={createApiClient({ baseUrl: "mock://api", fetchImpl: mock.fetch })} />);
+
+    fireEvent.click(within(await screen.findByRole("article", { name: "Pho" })).getByLabelText("Sold out"));
+    fireEvent.click(screen.getByRole("button", { name: "Save changes" }));
+    expect(await screen.findByRole("alert")).toHaveTextContent(/^Sign in as staff to save the menu/);
+    guest.unmount();
+
+    render(<MenuAdmin api={await signedInMockClient(mock, "sam@example.com")} />);
+    fireEvent.click(within(await screen.findByRole("article", { name: "Pho" })).getByLabelText("Sold out"));
+    fireEvent.click(screen.getByRole("button", { name: "Save changes" }));
+    expect(await screen.findByRole("alert")).toHaveTextContent(/isn’t a staff account/);
+  });
+});
+
+describe("live order tracking", () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startMockTrackingServer();
+    process.env.REACT_APP_WS_URL = server.url;
+    window.localStorage.setItem(
+      "food_order_last_order_v1",
+      JSON.stringify({
+        id: "ORD-LIVE",
+        createdAt: Date.now(),
+        status: "Confirmed",
+        progress: 3,
+        customerName: "Sam",
+        deliveryAddress: "1 Harbour St",
+        items: [],
+        pricing: { subtotal: 0, serviceFee: 0, deliveryFee: 0, tax: 0, total: 0 },
+      })
+    );
+  });
+
+  afterEach(async () => {
+    delete process.env.REACT_APP_WS_URL;
+    await server.close();
+  });
+
+  test("applies status pushed over the socket to the tracking card", async () => {
+    const { unmount } = render(<App />);
+    expect(await screen.findByText("Live")).toBeInTheDocument();
+
+    server.push("ORD-LIVE", { status: "Out for delivery", progress: 72 });
+    expect(await screen.findByText("Out for delivery", { selector: ".statusPill" })).toBeInTheDocument();
+    expect(screen.getByText("72%")).toBeInTheDocument();
+    unmount();
+  });
+});
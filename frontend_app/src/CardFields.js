@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { cardBrand, formatCardNumber, validateCard } from "./payments";
+
+// Card entry for checkout. Like the address fields, errors appear once a field has been visited.
+// PUBLIC_INTERFACE
+function CardFields({ card, onChange }) {
+  const [touched, setTouched] = useState({});
+  const errors = validateCard(card);
+  const brand = cardBrand(card.number);
+
+  function field(key, props) {
+    const invalid = touched[key] && errors[key];
+    return (
+      <>
+        <input
+          id={`card-${key}`}
+          className={`input ${invalid ? "input--invalid" : ""}`}
+          value={card[key]}
+          onBlur={() => setTouched((prev) => ({ ...prev, [key]: true }))}
+          aria-invalid={invalid ? "true" : "false"}
+          aria-describedby={invalid ? `card-${key}-error` : undefined}
+          {...props}
+        />
+        {invalid ? (
+          <div className="fieldError" id={`card-${key}-error`} role="alert">
+            {errors[key]}
+          </div>
+        ) : null}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <div className="field field--full">
+        <label className="label" htmlFor="card-number">
+          Card number
+        </label>
+        {field("number", {
+          onChange: (e) => onChange({ ...card, number: formatCardNumber(e.target.value) }),
+          placeholder: "4242 4242 4242 4242",
+          autoComplete: "cc-number",
+          inputMode: "numeric",
+        })}
+        {card.number && brand !== "Card" ? <div className="cardBrand">{brand}</div> : null}
+      </div>
+
+      <div className="field">
+        <label className="label" htmlFor="card-expiry">
+          Expiry (MM/YY)
+        </label>
+        {field("expiry", {
+          onChange: (e) => onChange({ ...card, expiry: e.target.value.replace(/[^\d/ ]/g, "").slice(0, 7) }),
+          placeholder: "08/29",
+          autoComplete: "cc-exp",
+          inputMode: "numeric",
+        })}
+      </div>
+
+      <div className="field">
+        <label className="label" htmlFor="card-cvc">
+          Security code
+        </label>
+        {field("cvc", {
+          onChange: (e) => onChange({ ...card, cvc: e.target.value.replace(/\D/g, "").slice(0, 4) }),
+          placeholder: brand === "Amex" ? "1234" : "123",
+          autoComplete: "cc-csc",
+          inputMode: "numeric",
+        })}
+      </div>
+    </>
+  );
+}
+
+export default CardFields;
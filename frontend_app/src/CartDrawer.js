@@ -0,0 +1,161 @@
+import React from "react";
+import Suggestions from "./Suggestions";
+import { formatMoney } from "./format";
+import { describeOptions } from "./itemOptions";
+
+// The cart drawer: cart lines with quantity and note controls, notices about reordered or no longer
+// available lines, and "Frequently added together". `children` (the checkout form) is shown under the
+// lines once there is something in the cart.
+// PUBLIC_INTERFACE
+function CartDrawer({
+  open,
+  items,
+  count,
+  warnings,
+  onDismissWarnings,
+  unavailableLines,
+  suggestions,
+  onAdd,
+  onIncrement,
+  onDecrement,
+  onRemove,
+  onNotesChange,
+  onContinue,
+  onClose,
+  children,
+}) {
+  return (
+    <div className={`drawerOverlay ${open ? "drawerOverlay--open" : ""}`} aria-hidden={!open}>
+      <div
+        className={`drawer ${open ? "drawer--open" : ""}`}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Shopping cart"
+      >
+        <div className="drawer__header">
+          <div>
+            <div className="drawer__title">Your cart</div>
+            <div className="drawer__subtitle">
+              {items.length === 0 ? "Empty" : `${count} item${count === 1 ? "" : "s"}`}
+            </div>
+          </div>
+
+          <button className="iconBtn" onClick={onClose} type="button" aria-label="Close cart">
+            ×
+          </button>
+        </div>
+
+        <div className="drawer__content">
+          {warnings.length > 0 ? (
+            <div className="menuNotice cartNotice" role="status">
+              <ul className="cartNotice__list">
+                {warnings.map((w) => (
+                  <li key={w}>{w}</li>
+                ))}
+              </ul>
+              <button className="iconBtn" onClick={onDismissWarnings} type="button" aria-label="Dismiss">
+                ×
+              </button>
+            </div>
+          ) : null}
+
+          {unavailableLines.length > 0 ? (
+            <div className="menuNotice menuNotice--error cartNotice" role="alert">
+              {unavailableLines.map((l) => l.name).join(", ")} {unavailableLines.length === 1 ? "is" : "are"} no longer
+              available. Remove {unavailableLines.length === 1 ? "it" : "them"} to check out.
+            </div>
+          ) : null}
+
+          {items.length === 0 ? (
+            <div className="empty">
+              <p className="empty__title">Your cart is empty.</p>
+              <p className="empty__desc">Add a few items from the menu to place an order.</p>
+            </div>
+          ) : (
+            <>
+              <div className="cartList" aria-label="Cart items">
+                {items.map((it) => (
+                  <div key={it.lineId} className="cartItem">
+                    <div className="cartItem__main">
+                      <div className="cartItem__name">{it.name}</div>
+                      {it.options && it.options.length > 0 ? (
+                        <div className="cartItem__options">{describeOptions(it.options)}</div>
+                      ) : null}
+                      <div className="cartItem__meta">
+                        {formatMoney(it.unitPrice)} each • {formatMoney(it.unitPrice * it.quantity)}
+                      </div>
+                    </div>
+
+                    <label className="sr-only" htmlFor={`note-${it.lineId}`}>
+                      Special instructions for {it.name}
+                    </label>
+                    <input
+                      id={`note-${it.lineId}`}
+                      className="input input--compact"
+                      value={it.notes || ""}
+                      onChange={(e) => onNotesChange(it.lineId, e.target.value)}
+                      placeholder="Special instructions (e.g. no onions)"
+                      maxLength={140}
+                    />
+
+                    <div className="cartItem__actions">
+                      <button
+                        className="qtyBtn"
+                        onClick={() => onDecrement(it.lineId)}
+                        type="button"
+                        aria-label={`Decrease quantity of ${it.name}`}
+                      >
+                        −
+                      </button>
+                      <div className="qty" aria-label={`Quantity ${it.quantity}`}>
+                        {it.quantity}
+                      </div>
+                      <button
+                        className="qtyBtn"
+                        onClick={() => onIncrement(it.lineId)}
+                        type="button"
+                        aria-label={`Increase quantity of ${it.name}`}
+                      >
+                        +
+                      </button>
+
+                      <button
+                        className="linkDanger"
+                        onClick={() => onRemove(it.lineId)}
+                        type="button"
+                        aria-label={`Remove ${it.name} from cart`}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <Suggestions title="Frequently added together" suggestions={suggestions} onAdd={onAdd} />
+
+              {onContinue ? (
+                <button className="btn btn-ghost" type="button" onClick={onContinue}>
+                  Continue to checkout
+                </button>
+              ) : null}
+
+              {children}
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* overlay click target */}
+      <button
+        className="drawerOverlay__clickCatcher"
+        onClick={onClose}
+        type="button"
+        aria-label="Close cart overlay"
+        tabIndex={open ? 0 : -1}
+      />
+    </div>
+  );
+}
+
+export default CartDrawer;
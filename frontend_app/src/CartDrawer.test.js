@@ -0,0 +1,86 @@
+import { fireEvent, screen, within } from "@testing-library/react";
+import CartDrawer from "./CartDrawer";
+import { rendererFor } from "./testUtils";
+
+const lines = [
+  {
+    lineId: "burger|patty:double",
+    itemId: "burger",
+    name: "Classic Burger",
+    options: [{ groupId: "patty", optionId: "double", name: "Double", priceDelta: 3 }],
+    unitPrice: 14.99,
+    quantity: 2,
+    notes: "",
+  },
+  { lineId: "fries", itemId: "fries", name: "Fries", options: [], unitPrice: 3.5, quantity: 1, notes: "Extra salt" },
+];
+
+const renderDrawer = rendererFor(
+  CartDrawer,
+  {
+    open: true,
+    items: lines,
+    count: 3,
+    warnings: [],
+    unavailableLines: [],
+    suggestions: [],
+    onContinue: null,
+    children: <div>Checkout form</div>,
+  },
+  ["onDismissWarnings", "onAdd", "onIncrement", "onDecrement", "onRemove", "onNotesChange", "onClose"]
+);
+
+test("lists each line with its options, prices and note, followed by the checkout form", () => {
+  renderDrawer();
+  const drawer = screen.getByRole("dialog", { name: "Shopping cart" });
+  expect(within(drawer).getByText("3 items")).toBeInTheDocument();
+
+  const cart = screen.getByLabelText("Cart items");
+  expect(within(cart).getByText("Double")).toBeInTheDocument();
+  expect(within(cart).getByText("$14.99 each • $29.98")).toBeInTheDocument();
+  expect(screen.getByLabelText("Special instructions for Fries")).toHaveValue("Extra salt");
+  expect(screen.getByText("Checkout form")).toBeInTheDocument();
+});
+
+test("quantity, note and remove controls report the line they belong to", () => {
+  const { onIncrement, onDecrement, onRemove, onNotesChange } = renderDrawer();
+  fireEvent.click(screen.getByRole("button", { name: "Increase quantity of Fries" }));
+  fireEvent.click(screen.getByRole("button", { name: "Decrease quantity of Classic Burger" }));
+  fireEvent.click(screen.getByRole("button", { name: "Remove Fries from cart" }));
+  fireEvent.change(screen.getByLabelText("Special instructions for Classic Burger"), {
+    target: { value: "No pickles" },
+  });
+
+  expect(onIncrement).toHaveBeenCalledWith("fries");
+  expect(onDecrement).toHaveBeenCalledWith("burger|patty:double");
+  expect(onRemove).toHaveBeenCalledWith("fries");
+  expect(onNotesChange).toHaveBeenCalledWith("burger|patty:double", "No pickles");
+});
+
+test("an empty cart says so and leaves out the checkout form", () => {
+  renderDrawer({ items: [], count: 0 });
+  expect(screen.getByText("Empty")).toBeInTheDocument();
+  expect(screen.getByText("Your cart is empty.")).toBeInTheDocument();
+  expect(screen.queryByText("Checkout form")).not.toBeInTheDocument();
+});
+
+test("shows reorder warnings and unavailable lines, and offers to continue on the cart route", () => {
+  const onContinue = jest.fn();
+  const { onDismissWarnings, onClose } = renderDrawer({
+    warnings: ["Fries cost more now."],
+    unavailableLines: [lines[1]],
+    onContinue,
+  });
+
+  expect(screen.getByRole("status")).toHaveTextContent("Fries cost more now.");
+  fireEvent.click(screen.getByRole("button", { name: "Dismiss" }));
+  expect(onDismissWarnings).toHaveBeenCalled();
+
+  expect(screen.getByRole("alert")).toHaveTextContent("Fries is no longer available. Remove it to check out.");
+
+  fireEvent.click(screen.getByRole("button", { name: "Continue to checkout" }));
+  expect(onContinue).toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole("button", { name: "Close cart" }));
+  expect(onClose).toHaveBeenCalled();
+});
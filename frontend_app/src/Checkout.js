@@ -0,0 +1,431 @@
+import React, { useEffect, useRef } from "react";
+import AddressFields from "./AddressFields";
+import CardFields from "./CardFields";
+import { normalizeAddress } from "./address";
+import { formatClock, formatMoney } from "./format";
+import { scrollIntoView } from "./routes";
+import { availableSlots, formatSlot } from "./scheduling";
+import { checkoutActions } from "./store";
+
+const TIP_PRESETS = [10, 15, 20]; // percent of subtotal
+
+// The checkout form under the cart lines: contact and delivery details, timing, promo code, tip, payment
+// and the price breakdown. `checkout` is the store's checkout slice and field edits are dispatched straight
+// to it; App handles what needs the API or the cart (promo codes, saved addresses, placing the order).
+// `pricing` is `{ subtotal, serviceFee, deliveryFee, tax, discount, tip, total }` (see the cart selectors in
+// store.js) and `eta` the cart's `{ kitchenMins, deliveryMins, leadMins }`. `active` is set on the
+// `/checkout` route and scrolls the form into view.
+// PUBLIC_INTERFACE
+function Checkout({
+  active,
+  checkout,
+  dispatch,
+  addressBook,
+  onSaveAddress,
+  onDeleteSavedAddress,
+  deliveryZone,
+  outsideDeliveryArea,
+  zoneShortfall,
+  slots,
+  hasValidSlot,
+  eta,
+  promoResult,
+  onApplyPromo,
+  pricing,
+  dietWarnings,
+  canPlaceOrder,
+  onPlaceOrder,
+  onClearCart,
+  apiBase,
+  useMockApi,
+}) {
+  const { name, phone, fulfillment, address, deliveryTiming, scheduledSlot, notes, tipChoice } = checkout;
+  const { appliedPromo, promoInput, promoError, isApplyingPromo, paymentMethod, card, error, isPlacing } = checkout;
+  const update = (changes) => dispatch(checkoutActions.update(changes));
+  const isPickup = fulfillment === "pickup";
+  const formRef = useRef(null);
+
+  useEffect(() => {
+    if (active) scrollIntoView(formRef.current);
+  }, [active]);
+
+  // Switching to a scheduled order preselects the earliest slot.
+  function chooseTiming(timing) {
+    dispatch(checkoutActions.chooseTiming(timing, availableSlots(Date.now(), eta.leadMins)[0] || null));
+  }
+
+  return (
+    <div className="checkout" ref={formRef}>
+      <h3 className="checkout__title">Checkout</h3>
+
+      <div className="formGrid">
+        <div className="field">
+          <label className="label" htmlFor="name">
+            Name
+          </label>
+          <input
+            id="name"
+            className="input"
+            value={name}
+            onChange={(e) => update({ name: e.target.value })}
+            placeholder="Alex Johnson"
+            autoComplete="name"
+          />
+        </div>
+
+        <div className="field">
+          <label className="label" htmlFor="phone">
+            Phone (optional)
+          </label>
+          <input
+            id="phone"
+            className="input"
+            type="tel"
+            value={phone}
+            onChange={(e) => update({ phone: e.target.value })}
+            placeholder="(555) 010-0199"
+            autoComplete="tel"
+          />
+        </div>
+
+        {isPickup ? null : (
+          <>
+            <AddressFields
+              address={address}
+              onChange={(next) => update({ address: next })}
+              savedAddresses={addressBook}
+              onSave={onSaveAddress}
+              onDeleteSaved={onDeleteSavedAddress}
+            />
+
+            {outsideDeliveryArea ? (
+              <div className="field field--full menuNotice menuNotice--error" role="alert">
+                Sorry, we don't deliver to {normalizeAddress(address).postalCode} yet.
+              </div>
+            ) : zoneShortfall > 0 ? (
+              <div className="field field--full menuNotice" role="status">
+                {deliveryZone.name} has a {formatMoney(deliveryZone.minimumOrder)} minimum — add{" "}
+                {formatMoney(zoneShortfall)} more to place this order.
+              </div>
+            ) : null}
+          </>
+        )}
+
+        <div className="field field--full">
+          <label className="label" htmlFor="slot">
+            {isPickup ? "Pickup time" : "Delivery time"}
+          </label>
+          <div className="segmented" role="radiogroup" aria-label={isPickup ? "Pickup time" : "Delivery time"}>
+            {[
+              { id: "asap", label: "ASAP" },
+              { id: "scheduled", label: isPickup ? "Pick up at…" : "Deliver at…" },
+            ].map((opt) => (
+              <button
+                key={opt.id}
+                className={`segBtn ${deliveryTiming === opt.id ? "segBtn--active" : ""}`}
+                onClick={() => chooseTiming(opt.id)}
+                type="button"
+                role="radio"
+                aria-checked={deliveryTiming === opt.id ? "true" : "false"}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          {deliveryTiming === "scheduled" ? (
+            slots.length > 0 ? (
+              <>
+                <select
+                  id="slot"
+                  className="input slotSelect"
+                  value={hasValidSlot ? String(scheduledSlot) : ""}
+                  onChange={(e) => update({ scheduledSlot: Number(e.target.value) || null })}
+                >
+                  {!hasValidSlot ? <option value="">Choose a time…</option> : null}
+                  {slots.map((slot) => (
+                    <option key={slot} value={String(slot)}>
+                      {formatSlot(slot)}
+                    </option>
+                  ))}
+                </select>
+                <div className="smallNote">
+                  Earliest slot allows {eta.leadMins} min to confirm, cook
+                  {isPickup ? "" : " and deliver"} your order.
+                </div>
+              </>
+            ) : (
+              <div className="fieldError">No {isPickup ? "pickup" : "delivery"} slots left in the next two days.</div>
+            )
+          ) : null}
+        </div>
+
+        <div className="field field--full etaPreview" aria-label="Estimated arrival">
+          {deliveryTiming === "scheduled" && hasValidSlot ? (
+            <span>
+              {isPickup ? "Ready" : "Arrives"} {formatSlot(scheduledSlot)}
+            </span>
+          ) : (
+            <span>
+              {isPickup ? "Ready for pickup" : "Estimated arrival"}{" "}
+              <strong>{formatClock(Date.now() + eta.leadMins * 60_000)}</strong> · about {eta.leadMins} min
+            </span>
+          )}
+          <span className="etaPreview__breakdown">
+            Kitchen ~{eta.kitchenMins} min{isPickup ? "" : ` · delivery ~${eta.deliveryMins} min`}
+          </span>
+        </div>
+
+        <div className="field field--full">
+          <label className="label" htmlFor="notes">
+            Notes (optional)
+          </label>
+          <textarea
+            id="notes"
+            className="textarea"
+            value={notes}
+            onChange={(e) => update({ notes: e.target.value })}
+            placeholder="Allergies, kitchen requests…"
+            rows={3}
+          />
+        </div>
+
+        <div className="field field--full">
+          <label className="label" htmlFor="promo">
+            Promo code
+          </label>
+          {appliedPromo ? (
+            <div className="promoApplied">
+              <span className="chip">{appliedPromo.code}</span>
+              <span className="promoApplied__desc">{promoResult.error || appliedPromo.description || "Applied"}</span>
+              <button className="linkDanger" type="button" onClick={() => dispatch(checkoutActions.removePromo())}>
+                Remove
+              </button>
+            </div>
+          ) : (
+            <form
+              className="promoRow"
+              onSubmit={(e) => {
+                e.preventDefault();
+                onApplyPromo();
+              }}
+            >
+              <input
+                id="promo"
+                className="input"
+                value={promoInput}
+                onChange={(e) => update({ promoInput: e.target.value })}
+                placeholder="e.g. WELCOME10"
+                autoComplete="off"
+              />
+              <button className="btn btn-ghost" type="submit" disabled={!promoInput.trim() || isApplyingPromo}>
+                {isApplyingPromo ? "Checking…" : "Apply"}
+              </button>
+            </form>
+          )}
+          {promoError ? (
+            <div className="fieldError" role="alert">
+              {promoError}
+            </div>
+          ) : null}
+        </div>
+
+        {isPickup ? null : (
+          <div className="field field--full">
+            <div className="label" id="tipLabel">
+              Courier tip
+            </div>
+            <div className="segmented" role="radiogroup" aria-labelledby="tipLabel">
+              {[
+                { id: "none", label: "None", choice: { type: "none" } },
+                ...TIP_PRESETS.map((pct) => ({
+                  id: `pct-${pct}`,
+                  label: `${pct}%`,
+                  choice: { type: "percent", value: pct },
+                })),
+                {
+                  id: "custom",
+                  label: "Custom",
+                  choice: { type: "custom", value: tipChoice.type === "custom" ? tipChoice.value : "" },
+                },
+              ].map((opt) => {
+                const selected =
+                  opt.choice.type === tipChoice.type &&
+                  (opt.choice.type !== "percent" || opt.choice.value === tipChoice.value);
+                return (
+                  <button
+                    key={opt.id}
+                    className={`segBtn ${selected ? "segBtn--active" : ""}`}
+                    onClick={() => update({ tipChoice: opt.choice })}
+                    type="button"
+                    role="radio"
+                    aria-checked={selected ? "true" : "false"}
+                  >
+                    {opt.label}
+                  </button>
+                );
+              })}
+            </div>
+            {tipChoice.type === "custom" ? (
+              <>
+                <label className="sr-only" htmlFor="tip">
+                  Custom tip amount
+                </label>
+                <input
+                  id="tip"
+                  className="input tipInput"
+                  value={tipChoice.value}
+                  onChange={(e) => update({ tipChoice: { type: "custom", value: e.target.value } })}
+                  placeholder="Tip amount"
+                  inputMode="decimal"
+                  type="number"
+                  min="0"
+                  step="0.5"
+                />
+              </>
+            ) : null}
+          </div>
+        )}
+
+        <div className="field">
+          <label className="label" htmlFor="fulfillment">
+            Fulfillment
+          </label>
+          <div className="segmented" role="radiogroup" aria-label="Fulfillment">
+            {[
+              { id: "delivery", label: "Delivery" },
+              { id: "pickup", label: "Pickup" },
+            ].map((fm) => (
+              <button
+                key={fm.id}
+                className={`segBtn ${fulfillment === fm.id ? "segBtn--active" : ""}`}
+                onClick={() => update({ fulfillment: fm.id })}
+                type="button"
+                role="radio"
+                aria-checked={fulfillment === fm.id ? "true" : "false"}
+              >
+                {fm.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="field">
+          <label className="label" htmlFor="payment">
+            Payment
+          </label>
+          <div className="segmented" role="radiogroup" aria-label="Payment method">
+            {[
+              { id: "card", label: "Card" },
+              { id: "cash", label: "Cash" },
+            ].map((pm) => (
+              <button
+                key={pm.id}
+                className={`segBtn ${paymentMethod === pm.id ? "segBtn--active" : ""}`}
+                onClick={() => update({ paymentMethod: pm.id })}
+                type="button"
+                role="radio"
+                aria-checked={paymentMethod === pm.id ? "true" : "false"}
+              >
+                {pm.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {paymentMethod === "card" ? <CardFields card={card} onChange={(next) => update({ card: next })} /> : null}
+      </div>
+
+      <div className="totals totals--cart">
+        <div className="totals__row">
+          <span>Subtotal</span>
+          <span>{formatMoney(pricing.subtotal)}</span>
+        </div>
+        <div className="totals__row">
+          <span>Service fee</span>
+          <span>{formatMoney(pricing.serviceFee)}</span>
+        </div>
+        {isPickup ? null : (
+          <div className="totals__row">
+            <span>Delivery fee{deliveryZone ? ` (${deliveryZone.name})` : ""}</span>
+            <span>{formatMoney(pricing.deliveryFee)}</span>
+          </div>
+        )}
+        {pricing.discount > 0 ? (
+          <div className="totals__row totals__row--discount">
+            <span>Discount ({appliedPromo.code})</span>
+            <span>−{formatMoney(pricing.discount)}</span>
+          </div>
+        ) : null}
+        <div className="totals__row">
+          <span>Tax</span>
+          <span>{formatMoney(pricing.tax)}</span>
+        </div>
+        {isPickup ? null : (
+          <div className="totals__row">
+            <span>Courier tip</span>
+            <span>{formatMoney(pricing.tip)}</span>
+          </div>
+        )}
+        <div className="totals__row totals__row--strong">
+          <span>Total</span>
+          <span>{formatMoney(pricing.total)}</span>
+        </div>
+      </div>
+
+      {dietWarnings.length > 0 ? (
+        <div className="menuNotice" role="alert" aria-label="Dietary warning">
+          <div>
+            Heads up — this doesn’t match your dietary profile:
+            <ul className="cartNotice__list">
+              {dietWarnings.map((w) => (
+                <li key={w.lineId}>
+                  {w.name} {w.reasons.join(" and ")}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      ) : null}
+
+      {error ? (
+        <div className="menuNotice menuNotice--error" role="alert">
+          {error.message} {error.hint}
+        </div>
+      ) : null}
+
+      <div className="checkout__actions">
+        <button className="btn btn-ghost" type="button" onClick={onClearCart}>
+          Clear cart
+        </button>
+        <button
+          className="btn btn-primary"
+          type="button"
+          onClick={onPlaceOrder}
+          disabled={!canPlaceOrder || isPlacing}
+          aria-disabled={!canPlaceOrder || isPlacing ? "true" : "false"}
+          title={
+            canPlaceOrder ? "" : "Add items, then enter a name and an address we deliver to before placing an order."
+          }
+        >
+          {isPlacing ? "Placing…" : "Place order"}
+        </button>
+      </div>
+
+      <div className="smallNote">
+        {apiBase ? (
+          <span>
+            Orders go to {useMockApi ? "the in-browser mock API" : <code>{apiBase}</code>}. If it can’t be reached, they
+            wait here and are sent once it’s back.
+          </span>
+        ) : (
+          <span>
+            Demo mode: orders are simulated in this browser and never reach a kitchen. Set{" "}
+            <code>REACT_APP_API_BASE</code> (or <code>REACT_APP_API_MOCK=true</code>) to connect.
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Checkout;
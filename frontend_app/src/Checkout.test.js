@@ -0,0 +1,120 @@
+import { fireEvent, screen, within } from "@testing-library/react";
+import Checkout from "./Checkout";
+import { checkoutActions, initialStoreState } from "./store";
+import { rendererFor } from "./testUtils";
+
+const pricing = { subtotal: 20, serviceFee: 1.6, deliveryFee: 2.99, tax: 1.65, discount: 0, tip: 3, total: 29.24 };
+const noPromo = { itemDiscount: 0, freeDelivery: false, error: "" };
+
+// Form state as the store starts it, with a name filled in; pass changes to override fields.
+function form(changes = {}) {
+  return { ...initialStoreState("").checkout, name: "Sam", ...changes };
+}
+
+const renderCheckout = rendererFor(
+  Checkout,
+  {
+    active: false,
+    checkout: form(),
+    addressBook: [],
+    deliveryZone: null,
+    outsideDeliveryArea: false,
+    zoneShortfall: 0,
+    slots: [],
+    hasValidSlot: true,
+    eta: { kitchenMins: 14, deliveryMins: 12, leadMins: 28 },
+    promoResult: noPromo,
+    pricing,
+    dietWarnings: [],
+    canPlaceOrder: true,
+    apiBase: "",
+    useMockApi: false,
+  },
+  ["dispatch", "onSaveAddress", "onDeleteSavedAddress", "onApplyPromo", "onPlaceOrder", "onClearCart"]
+);
+
+function totalsRow(label) {
+  return screen.getByText(label).closest(".totals__row");
+}
+
+test("shows the price breakdown and places the order when allowed", () => {
+  const { onPlaceOrder } = renderCheckout();
+  expect(totalsRow("Service fee")).toHaveTextContent("$1.60");
+  expect(totalsRow("Delivery fee")).toHaveTextContent("$2.99");
+  expect(totalsRow("Total")).toHaveTextContent("$29.24");
+  expect(screen.getByLabelText("Estimated arrival")).toHaveTextContent("about 28 min");
+
+  fireEvent.click(screen.getByRole("button", { name: "Place order" }));
+  expect(onPlaceOrder).toHaveBeenCalled();
+});
+
+test("placing is blocked until the form is complete", () => {
+  const { onPlaceOrder } = renderCheckout({ canPlaceOrder: false });
+  const place = screen.getByRole("button", { name: "Place order" });
+  expect(place).toBeDisabled();
+  fireEvent.click(place);
+  expect(onPlaceOrder).not.toHaveBeenCalled();
+});
+
+test("pickup drops the address, delivery fee and tip", () => {
+  renderCheckout({ checkout: form({ fulfillment: "pickup" }) });
+  expect(screen.queryByLabelText("Street address")).not.toBeInTheDocument();
+  expect(screen.queryByText(/^Delivery fee/)).not.toBeInTheDocument();
+  expect(screen.queryByRole("radiogroup", { name: "Courier tip" })).not.toBeInTheDocument();
+  expect(screen.getByRole("radiogroup", { name: "Pickup time" })).toBeInTheDocument();
+});
+
+test("tip, timing, fulfillment and payment choices report the picked option", () => {
+  const { dispatch } = renderCheckout();
+
+  const tip = screen.getByRole("radiogroup", { name: "Courier tip" });
+  expect(within(tip).getByRole("radio", { name: "15%" })).toHaveAttribute("aria-checked", "true");
+  fireEvent.click(within(tip).getByRole("radio", { name: "20%" }));
+  expect(dispatch).toHaveBeenCalledWith(checkoutActions.update({ tipChoice: { type: "percent", value: 20 } }));
+
+  fireEvent.click(screen.getByRole("radio", { name: "Deliver at…" }));
+  expect(dispatch).toHaveBeenCalledWith(
+    expect.objectContaining({ type: "checkout/chooseTiming", timing: "scheduled" })
+  );
+  fireEvent.click(screen.getByRole("radio", { name: "Pickup" }));
+  expect(dispatch).toHaveBeenCalledWith(checkoutActions.update({ fulfillment: "pickup" }));
+  fireEvent.click(screen.getByRole("radio", { name: "Cash" }));
+  expect(dispatch).toHaveBeenCalledWith(checkoutActions.update({ paymentMethod: "cash" }));
+});
+
+test("a custom tip gets its own labelled amount field", () => {
+  const { dispatch } = renderCheckout({ checkout: form({ tipChoice: { type: "custom", value: "2" } }) });
+  const amount = screen.getByLabelText("Custom tip amount");
+  expect(amount).toHaveValue(2);
+  fireEvent.change(amount, { target: { value: "4" } });
+  expect(dispatch).toHaveBeenCalledWith(checkoutActions.update({ tipChoice: { type: "custom", value: "4" } }));
+});
+
+test("an applied promo shows its discount; a zone minimum and dietary clashes are flagged", () => {
+  const { dispatch } = renderCheckout({
+    checkout: form({ appliedPromo: { code: "WELCOME10", description: "10% off your order" } }),
+    pricing: { ...pricing, discount: 2 },
+    deliveryZone: { id: "outer", name: "Outer Bay", fee: 3.99, minimumOrder: 25 },
+    zoneShortfall: 5,
+    dietWarnings: [{ lineId: "burger", name: "Classic Burger", reasons: ["isn’t vegetarian"] }],
+  });
+
+  expect(screen.getByText("10% off your order")).toBeInTheDocument();
+  expect(totalsRow("Discount (WELCOME10)")).toHaveTextContent("−$2.00");
+  fireEvent.click(screen.getByRole("button", { name: "Remove" }));
+  expect(dispatch).toHaveBeenCalledWith(checkoutActions.removePromo());
+
+  expect(screen.getByText(/Outer Bay has a \$25\.00 minimum/)).toBeInTheDocument();
+  expect(screen.getByRole("alert", { name: "Dietary warning" })).toHaveTextContent("Classic Burger isn’t vegetarian");
+});
+
+test("the /checkout route scrolls the form into view", () => {
+  const scrollIntoView = jest.fn();
+  window.HTMLElement.prototype.scrollIntoView = scrollIntoView;
+  try {
+    renderCheckout({ active: true });
+    expect(scrollIntoView).toHaveBeenCalledWith({ behavior: "smooth", block: "start" });
+  } finally {
+    delete window.HTMLElement.prototype.scrollIntoView;
+  }
+});
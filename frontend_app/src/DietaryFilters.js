@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { AVOID_OPTIONS, DIETS, dietFilterSize, EMPTY_DIET_FILTER, sameDietFilter } from "./dietary";
+
+function toggle(list, id) {
+  return list.includes(id) ? list.filter((x) => x !== id) : [...list, id];
+}
+
+// Multi-select diet/allergen filter shown under the category pills. `profile` is the saved dietary
+// profile; the filter starts from it, and "Save as my dietary profile" stores the current selection.
+// PUBLIC_INTERFACE
+function DietaryFilters({ filter, onChange, profile, onSaveProfile, notice }) {
+  const [open, setOpen] = useState(false);
+  const count = dietFilterSize(filter);
+  const isProfile = sameDietFilter(filter, profile);
+
+  const groups = [
+    { key: "diets", legend: "Only show", options: DIETS },
+    { key: "avoid", legend: "Leave out", options: AVOID_OPTIONS },
+  ];
+
+  return (
+    <div className="dietFilters">
+      <button
+        className={`pill ${count > 0 ? "pill--active" : ""}`}
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open ? "true" : "false"}
+        aria-controls="dietFiltersPanel"
+      >
+        Dietary filters{count > 0 ? ` (${count})` : ""}
+      </button>
+      {count > 0 && isProfile && !open ? <span className="dietFilters__hint">Using your dietary profile</span> : null}
+
+      {open ? (
+        <div id="dietFiltersPanel" className="dietFilters__panel">
+          {groups.map((g) => (
+            <fieldset key={g.key} className="dietFilters__group">
+              <legend className="label">{g.legend}</legend>
+              {g.options.map((o) => (
+                <label key={o.id} className="dietFilters__option">
+                  <input
+                    type="checkbox"
+                    checked={filter[g.key].includes(o.id)}
+                    onChange={() => onChange({ ...filter, [g.key]: toggle(filter[g.key], o.id) })}
+                  />
+                  {o.label}
+                </label>
+              ))}
+            </fieldset>
+          ))}
+          <div className="dietFilters__actions">
+            <button className="btn btn-ghost" type="button" onClick={() => onChange(EMPTY_DIET_FILTER)}>
+              Clear
+            </button>
+            <button className="btn btn-primary" type="button" onClick={onSaveProfile} disabled={isProfile}>
+              Save as my dietary profile
+            </button>
+          </div>
+          {notice ? (
+            <div className="dietFilters__hint" role="status">
+              {notice}
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default DietaryFilters;
@@ -0,0 +1,19 @@
+import React from "react";
+import { highlightParts } from "./search";
+
+// Renders `text` with the `[start, end)` ranges from a search result wrapped in <mark>.
+// PUBLIC_INTERFACE
+function Highlight({ text, ranges }) {
+  if (!ranges || ranges.length === 0) return text;
+  return highlightParts(text, ranges).map((part, i) =>
+    part.match ? (
+      <mark key={i} className="searchMark">
+        {part.text}
+      </mark>
+    ) : (
+      part.text
+    )
+  );
+}
+
+export default Highlight;
@@ -0,0 +1,89 @@
+import React, { useEffect } from "react";
+import Suggestions from "./Suggestions";
+import { ALLERGENS, ATTRIBUTE_OPTIONS, labelOf } from "./dietary";
+import { formatMoney } from "./format";
+import { hasOptions } from "./itemOptions";
+
+// Item details for `/menu/:itemId`. `item` is null while the menu loads or when the link points at an item
+// that is no longer on the menu.
+// PUBLIC_INTERFACE
+function ItemDetailDialog({ item, loading, suggestions, onAdd, onClose }) {
+  // Accessibility: close with Escape
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === "Escape") onClose();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="modalOverlay">
+      <button
+        className="modalOverlay__clickCatcher"
+        onClick={onClose}
+        type="button"
+        aria-label="Close details overlay"
+      />
+      <div className="modal" role="dialog" aria-modal="true" aria-label={item ? item.name : "Menu item"}>
+        <div className="drawer__header">
+          <div>
+            <div className="drawer__title">{item ? item.name : "Menu item"}</div>
+            {item ? (
+              <div className="drawer__subtitle">
+                {formatMoney(item.price)} · {item.prepMins} min
+              </div>
+            ) : null}
+          </div>
+          <button className="iconBtn" onClick={onClose} type="button" aria-label="Close details">
+            ×
+          </button>
+        </div>
+
+        <div className="modal__content">
+          {!item ? (
+            <p className="empty__desc">{loading ? "Loading the menu…" : "This item isn’t on the menu anymore."}</p>
+          ) : null}
+          {item ? (
+            <>
+              {item.image ? <img className="card__image" src={item.image} alt="" /> : null}
+              <p className="card__desc">{item.description}</p>
+              <div className="card__chips" aria-label="Item tags">
+                {item.tags.map((t) => (
+                  <span key={t} className="chip">
+                    {t}
+                  </span>
+                ))}
+                {item.dietary.map((d) => (
+                  <span key={d} className="chip chip--diet">
+                    {labelOf(ATTRIBUTE_OPTIONS, d)}
+                  </span>
+                ))}
+                {item.soldOut ? <span className="chip chip--soldOut">Sold out</span> : null}
+              </div>
+              <div className="card__allergens">
+                {item.allergens.length > 0
+                  ? `Contains: ${item.allergens.map((a) => labelOf(ALLERGENS, a).toLowerCase()).join(", ")}`
+                  : "No listed allergens"}
+              </div>
+              <Suggestions title="You might also like" suggestions={suggestions} onAdd={onAdd} />
+            </>
+          ) : null}
+        </div>
+
+        <div className="checkout__actions">
+          <button className="btn btn-ghost" type="button" onClick={onClose}>
+            Back to menu
+          </button>
+          {item ? (
+            <button className="btn btn-primary" type="button" onClick={() => onAdd(item.id)} disabled={item.soldOut}>
+              {item.soldOut ? "Sold out" : hasOptions(item) ? "Customize" : "Add to cart"}
+            </button>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ItemDetailDialog;
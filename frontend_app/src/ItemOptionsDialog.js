@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from "react";
+import { formatMoney } from "./format";
+import {
+  defaultSelections,
+  resolveSelections,
+  toggleSelection,
+  unitPriceWithOptions,
+  validateSelections,
+} from "./itemOptions";
+
+// PUBLIC_INTERFACE
+function ItemOptionsDialog({ item, onCancel, onConfirm }) {
+  const [selections, setSelections] = useState(() => defaultSelections(item));
+  const [showErrors, setShowErrors] = useState(false);
+
+  const errors = validateSelections(item, selections);
+  const chosen = resolveSelections(item, selections);
+  const unitPrice = unitPriceWithOptions(item.price, chosen);
+
+  // Accessibility: close with Escape
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === "Escape") onCancel();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onCancel]);
+
+  function confirm() {
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    onConfirm(chosen);
+  }
+
+  return (
+    <div className="modalOverlay">
+      <button className="modalOverlay__clickCatcher" onClick={onCancel} type="button" aria-label="Close options overlay" />
+      <div className="modal" role="dialog" aria-modal="true" aria-label={`Customize ${item.name}`}>
+        <div className="drawer__header">
+          <div>
+            <div className="drawer__title">{item.name}</div>
+            <div className="drawer__subtitle">{item.description}</div>
+          </div>
+          <button className="iconBtn" onClick={onCancel} type="button" aria-label="Close options">
+            ×
+          </button>
+        </div>
+
+        <div className="modal__content">
+          {item.optionGroups.map((g) => (
+            <fieldset key={g.id} className="optionGroup">
+              <legend className="optionGroup__legend">
+                {g.name}
+                <span className="optionGroup__hint">
+                  {g.required ? "Required" : "Optional"}
+                  {g.type === "multi" ? " · choose any" : ""}
+                </span>
+              </legend>
+
+              {g.options.map((o) => {
+                const checked = (selections[g.id] || []).includes(o.id);
+                return (
+                  <label key={o.id} className={`optionRow ${checked ? "optionRow--checked" : ""}`}>
+                    <input
+                      type={g.type === "single" ? "radio" : "checkbox"}
+                      name={`${item.id}-${g.id}`}
+                      checked={checked}
+                      onChange={() => setSelections((prev) => toggleSelection(item, prev, g.id, o.id))}
+                    />
+                    <span className="optionRow__name">{o.name}</span>
+                    <span className="optionRow__price">
+                      {o.priceDelta > 0 ? `+${formatMoney(o.priceDelta)}` : ""}
+                    </span>
+                  </label>
+                );
+              })}
+
+              {showErrors && errors[g.id] ? (
+                <div className="fieldError" role="alert">
+                  {errors[g.id]}
+                </div>
+              ) : null}
+            </fieldset>
+          ))}
+        </div>
+
+        <div className="checkout__actions">
+          <button className="btn btn-ghost" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" type="button" onClick={confirm}>
+            Add to cart · {formatMoney(unitPrice)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ItemOptionsDialog;
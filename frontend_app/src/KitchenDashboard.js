@@ -0,0 +1,220 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import "./App.css";
+import { formatClock } from "./format";
+import { describeOptions } from "./itemOptions";
+import { safeParseJson } from "./json";
+import { formatSlot } from "./scheduling";
+import { isTerminalStatus } from "./trackingSocket";
+import {
+  createKitchenChannel,
+  KITCHEN_POLL_MS,
+  kitchenQueue,
+  nextKitchenStatus,
+  statusEvent,
+  TRACKED_ORDERS_KEY,
+} from "./kitchen";
+import { staffErrorMessage } from "./views";
+
+const ACTION_LABELS = {
+  Confirmed: "Confirm",
+  Preparing: "Start preparing",
+  "Out for delivery": "Send out for delivery",
+  Delivered: "Mark delivered",
+  "Ready for pickup": "Mark ready for pickup",
+  "Picked up": "Mark picked up",
+};
+
+function readLocalOrders() {
+  const saved = safeParseJson(window.localStorage.getItem(TRACKED_ORDERS_KEY), []);
+  return Array.isArray(saved) ? saved : [];
+}
+
+function KitchenTicket({ order, busy, onAdvance }) {
+  const next = nextKitchenStatus(order);
+  return (
+    <article className="card kitchenTicket" aria-label={`Order ${order.id}`}>
+      <div className="kitchenTicket__top">
+        <div>
+          <div className="miniRow__name">#{order.id}</div>
+          <div className="miniRow__meta">
+            {order.customerName || "Guest"} · {order.fulfillment === "pickup" ? "Pickup" : "Delivery"}
+            {order.createdAt ? ` · placed ${formatClock(order.createdAt)}` : ""}
+          </div>
+          {order.scheduledFor ? <div className="miniRow__meta">For {formatSlot(order.scheduledFor)}</div> : null}
+        </div>
+        <div className="statusPill">{order.status}</div>
+      </div>
+
+      <ul className="kitchenTicket__items" aria-label="Items">
+        {(order.items || []).map((it, i) => (
+          <li key={it.lineId || `${it.itemId}-${i}`}>
+            <strong>
+              {it.quantity} × {it.name}
+            </strong>
+            {it.options && it.options.length > 0 ? (
+              <span className="miniRow__meta"> — {describeOptions(it.options)}</span>
+            ) : null}
+            {it.notes ? <div className="kitchenTicket__note">“{it.notes}”</div> : null}
+          </li>
+        ))}
+      </ul>
+
+      {order.notes ? <div className="kitchenTicket__note">Order note: {order.notes}</div> : null}
+
+      {next ? (
+        <button className="btn btn-primary" type="button" disabled={busy} onClick={() => onAdvance(order, next)}>
+          {ACTION_LABELS[next] || `Move to ${next}`}
+        </button>
+      ) : null}
+    </article>
+  );
+}
+
+// Staff view of incoming orders. `api` is the backend client, or null to work against the orders the
+// customer tab keeps in this browser (demo mode).
+// PUBLIC_INTERFACE
+function KitchenDashboard({ api = null, channelImpl }) {
+  const [orders, setOrders] = useState(() => (api ? [] : readLocalOrders()));
+  const [loadState, setLoadState] = useState(api ? "loading" : "ready"); // loading | ready | error
+  const [error, setError] = useState("");
+  const [busyOrderId, setBusyOrderId] = useState(null);
+  // Demo mode: statuses set here, kept until the customer tab writes them back (or if it is closed).
+  const [localStatuses, setLocalStatuses] = useState({});
+  const channelRef = useRef(null);
+
+  useEffect(() => {
+    document.documentElement.setAttribute("data-theme", "light");
+  }, []);
+
+  const refresh = useCallback(
+    async (signal) => {
+      if (!api) {
+        setOrders(readLocalOrders());
+        return;
+      }
+      try {
+        setOrders(await api.listActiveOrders({ signal }));
+        setLoadState("ready");
+        setError("");
+      } catch (err) {
+        if (signal && signal.aborted) return;
+        setError(staffErrorMessage(err, "load orders"));
+        setLoadState((prev) => (prev === "loading" ? "error" : prev));
+      }
+    },
+    [api]
+  );
+
+  // Backend: poll the queue. Demo: follow the customer tab's writes to localStorage.
+  useEffect(() => {
+    if (!api) {
+      const channel = createKitchenChannel({ channelImpl });
+      channelRef.current = channel;
+      const onStorage = (e) => {
+        if (e.key === TRACKED_ORDERS_KEY) refresh();
+      };
+      window.addEventListener("storage", onStorage);
+      return () => {
+        window.removeEventListener("storage", onStorage);
+        channel.close();
+        channelRef.current = null;
+      };
+    }
+
+    const controller = new AbortController();
+    refresh(controller.signal);
+    const timer = window.setInterval(() => refresh(controller.signal), KITCHEN_POLL_MS);
+    return () => {
+      window.clearInterval(timer);
+      controller.abort();
+    };
+  }, [api, channelImpl, refresh]);
+
+  async function advance(order, status) {
+    setBusyOrderId(order.id);
+    setError("");
+    try {
+      if (api) {
+        const update = await api.updateOrderStatus(order.id, status);
+        setOrders((prev) => prev.map((o) => (o.id === order.id ? { ...o, status: update.status } : o)));
+      } else {
+        channelRef.current.publish(statusEvent(order.id, status));
+        setLocalStatuses((prev) => ({ ...prev, [order.id]: status }));
+      }
+    } catch (err) {
+      setError(staffErrorMessage(err, `update #${order.id}`));
+    } finally {
+      setBusyOrderId(null);
+    }
+  }
+
+  const queue = useMemo(
+    () =>
+      kitchenQueue(
+        orders.map((o) => {
+          const local = localStatuses[o.id];
+          return local && !isTerminalStatus(o.status) ? { ...o, status: local } : o;
+        })
+      ),
+    [orders, localStatuses]
+  );
+
+  return (
+    <div className="App">
+      <header className="topbar">
+        <div className="topbar__inner">
+          <div className="brand">
+            <div className="brand__mark" aria-hidden="true">
+              O
+            </div>
+            <div className="brand__text">
+              <div className="brand__name">OceanEats Kitchen</div>
+              <div className="brand__tagline">
+                {api ? "Live orders from the restaurant backend" : "Demo: orders placed in this browser"}
+              </div>
+            </div>
+          </div>
+          <nav className="topbar__actions" aria-label="Kitchen">
+            <a className="btn btn-ghost" href={window.location.pathname}>
+              Customer view
+            </a>
+          </nav>
+        </div>
+      </header>
+
+      <main id="main" className="page">
+        <div className="menu__header">
+          <h2 className="section-title">Incoming orders</h2>
+          <div className="section-meta">
+            {loadState === "loading" ? "Loading…" : `${queue.length} open order${queue.length === 1 ? "" : "s"}`}
+          </div>
+        </div>
+
+        {error ? (
+          <div className="menuNotice menuNotice--error" role="alert">
+            {error}
+          </div>
+        ) : null}
+
+        {loadState === "ready" && queue.length === 0 ? (
+          <div className="empty">
+            <p className="empty__title">No open orders.</p>
+            <p className="empty__desc">
+              {api
+                ? "New orders appear here as customers place them."
+                : "Place an order in the customer view in another tab of this browser; it shows up here."}
+            </p>
+          </div>
+        ) : (
+          <div className="grid kitchenGrid">
+            {queue.map((o) => (
+              <KitchenTicket key={o.id} order={o} busy={busyOrderId === o.id} onAdvance={advance} />
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default KitchenDashboard;
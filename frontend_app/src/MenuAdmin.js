@@ -0,0 +1,360 @@
+import React, { useEffect, useMemo, useState } from "react";
+import "./App.css";
+import { ALLERGENS, ATTRIBUTE_OPTIONS, labelOf } from "./dietary";
+import { formatMoney } from "./format";
+import { normalizeCatalog, orderedCategories } from "./menu";
+import {
+  applyDraft,
+  EMPTY_ITEM_DRAFT,
+  itemToDraft,
+  localCatalog,
+  moveCategory,
+  validateMenuItem,
+  writeLocalCatalog,
+} from "./menuAdminModel";
+import { SAMPLE_MENU } from "./sampleMenu";
+import { staffErrorMessage } from "./views";
+
+const DRAFT_FIELDS = [
+  { key: "name", label: "Name", placeholder: "Fish Tacos" },
+  { key: "price", label: "Price ($)", placeholder: "12.50", inputMode: "decimal" },
+  { key: "prepMins", label: "Prep time (minutes)", placeholder: "15", inputMode: "numeric" },
+  { key: "tags", label: "Categories (comma separated)", placeholder: "Tacos, Sides" },
+  { key: "image", label: "Image URL (optional)", placeholder: "https://…", full: true },
+];
+
+const DRAFT_CHECKLISTS = [
+  { key: "dietary", legend: "Dietary", options: ATTRIBUTE_OPTIONS },
+  { key: "allergens", legend: "Contains", options: ALLERGENS },
+];
+
+function toggle(list, id) {
+  return list.includes(id) ? list.filter((x) => x !== id) : [...list, id];
+}
+
+function ItemEditor({ draft, items, onCancel, onSubmit }) {
+  const [value, setValue] = useState(draft);
+  const [submitted, setSubmitted] = useState(false);
+  const errors = submitted ? validateMenuItem(value, items) : {};
+
+  return (
+    <form
+      className="tracking__card formGrid"
+      aria-label={draft.id ? `Edit ${draft.name}` : "New item"}
+      noValidate
+      onSubmit={(e) => {
+        e.preventDefault();
+        setSubmitted(true);
+        if (Object.keys(validateMenuItem(value, items)).length === 0) onSubmit(value);
+      }}
+    >
+      <h3 className="checkout__title field--full">{draft.id ? `Edit ${draft.name}` : "New item"}</h3>
+      {DRAFT_FIELDS.map((f) => (
+        <div key={f.key} className={`field ${f.full ? "field--full" : ""}`}>
+          <label className="label" htmlFor={`item-${f.key}`}>
+            {f.label}
+          </label>
+          <input
+            id={`item-${f.key}`}
+            className={`input ${errors[f.key] ? "input--invalid" : ""}`}
+            value={value[f.key]}
+            onChange={(e) => setValue((prev) => ({ ...prev, [f.key]: e.target.value }))}
+            placeholder={f.placeholder}
+            inputMode={f.inputMode}
+          />
+          {errors[f.key] ? (
+            <div className="fieldError" role="alert">
+              {errors[f.key]}
+            </div>
+          ) : null}
+        </div>
+      ))}
+      <div className="field field--full">
+        <label className="label" htmlFor="item-description">
+          Description
+        </label>
+        <textarea
+          id="item-description"
+          className="textarea"
+          rows={2}
+          value={value.description}
+          onChange={(e) => setValue((prev) => ({ ...prev, description: e.target.value }))}
+        />
+      </div>
+      {DRAFT_CHECKLISTS.map((c) => (
+        <fieldset key={c.key} className="dietFilters__group field--full">
+          <legend className="label">{c.legend}</legend>
+          {c.options.map((o) => (
+            <label key={o.id} className="dietFilters__option">
+              <input
+                type="checkbox"
+                checked={value[c.key].includes(o.id)}
+                onChange={() => setValue((prev) => ({ ...prev, [c.key]: toggle(prev[c.key], o.id) }))}
+              />
+              {o.label}
+            </label>
+          ))}
+        </fieldset>
+      ))}
+      <div className="checkout__actions field--full">
+        <button className="btn btn-ghost" type="button" onClick={onCancel}>
+          Cancel
+        </button>
+        <button className="btn btn-primary" type="submit">
+          {draft.id ? "Update item" : "Add item"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Staff screen for editing the menu. Changes are drafted here and only reach customers on "Save
+// changes": through `PUT /menu` when `api` is set, or to this browser's demo catalog otherwise.
+// PUBLIC_INTERFACE
+function MenuAdmin({ api = null }) {
+  const [saved, setSaved] = useState(() => (api ? null : localCatalog())); // last saved catalog
+  const [items, setItems] = useState(() => (saved ? saved.items : []));
+  const [categories, setCategories] = useState(() => (saved ? saved.categories : []));
+  const [loadError, setLoadError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+  const [draft, setDraft] = useState(null); // item open in the editor
+  const [status, setStatus] = useState(null); // { error, message }
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    document.documentElement.setAttribute("data-theme", "light");
+  }, []);
+
+  useEffect(() => {
+    if (!api) return undefined;
+    const controller = new AbortController();
+    setLoadError("");
+    api.getMenu({ signal: controller.signal }).then(
+      (catalog) => {
+        setSaved(catalog);
+        setItems(catalog.items);
+        setCategories(catalog.categories);
+      },
+      (err) => {
+        if (!controller.signal.aborted) setLoadError(err.message || "Couldn’t load the menu.");
+      }
+    );
+    return () => controller.abort();
+  }, [api, reloadKey]);
+
+  const categoryList = useMemo(() => orderedCategories(items, categories), [items, categories]);
+  const dirty =
+    Boolean(saved) &&
+    JSON.stringify({ items, categories: categoryList }) !==
+      JSON.stringify({ items: saved.items, categories: orderedCategories(saved.items, saved.categories) });
+
+  function updateItem(id, changes) {
+    setItems((prev) => prev.map((i) => (i.id === id ? { ...i, ...changes } : i)));
+    setStatus(null);
+  }
+
+  async function save() {
+    const catalog = { items, categories: categoryList };
+    setSaving(true);
+    setStatus(null);
+    try {
+      const next = api ? await api.saveMenu(catalog) : catalog;
+      if (!api) writeLocalCatalog(catalog);
+      setSaved(next);
+      setItems(next.items);
+      setCategories(next.categories);
+      setStatus({ error: false, message: "Menu saved. Customers see the changes on their next menu load." });
+    } catch (err) {
+      setStatus({ error: true, message: staffErrorMessage(err, "save the menu") });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function discard() {
+    setItems(saved.items);
+    setCategories(saved.categories);
+    setDraft(null);
+    setStatus(null);
+  }
+
+  return (
+    <div className="App">
+      <header className="topbar">
+        <div className="topbar__inner">
+          <div className="brand">
+            <div className="brand__mark" aria-hidden="true">
+              O
+            </div>
+            <div className="brand__text">
+              <div className="brand__name">OceanEats Menu</div>
+              <div className="brand__tagline">
+                {api ? "Editing the restaurant backend’s menu" : "Demo: editing the menu in this browser"}
+              </div>
+            </div>
+          </div>
+          <nav className="topbar__actions" aria-label="Menu admin">
+            <a className="btn btn-ghost" href={window.location.pathname}>
+              Customer view
+            </a>
+          </nav>
+        </div>
+      </header>
+
+      <main id="main" className="page">
+        {loadError ? (
+          <div className="menuNotice menuNotice--error" role="alert">
+            <span>{loadError}</span>
+            <button className="btn btn-ghost" type="button" onClick={() => setReloadKey((k) => k + 1)}>
+              Retry
+            </button>
+          </div>
+        ) : null}
+
+        {!saved && !loadError ? <p className="section-meta">Loading the menu…</p> : null}
+
+        {saved ? (
+          <section className="layout">
+            <div className="adminMain">
+              <div className="menu__header">
+                <h2 className="section-title">Menu items</h2>
+                <button
+                  className="btn btn-primary"
+                  type="button"
+                  onClick={() => setDraft(EMPTY_ITEM_DRAFT)}
+                  disabled={Boolean(draft)}
+                >
+                  New item
+                </button>
+              </div>
+
+              {draft ? (
+                <ItemEditor
+                  key={draft.id || "new"}
+                  draft={draft}
+                  items={items}
+                  onCancel={() => setDraft(null)}
+                  onSubmit={(value) => {
+                    setItems((prev) => applyDraft(prev, value));
+                    setDraft(null);
+                    setStatus(null);
+                  }}
+                />
+              ) : null}
+
+              <div className="adminList">
+                {items.map((item) => (
+                  <article key={item.id} className="adminRow" aria-label={item.name}>
+                    <div className="adminRow__main">
+                      <div className="miniRow__name">
+                        {item.name} <span className="price">{formatMoney(item.price)}</span>
+                      </div>
+                      <div className="miniRow__meta">
+                        {item.tags.length > 0 ? item.tags.join(", ") : "No category"} · {item.prepMins} min
+                        {item.dietary.length > 0
+                          ? ` · ${item.dietary.map((d) => labelOf(ATTRIBUTE_OPTIONS, d)).join(", ")}`
+                          : ""}
+                      </div>
+                    </div>
+                    <label className="adminRow__flag">
+                      <input
+                        type="checkbox"
+                        checked={item.soldOut}
+                        onChange={(e) => updateItem(item.id, { soldOut: e.target.checked })}
+                      />
+                      Sold out
+                    </label>
+                    <label className="adminRow__flag">
+                      <input
+                        type="checkbox"
+                        checked={item.hidden}
+                        onChange={(e) => updateItem(item.id, { hidden: e.target.checked })}
+                      />
+                      Hidden
+                    </label>
+                    <button className="btn btn-ghost" type="button" onClick={() => setDraft(itemToDraft(item))}>
+                      Edit
+                    </button>
+                    <button
+                      className="linkDanger"
+                      type="button"
+                      onClick={() => setItems((prev) => prev.filter((i) => i.id !== item.id))}
+                    >
+                      Delete
+                    </button>
+                  </article>
+                ))}
+              </div>
+            </div>
+
+            <aside className="tracking">
+              <div className="tracking__card">
+                <h2 className="section-title">Category order</h2>
+                <ol className="adminCategories" aria-label="Category order">
+                  {categoryList.map((c, i) => (
+                    <li key={c}>
+                      <span>{c}</span>
+                      <span>
+                        <button
+                          className="iconBtn"
+                          type="button"
+                          disabled={i === 0}
+                          onClick={() => setCategories(moveCategory(categoryList, c, -1))}
+                          aria-label={`Move ${c} up`}
+                        >
+                          ↑
+                        </button>
+                        <button
+                          className="iconBtn"
+                          type="button"
+                          disabled={i === categoryList.length - 1}
+                          onClick={() => setCategories(moveCategory(categoryList, c, 1))}
+                          aria-label={`Move ${c} down`}
+                        >
+                          ↓
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+
+                {status ? (
+                  <div
+                    className={`menuNotice ${status.error ? "menuNotice--error" : ""}`}
+                    role={status.error ? "alert" : "status"}
+                  >
+                    {status.message}
+                  </div>
+                ) : null}
+
+                <div className="checkout__actions">
+                  <button className="btn btn-ghost" type="button" onClick={discard} disabled={!dirty || saving}>
+                    Discard changes
+                  </button>
+                  <button className="btn btn-primary" type="button" onClick={save} disabled={!dirty || saving}>
+                    {saving ? "Saving…" : "Save changes"}
+                  </button>
+                </div>
+                {api ? null : (
+                  <button
+                    className="btn btn-ghost"
+                    type="button"
+                    onClick={() => {
+                      const sample = normalizeCatalog(SAMPLE_MENU);
+                      setItems(sample.items);
+                      setCategories(sample.categories);
+                    }}
+                  >
+                    Start over from the sample menu
+                  </button>
+                )}
+              </div>
+            </aside>
+          </section>
+        ) : null}
+      </main>
+    </div>
+  );
+}
+
+export default MenuAdmin;
@@ -0,0 +1,164 @@
+import React from "react";
+import Highlight from "./Highlight";
+import Suggestions from "./Suggestions";
+import { ALLERGENS, ATTRIBUTE_OPTIONS, labelOf } from "./dietary";
+import { formatMoney } from "./format";
+import { hasOptions } from "./itemOptions";
+import { routePath } from "./routes";
+import { SORT_OPTIONS } from "./search";
+
+// The menu grid. `results` are search results (`[{ item, highlights }]`, see search.js); `status` is the
+// menu's load state (loading | ready | stale | error) and `hasItems` whether anything is on the menu at all,
+// so an empty grid can tell "nothing matches" from "still loading". The "You might also like" row opens
+// under the card whose id is `similarToId`.
+// PUBLIC_INTERFACE
+function MenuGrid({
+  results,
+  status,
+  error,
+  hasItems,
+  onRetry,
+  sortBy,
+  onSortChange,
+  onAdd,
+  onOpenItem,
+  similarToId,
+  similarSuggestions,
+  onFindSimilar,
+  onCloseSimilar,
+}) {
+  return (
+    <section className="menu" aria-label="Menu items">
+      <div className="menu__header">
+        <h2 className="section-title">Menu</h2>
+        <div className="menu__controls">
+          <div className="section-meta">
+            {status === "loading" ? "Loading…" : `${results.length} item${results.length === 1 ? "" : "s"} shown`}
+          </div>
+          <label className="sr-only" htmlFor="sortBy">
+            Sort by
+          </label>
+          <select
+            id="sortBy"
+            className="input sortSelect"
+            value={sortBy}
+            onChange={(e) => onSortChange(e.target.value)}
+          >
+            {SORT_OPTIONS.map((o) => (
+              <option key={o.id} value={o.id}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {status === "stale" || status === "error" ? (
+        <div className={`menuNotice ${status === "error" ? "menuNotice--error" : ""}`} role="alert">
+          <span>
+            {status === "stale"
+              ? "Couldn’t refresh the menu. Showing the last saved version."
+              : `Couldn’t load the menu. ${error}`}
+          </span>
+          <button className="btn btn-ghost" onClick={onRetry} type="button">
+            Retry
+          </button>
+        </div>
+      ) : null}
+
+      {status === "loading" && !hasItems ? (
+        <div className="empty" aria-busy="true">
+          <p className="empty__title">Loading the menu…</p>
+        </div>
+      ) : null}
+
+      {status !== "loading" && hasItems && results.length === 0 ? (
+        <div className="empty">
+          <p className="empty__title">Nothing matches your filters.</p>
+          <p className="empty__desc">Try another search, another category or fewer dietary filters.</p>
+        </div>
+      ) : null}
+
+      <div className="grid">
+        {results.map(({ item, highlights }) => (
+          <React.Fragment key={item.id}>
+            <article className={`card ${item.soldOut ? "card--soldOut" : ""}`}>
+              {item.image ? <img className="card__image" src={item.image} alt="" loading="lazy" /> : null}
+              <div className="card__top">
+                <div className="card__titleRow">
+                  <h3 className="card__title">
+                    <Highlight text={item.name} ranges={highlights.name} />
+                  </h3>
+                  <div className="price">{formatMoney(item.price)}</div>
+                </div>
+                <p className="card__desc">
+                  <Highlight text={item.description} ranges={highlights.description} />
+                </p>
+                <div className="card__chips" aria-label="Item tags">
+                  {item.tags.map((t) => (
+                    <span key={t} className="chip">
+                      {t}
+                    </span>
+                  ))}
+                  <span className="chip chip--muted">{item.prepMins} min</span>
+                  {item.dietary.map((d) => (
+                    <span key={d} className="chip chip--diet">
+                      {labelOf(ATTRIBUTE_OPTIONS, d)}
+                    </span>
+                  ))}
+                  {item.soldOut ? <span className="chip chip--soldOut">Sold out</span> : null}
+                </div>
+                {item.allergens.length > 0 ? (
+                  <div className="card__allergens">
+                    Contains: {item.allergens.map((a) => labelOf(ALLERGENS, a).toLowerCase()).join(", ")}
+                  </div>
+                ) : null}
+              </div>
+
+              <div className="card__actions">
+                <button
+                  className="btn btn-primary"
+                  onClick={() => onAdd(item.id)}
+                  type="button"
+                  disabled={item.soldOut}
+                >
+                  {item.soldOut ? "Sold out" : hasOptions(item) ? "Customize" : "Add to cart"}
+                </button>
+                <button
+                  className="btn btn-ghost"
+                  onClick={() => onFindSimilar(item.id)}
+                  type="button"
+                  aria-pressed={similarToId === item.id ? "true" : "false"}
+                >
+                  Find similar
+                </button>
+                <a
+                  className="btn btn-ghost"
+                  href={routePath({ name: "item", itemId: item.id })}
+                  onClick={(e) => {
+                    e.preventDefault();
+                    onOpenItem(item.id);
+                  }}
+                  aria-label={`Details for ${item.name}`}
+                >
+                  Details
+                </a>
+              </div>
+            </article>
+            {similarToId === item.id ? (
+              <Suggestions
+                title="You might also like"
+                subtitle={`Similar to ${item.name}`}
+                suggestions={similarSuggestions}
+                onAdd={onAdd}
+                onClose={onCloseSimilar}
+              />
+            ) : null}
+          </React.Fragment>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default MenuGrid;
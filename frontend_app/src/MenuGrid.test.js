@@ -0,0 +1,95 @@
+import { fireEvent, screen, within } from "@testing-library/react";
+import MenuGrid from "./MenuGrid";
+import { searchMenu } from "./search";
+import { rendererFor } from "./testUtils";
+
+const items = [
+  {
+    id: "burger",
+    name: "Classic Burger",
+    description: "Beef patty, cheddar and pickles.",
+    price: 11.99,
+    prepMins: 12,
+    tags: ["Burgers"],
+    dietary: [],
+    allergens: ["gluten", "dairy"],
+    optionGroups: [],
+  },
+  {
+    id: "salad",
+    name: "Garden Salad",
+    description: "Leaves, cucumber and lemon dressing.",
+    price: 8.5,
+    prepMins: 5,
+    tags: ["Salads"],
+    dietary: ["vegan", "vegetarian"],
+    allergens: [],
+    optionGroups: [],
+    soldOut: true,
+  },
+];
+
+const renderMenuGrid = rendererFor(
+  MenuGrid,
+  {
+    results: searchMenu(items, ""),
+    status: "ready",
+    error: "",
+    hasItems: true,
+    sortBy: "relevance",
+    similarToId: null,
+    similarSuggestions: [],
+  },
+  ["onRetry", "onSortChange", "onAdd", "onOpenItem", "onFindSimilar", "onCloseSimilar"]
+);
+
+test("cards show price, diet chips and allergens, and sold-out items can't be added", () => {
+  const { onAdd } = renderMenuGrid();
+  expect(screen.getByText("2 items shown")).toBeInTheDocument();
+
+  const burger = screen.getByText("Classic Burger").closest("article");
+  expect(within(burger).getByText("$11.99")).toBeInTheDocument();
+  expect(within(burger).getByText("Contains: gluten, dairy")).toBeInTheDocument();
+  fireEvent.click(within(burger).getByRole("button", { name: "Add to cart" }));
+  expect(onAdd).toHaveBeenCalledWith("burger");
+
+  const salad = screen.getByText("Garden Salad").closest("article");
+  expect(within(salad).getByText("Vegan")).toBeInTheDocument();
+  expect(within(salad).getByRole("button", { name: "Sold out" })).toBeDisabled();
+});
+
+test("search matches are highlighted", () => {
+  renderMenuGrid({ results: searchMenu(items, "burg") });
+  expect(screen.getByText("1 item shown")).toBeInTheDocument();
+  expect(document.querySelector("mark.searchMark").textContent).toBe("Burg");
+});
+
+test("no results with items on the menu shows the empty state; a failed load offers a retry", () => {
+  const { onRetry } = renderMenuGrid({ results: [], status: "error", error: "Network down" });
+  expect(screen.getByText("Nothing matches your filters.")).toBeInTheDocument();
+  expect(screen.getByRole("alert")).toHaveTextContent("Couldn’t load the menu. Network down");
+  fireEvent.click(screen.getByRole("button", { name: "Retry" }));
+  expect(onRetry).toHaveBeenCalled();
+});
+
+test("details links open the item route and the similar row opens under its card", () => {
+  const { onOpenItem, onFindSimilar, onCloseSimilar, onSortChange } = renderMenuGrid({
+    similarToId: "burger",
+    similarSuggestions: [{ item: items[0], note: "Similar price" }],
+  });
+
+  const details = screen.getByRole("link", { name: "Details for Classic Burger" });
+  expect(details).toHaveAttribute("href", "/menu/burger");
+  fireEvent.click(details);
+  expect(onOpenItem).toHaveBeenCalledWith("burger");
+
+  expect(screen.getByRole("region", { name: "You might also like" })).toHaveTextContent("Similar to Classic Burger");
+  fireEvent.click(screen.getByRole("button", { name: "Close you might also like" }));
+  expect(onCloseSimilar).toHaveBeenCalled();
+
+  fireEvent.click(within(screen.getByText("Garden Salad").closest("article")).getByText("Find similar"));
+  expect(onFindSimilar).toHaveBeenCalledWith("salad");
+
+  fireEvent.change(screen.getByLabelText("Sort by"), { target: { value: "price-asc" } });
+  expect(onSortChange).toHaveBeenCalledWith("price-asc");
+});
@@ -0,0 +1,72 @@
+import React, { useEffect } from "react";
+import { formatMoney } from "./format";
+
+function formatDate(ms) {
+  return new Intl.DateTimeFormat(undefined, { dateStyle: "medium", timeStyle: "short" }).format(new Date(ms));
+}
+
+// PUBLIC_INTERFACE
+function OrderHistoryDialog({ orders, onClose, onReorder }) {
+  // Accessibility: close with Escape
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === "Escape") onClose();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="modalOverlay">
+      <button
+        className="modalOverlay__clickCatcher"
+        onClick={onClose}
+        type="button"
+        aria-label="Close history overlay"
+      />
+      <div className="modal" role="dialog" aria-modal="true" aria-label="Order history">
+        <div className="drawer__header">
+          <div>
+            <div className="drawer__title">Order history</div>
+            <div className="drawer__subtitle">
+              {orders.length === 0 ? "No past orders" : `${orders.length} order${orders.length === 1 ? "" : "s"}`}
+            </div>
+          </div>
+          <button className="iconBtn" onClick={onClose} type="button" aria-label="Close history">
+            ×
+          </button>
+        </div>
+
+        <div className="modal__content">
+          {orders.length === 0 ? (
+            <div className="empty">
+              <p className="empty__title">Nothing here yet.</p>
+              <p className="empty__desc">Orders you place will show up here so you can reorder them later.</p>
+            </div>
+          ) : (
+            orders.map((o) => (
+              <article key={o.id} className="historyRow" aria-label={`Order ${o.id}`}>
+                <div className="historyRow__top">
+                  <div>
+                    <div className="miniRow__name">{formatDate(o.createdAt)}</div>
+                    <div className="miniRow__meta">#{o.id}</div>
+                  </div>
+                  <div className="statusPill">{o.status}</div>
+                </div>
+                <div className="historyRow__items">{o.items.map((it) => `${it.quantity} × ${it.name}`).join(", ")}</div>
+                <div className="historyRow__bottom">
+                  <span className="miniRow__right">{formatMoney(o.pricing.total)}</span>
+                  <button className="btn btn-ghost" type="button" onClick={() => onReorder(o)}>
+                    Reorder
+                  </button>
+                </div>
+              </article>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OrderHistoryDialog;
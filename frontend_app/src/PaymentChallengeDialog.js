@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from "react";
+
+// Step-up verification (3-D Secure style) requested by the payment provider during checkout.
+// PUBLIC_INTERFACE
+function PaymentChallengeDialog({ challenge, onCancel, onSubmit }) {
+  const [code, setCode] = useState("");
+
+  // Accessibility: close with Escape
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === "Escape") onCancel();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onCancel]);
+
+  return (
+    <div className="modalOverlay">
+      <button
+        className="modalOverlay__clickCatcher"
+        onClick={onCancel}
+        type="button"
+        aria-label="Close verification overlay"
+      />
+      <form
+        className="modal"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Verify payment"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (code.trim()) onSubmit(code.trim());
+        }}
+      >
+        <div className="drawer__header">
+          <div>
+            <div className="drawer__title">Verify payment</div>
+            <div className="drawer__subtitle">{challenge.message}</div>
+          </div>
+          <button className="iconBtn" onClick={onCancel} type="button" aria-label="Close verification">
+            ×
+          </button>
+        </div>
+
+        <div className="modal__content">
+          <label className="label" htmlFor="challengeCode">
+            Verification code
+          </label>
+          <input
+            id="challengeCode"
+            className="input"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+            inputMode="numeric"
+            autoFocus
+          />
+        </div>
+
+        <div className="checkout__actions">
+          <button className="btn btn-ghost" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" type="submit" disabled={!code.trim()}>
+            Verify
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default PaymentChallengeDialog;
@@ -0,0 +1,49 @@
+import React from "react";
+import { formatMoney } from "./format";
+import { hasOptions } from "./itemOptions";
+
+// A short list of suggested menu items with a quick add button, used for "You might also like" under
+// the menu and "Frequently added together" in the cart. `suggestions` is `[{ item, note }]`.
+// PUBLIC_INTERFACE
+function Suggestions({ title, subtitle, suggestions, onAdd, onClose }) {
+  if (suggestions.length === 0 && !onClose) return null;
+  return (
+    <section className="suggestions" aria-label={title}>
+      <div className="suggestions__header">
+        <div>
+          <div className="suggestions__title">{title}</div>
+          {subtitle ? <div className="miniRow__meta">{subtitle}</div> : null}
+        </div>
+        {onClose ? (
+          <button className="iconBtn" type="button" onClick={onClose} aria-label={`Close ${title.toLowerCase()}`}>
+            ×
+          </button>
+        ) : null}
+      </div>
+      {suggestions.length === 0 ? <p className="miniRow__meta">Nothing similar on the menu right now.</p> : null}
+      <div className="suggestions__list">
+        {suggestions.map(({ item, note }) => (
+          <div key={item.id} className="miniRow">
+            <div className="miniRow__left">
+              <div className="miniRow__name">{item.name}</div>
+              <div className="miniRow__meta">
+                {formatMoney(item.price)}
+                {note ? ` · ${note}` : ""}
+              </div>
+            </div>
+            <button
+              className="btn btn-ghost"
+              type="button"
+              onClick={() => onAdd(item.id)}
+              aria-label={`${hasOptions(item) ? "Customize" : "Add"} ${item.name}`}
+            >
+              {hasOptions(item) ? "Customize" : "Add"}
+            </button>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default Suggestions;
@@ -0,0 +1,314 @@
+import React from "react";
+import { canCancelOrder, canEditOrder } from "./cancellation";
+import { formatAddress } from "./address";
+import { fulfillmentSteps } from "./eta";
+import { formatClock, formatMoney } from "./format";
+import { describeOptions } from "./itemOptions";
+import { formatSlot } from "./scheduling";
+
+function etaLabel(order) {
+  if (order.status === "Delivered" || order.status === "Picked up") return "Enjoy your meal!";
+  if (order.status === "Ready for pickup") return "Ready at the counter";
+  if (order.status === "Cancelled") return "Order cancelled";
+  if (order.status === "Scheduled" && order.scheduledFor) return `Scheduled for ${formatSlot(order.scheduledFor)}`;
+  if (!order.eta) return "Updating…";
+  const mins = Math.max(1, Math.round((order.eta - Date.now()) / 60_000));
+  if (order.fulfillment === "pickup") return `Ready ${formatClock(order.eta)} · ${mins} min`;
+  return `ETA ${formatClock(order.eta)} · ${mins} min`;
+}
+
+// The order tracking panel: tabs for every tracked order, and the selected `order` in detail with its
+// timeline, receipt and cancel/edit actions. `link` is the live connection state of that order's socket
+// (connecting | live | reconnecting) and `missingOrderId` an `/orders/:id` link this browser doesn't know.
+// PUBLIC_INTERFACE
+function Tracking({
+  orders,
+  order,
+  activeCount,
+  link,
+  pendingCount,
+  onSendPending,
+  queueError,
+  onDismissQueueError,
+  missingOrderId,
+  apiBase,
+  wsUrl,
+  cancellingOrderId,
+  actionError,
+  onSelect,
+  onCancel,
+  onEdit,
+  onClear,
+  cartEmpty,
+  onOpenCart,
+}) {
+  return (
+    <aside className="tracking" id="tracking" aria-label="Order tracking">
+      <div className="tracking__card">
+        <div className="tracking__header">
+          <h2 className="section-title">Order tracking</h2>
+          <div className="section-meta">
+            {orders.length > 1 ? `${activeCount} active` : order ? `Order #${order.id}` : "No active order"}
+          </div>
+        </div>
+
+        {pendingCount > 0 ? (
+          <div className="menuNotice" role="status">
+            <span>
+              {pendingCount === 1 ? "1 order is" : `${pendingCount} orders are`} waiting to be sent — we’ll send{" "}
+              {pendingCount === 1 ? "it" : "them"} as soon as the restaurant is reachable.
+            </span>
+            <button className="btn btn-ghost" type="button" onClick={onSendPending}>
+              Send now
+            </button>
+          </div>
+        ) : null}
+        {queueError ? (
+          <div className="menuNotice menuNotice--error" role="alert">
+            <span>{queueError}</span>
+            <button className="iconBtn" onClick={onDismissQueueError} type="button" aria-label="Dismiss">
+              ×
+            </button>
+          </div>
+        ) : null}
+
+        {missingOrderId ? (
+          <div className="menuNotice" role="status">
+            Order #{missingOrderId} isn’t tracked in this browser. Open the link on the device you ordered from.
+          </div>
+        ) : null}
+
+        {orders.length > 1 ? (
+          <div className="orderTabs" aria-label="Your orders">
+            {orders.map((o) => (
+              <button
+                key={o.id}
+                className={`orderTab ${o.id === order.id ? "orderTab--active" : ""}`}
+                onClick={() => onSelect(o.id)}
+                type="button"
+                aria-pressed={o.id === order.id ? "true" : "false"}
+              >
+                <span className="orderTab__top">
+                  <span className="orderTab__id">#{o.id}</span>
+                  <span className="orderTab__status">{o.status}</span>
+                </span>
+                <span className="orderTab__items">{o.items.map((it) => `${it.quantity}× ${it.name}`).join(", ")}</span>
+                <span className="orderTab__bar" aria-hidden="true">
+                  <span className="progress__fill" style={{ width: `${o.progress}%` }} />
+                </span>
+              </button>
+            ))}
+          </div>
+        ) : null}
+
+        {!order ? (
+          <div className="empty">
+            <p className="empty__title">Place an order to see live status.</p>
+            <p className="empty__desc">
+              {wsUrl ? (
+                <>Status updates stream live from the tracking socket once an order is placed.</>
+              ) : (
+                <>
+                  This demo simulates status updates locally, or open the{" "}
+                  <a href="?view=kitchen" target="_blank" rel="noreferrer">
+                    kitchen view
+                  </a>{" "}
+                  in another tab to move orders along. Set <code>REACT_APP_WS_URL</code> for live tracking and{" "}
+                  <code>REACT_APP_API_BASE</code> to post orders.
+                </>
+              )}
+            </p>
+
+            <div className="envHint">
+              <div className="envHint__row">
+                <span className="envHint__k">API</span>
+                <span className="envHint__v">{apiBase || "Not configured"}</span>
+              </div>
+              <div className="envHint__row">
+                <span className="envHint__k">WS</span>
+                <span className="envHint__v">{wsUrl || "Not configured"}</span>
+              </div>
+            </div>
+          </div>
+        ) : (
+          <div className="order">
+            <div className="order__statusRow">
+              <div className="statusPill">{order.status}</div>
+              <div className="order__eta">
+                {etaLabel(order)}
+                {link ? (
+                  <span className={`liveDot liveDot--${link}`} title="Live tracking connection">
+                    {link === "live" ? "Live" : link === "connecting" ? "Connecting…" : "Reconnecting…"}
+                  </span>
+                ) : null}
+              </div>
+            </div>
+
+            {order.status !== "Cancelled" ? (
+              <ol className="orderSteps" aria-label="Order timeline">
+                {fulfillmentSteps(order.fulfillment).map((step, idx, steps) => {
+                  const current = steps.indexOf(order.status);
+                  const state = idx < current ? "done" : idx === current ? "current" : "todo";
+                  return (
+                    <li
+                      key={step}
+                      className={`orderSteps__step orderSteps__step--${state}`}
+                      aria-current={state === "current" ? "step" : undefined}
+                    >
+                      {step}
+                    </li>
+                  );
+                })}
+              </ol>
+            ) : null}
+
+            <div className="progress">
+              <div className="progress__bar" aria-hidden="true">
+                <div className="progress__fill" style={{ width: `${order.progress}%` }} />
+              </div>
+              <div className="progress__meta">
+                <span>Progress</span>
+                <span>{order.progress}%</span>
+              </div>
+            </div>
+
+            <div className="order__summary">
+              <div className="order__line">
+                <span>Customer</span>
+                <span className="order__value">{order.customerName}</span>
+              </div>
+              {order.payment ? (
+                <div className="order__line">
+                  <span>Paid with</span>
+                  <span className="order__value">
+                    {order.payment.brand} •••• {order.payment.last4}
+                  </span>
+                </div>
+              ) : null}
+              {order.fulfillment === "pickup" ? (
+                <div className="order__line">
+                  <span>Pickup</span>
+                  <span className="order__value">At the counter</span>
+                </div>
+              ) : (
+                <div className="order__line">
+                  <span>Address</span>
+                  <span className="order__value">{formatAddress(order.deliveryAddress)}</span>
+                </div>
+              )}
+              {order.scheduledFor ? (
+                <div className="order__line">
+                  <span>{order.fulfillment === "pickup" ? "Pick up at" : "Deliver at"}</span>
+                  <span className="order__value">{formatSlot(order.scheduledFor)}</span>
+                </div>
+              ) : null}
+            </div>
+
+            <div className="order__items" aria-label="Ordered items">
+              {order.items.map((it) => (
+                <div key={it.lineId || it.itemId} className="miniRow">
+                  <div className="miniRow__left">
+                    <div className="miniRow__name">{it.name}</div>
+                    <div className="miniRow__meta">
+                      {it.quantity} × {formatMoney(it.unitPrice)}
+                      {it.options && it.options.length > 0 ? ` • ${describeOptions(it.options)}` : ""}
+                    </div>
+                    {it.notes ? <div className="miniRow__note">“{it.notes}”</div> : null}
+                  </div>
+                  <div className="miniRow__right">{formatMoney(it.quantity * it.unitPrice)}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="totals">
+              <div className="totals__row">
+                <span>Subtotal</span>
+                <span>{formatMoney(order.pricing.subtotal)}</span>
+              </div>
+              <div className="totals__row">
+                <span>Fees</span>
+                <span>{formatMoney(order.pricing.serviceFee + order.pricing.deliveryFee)}</span>
+              </div>
+              {order.pricing.discount > 0 ? (
+                <div className="totals__row totals__row--discount">
+                  <span>Discount{order.promoCode ? ` (${order.promoCode})` : ""}</span>
+                  <span>−{formatMoney(order.pricing.discount)}</span>
+                </div>
+              ) : null}
+              <div className="totals__row">
+                <span>Tax</span>
+                <span>{formatMoney(order.pricing.tax)}</span>
+              </div>
+              {order.pricing.tip > 0 ? (
+                <div className="totals__row">
+                  <span>Courier tip</span>
+                  <span>{formatMoney(order.pricing.tip)}</span>
+                </div>
+              ) : null}
+              <div className="totals__row totals__row--strong">
+                <span>Total</span>
+                <span>{formatMoney(order.pricing.total)}</span>
+              </div>
+            </div>
+
+            {order.status === "Cancelled" && order.refund ? (
+              <div className="refundNote" aria-label="Refund summary">
+                <div className="totals__row totals__row--strong">
+                  <span>Refund</span>
+                  <span>{formatMoney(order.refund.amount)}</span>
+                </div>
+                <div className="refundNote__desc">{order.refund.note}</div>
+              </div>
+            ) : null}
+
+            {canCancelOrder(order) ? (
+              <div className="order__actions order__actions--secondary">
+                {canEditOrder(order) ? (
+                  <button
+                    className="btn btn-ghost"
+                    type="button"
+                    onClick={() => onEdit(order.id)}
+                    disabled={cancellingOrderId === order.id}
+                  >
+                    Edit items
+                  </button>
+                ) : null}
+                <button
+                  className="linkDanger"
+                  type="button"
+                  onClick={() => onCancel(order.id)}
+                  disabled={cancellingOrderId === order.id}
+                >
+                  {cancellingOrderId === order.id ? "Cancelling…" : "Cancel order"}
+                </button>
+              </div>
+            ) : null}
+
+            {actionError && actionError.orderId === order.id ? (
+              <div className="fieldError" role="alert">
+                {actionError.message}
+              </div>
+            ) : null}
+
+            <div className="order__actions">
+              <button className="btn btn-ghost" type="button" onClick={() => onClear(order.id)}>
+                Clear
+              </button>
+              <button
+                className="btn btn-primary"
+                type="button"
+                onClick={onOpenCart}
+                disabled={cartEmpty}
+                title={cartEmpty ? "Cart is empty" : "Open cart"}
+              >
+                Open cart
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </aside>
+  );
+}
+
+export default Tracking;
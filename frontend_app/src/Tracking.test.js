@@ -0,0 +1,112 @@
+import { fireEvent, screen, within } from "@testing-library/react";
+import Tracking from "./Tracking";
+import { rendererFor } from "./testUtils";
+
+const pricing = { subtotal: 20, serviceFee: 1.6, deliveryFee: 2.99, tax: 1.65, discount: 2, tip: 3, total: 27.24 };
+
+function makeOrder(id, overrides = {}) {
+  return {
+    id,
+    status: "Preparing",
+    progress: 40,
+    eta: Date.now() + 20 * 60_000,
+    createdAt: Date.now(),
+    fulfillment: "delivery",
+    customerName: "Sam",
+    deliveryAddress: { street: "1 Harbour St", unit: "", city: "Seaside", postalCode: "94107", instructions: "" },
+    items: [{ lineId: "fries", itemId: "fries", name: "Fries", options: [], unitPrice: 4, quantity: 2, notes: "" }],
+    pricing,
+    promoCode: "WELCOME10",
+    ...overrides,
+  };
+}
+
+// The shown order defaults to a single tracked one; pass `order: null` for none.
+const renderTracking = rendererFor(
+  Tracking,
+  (props) => {
+    const order = props.order === undefined ? makeOrder("A1") : props.order;
+    return {
+      orders: order ? [order] : [],
+      order,
+      activeCount: order ? 1 : 0,
+      link: null,
+      pendingCount: 0,
+      queueError: "",
+      missingOrderId: null,
+      apiBase: "",
+      wsUrl: "",
+      cancellingOrderId: null,
+      actionError: null,
+      cartEmpty: true,
+    };
+  },
+  ["onSendPending", "onDismissQueueError", "onSelect", "onCancel", "onEdit", "onClear", "onOpenCart"]
+);
+
+test("without orders it explains how tracking works in this setup", () => {
+  renderTracking({ order: null, wsUrl: "wss://track.test" });
+  expect(screen.getByText("No active order")).toBeInTheDocument();
+  expect(screen.getByText("Place an order to see live status.")).toBeInTheDocument();
+  expect(screen.getByText("wss://track.test")).toBeInTheDocument();
+});
+
+test("shows the selected order's status, timeline, items and receipt", () => {
+  renderTracking({ link: "live" });
+  const panel = screen.getByRole("complementary", { name: "Order tracking" });
+  expect(within(panel).getByText("Order #A1")).toBeInTheDocument();
+  expect(within(panel).getByText(/^ETA .* · 20 min$/)).toBeInTheDocument();
+  expect(within(panel).getByText("Live")).toBeInTheDocument();
+
+  const steps = screen.getByLabelText("Order timeline");
+  expect(within(steps).getByText("Preparing")).toHaveAttribute("aria-current", "step");
+
+  const items = screen.getByLabelText("Ordered items");
+  expect(within(items).getByText("2 × $4.00")).toBeInTheDocument();
+  expect(within(panel).getByText("Discount (WELCOME10)")).toBeInTheDocument();
+  expect(within(panel).getByText("$27.24")).toBeInTheDocument();
+  expect(within(panel).getByText("1 Harbour St, Seaside 94107")).toBeInTheDocument();
+});
+
+test("several orders get tabs that select by id", () => {
+  const first = makeOrder("A1");
+  const second = makeOrder("B2", { status: "Delivered", progress: 100 });
+  const { onSelect } = renderTracking({ orders: [first, second], order: first, activeCount: 1 });
+
+  expect(screen.getByText("1 active")).toBeInTheDocument();
+  const tabs = screen.getByLabelText("Your orders");
+  expect(within(tabs).getByRole("button", { name: /#A1/ })).toHaveAttribute("aria-pressed", "true");
+  fireEvent.click(within(tabs).getByRole("button", { name: /#B2/ }));
+  expect(onSelect).toHaveBeenCalledWith("B2");
+});
+
+test("a just-placed order can be edited or cancelled, and errors show under the actions", () => {
+  const { onEdit, onCancel, onClear } = renderTracking({
+    order: makeOrder("A1", { status: "Confirmed" }),
+    actionError: { orderId: "A1", message: "The kitchen has already started this order." },
+  });
+  fireEvent.click(screen.getByRole("button", { name: "Edit items" }));
+  fireEvent.click(screen.getByRole("button", { name: "Cancel order" }));
+  fireEvent.click(screen.getByRole("button", { name: "Clear" }));
+  expect(onEdit).toHaveBeenCalledWith("A1");
+  expect(onCancel).toHaveBeenCalledWith("A1");
+  expect(onClear).toHaveBeenCalledWith("A1");
+  expect(screen.getByRole("alert")).toHaveTextContent("The kitchen has already started this order.");
+  expect(screen.getByRole("button", { name: "Open cart" })).toBeDisabled();
+});
+
+test("queued orders, queue errors and unknown order links are reported", () => {
+  const { onSendPending, onDismissQueueError } = renderTracking({
+    order: null,
+    pendingCount: 2,
+    queueError: "Your order from 12:00 PM couldn’t be placed: Sold out",
+    missingOrderId: "ZZ9",
+  });
+  expect(screen.getByText(/2 orders are waiting to be sent/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole("button", { name: "Send now" }));
+  expect(onSendPending).toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole("button", { name: "Dismiss" }));
+  expect(onDismissQueueError).toHaveBeenCalled();
+  expect(screen.getByText(/Order #ZZ9 isn’t tracked in this browser/)).toBeInTheDocument();
+});
@@ -0,0 +1,95 @@
+// Customer accounts: the signed-in session, the profile that prefills checkout, and the two account
+// services behind them.
+//
+// An account service implements:
+//   login({ email, password })  -> { token, profile }
+//   logout(session)
+//   loadProfile(session)        -> profile        (refreshes a session restored from storage)
+//   saveProfile(session, profile) -> profile
+// `createApiAccounts` talks to the backend through the API client; `createLocalAccounts` is the demo
+// stand-in that signs in any well-formed email and keeps profiles in this browser.
+
+import { normalizeAddress } from "./address";
+import { normalizeDietFilter } from "./dietary";
+import { safeParseJson } from "./json";
+
+export const SESSION_KEY = "food_order_session_v1";
+const LOCAL_PROFILES_KEY = "food_order_local_profiles_v1";
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// PUBLIC_INTERFACE
+export function validateCredentials({ email, password }) {
+  const errors = {};
+  if (!EMAIL_RE.test(String(email || "").trim())) errors.email = "Enter a valid email address.";
+  if (String(password || "").length < 6) errors.password = "Passwords are at least 6 characters.";
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeProfile(profile) {
+  if (!profile || profile.id == null || typeof profile.email !== "string") return null;
+  return {
+    id: String(profile.id),
+    email: profile.email.trim().toLowerCase(),
+    name: typeof profile.name === "string" ? profile.name : "",
+    phone: typeof profile.phone === "string" ? profile.phone : "",
+    addresses: Array.isArray(profile.addresses)
+      ? profile.addresses
+          .filter((a) => a && a.id)
+          .map((a) => ({ id: String(a.id), label: String(a.label || a.street || ""), ...normalizeAddress(a) }))
+      : [],
+    paymentMethod: profile.paymentMethod === "cash" ? "cash" : "card",
+    dietary: normalizeDietFilter(profile.dietary),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function readSession() {
+  const session = safeParseJson(window.localStorage.getItem(SESSION_KEY), null);
+  const profile = session && normalizeProfile(session.profile);
+  return session && typeof session.token === "string" && profile ? { token: session.token, profile } : null;
+}
+
+// PUBLIC_INTERFACE
+export function writeSession(session) {
+  if (session) window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  else window.localStorage.removeItem(SESSION_KEY);
+}
+
+// PUBLIC_INTERFACE
+export function createApiAccounts(api) {
+  return {
+    login: (credentials) => api.login(credentials),
+    logout: () => api.logout(),
+    loadProfile: () => api.getProfile(),
+    saveProfile: (session, profile) => api.updateProfile(profile),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createLocalAccounts() {
+  const readProfiles = () => safeParseJson(window.localStorage.getItem(LOCAL_PROFILES_KEY), {});
+  const writeProfiles = (profiles) => window.localStorage.setItem(LOCAL_PROFILES_KEY, JSON.stringify(profiles));
+
+  return {
+    async login({ email }) {
+      const key = String(email).trim().toLowerCase();
+      const profiles = readProfiles();
+      const profile = normalizeProfile(profiles[key] || { id: `local-${Date.now().toString(36)}`, email: key });
+      writeProfiles({ ...profiles, [key]: profile });
+      return { token: `local_${profile.id}`, profile };
+    },
+
+    async logout() {},
+
+    async loadProfile(session) {
+      return normalizeProfile(readProfiles()[session.profile.email]) || session.profile;
+    },
+
+    async saveProfile(session, profile) {
+      const next = normalizeProfile({ ...profile, id: session.profile.id, email: session.profile.email });
+      writeProfiles({ ...readProfiles(), [next.email]: next });
+      return next;
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { createLocalAccounts, normalizeProfile, readSession, validateCredentials, writeSession } from "./accounts";
+
+beforeEach(() => window.localStorage.clear());
+
+test("validateCredentials checks the email format and password length", () => {
+  expect(validateCredentials({ email: "sam@example.com", password: "secret1" })).toEqual({});
+  expect(Object.keys(validateCredentials({ email: "sam@", password: "12345" }))).toEqual(["email", "password"]);
+});
+
+test("normalizeProfile fills defaults and drops malformed addresses", () => {
+  expect(normalizeProfile({ email: "x@y.z" })).toBeNull();
+  expect(
+    normalizeProfile({
+      id: 7,
+      email: " Sam@Example.com ",
+      paymentMethod: "bitcoin",
+      addresses: [{ id: "a1", street: "1 Harbour St", postalCode: "94107" }, { street: "no id" }],
+    })
+  ).toEqual({
+    id: "7",
+    email: "sam@example.com",
+    name: "",
+    phone: "",
+    paymentMethod: "card",
+    dietary: { diets: [], avoid: [] },
+    addresses: [
+      {
+        id: "a1",
+        label: "1 Harbour St",
+        street: "1 Harbour St",
+        unit: "",
+        city: "",
+        postalCode: "94107",
+        instructions: "",
+      },
+    ],
+  });
+});
+
+test("sessions round-trip through storage and ignore corrupt entries", () => {
+  const session = { token: "t1", profile: normalizeProfile({ id: "u1", email: "sam@example.com" }) };
+  writeSession(session);
+  expect(readSession()).toEqual(session);
+  writeSession(null);
+  expect(readSession()).toBeNull();
+  window.localStorage.setItem("food_order_session_v1", "{not json");
+  expect(readSession()).toBeNull();
+});
+
+test("local accounts keep each profile in the browser between sign-ins", async () => {
+  const accounts = createLocalAccounts();
+  const session = await accounts.login({ email: "Sam@Example.com", password: "secret1" });
+  expect(session.profile).toMatchObject({ email: "sam@example.com", name: "" });
+
+  const saved = await accounts.saveProfile(session, { ...session.profile, name: "Sam", phone: "555-0100" });
+  expect(saved).toMatchObject({ id: session.profile.id, name: "Sam", phone: "555-0100" });
+
+  const again = await createLocalAccounts().login({ email: "sam@example.com", password: "secret1" });
+  expect(again.profile).toEqual(saved);
+  expect(await accounts.loadProfile(again)).toEqual(saved);
+});
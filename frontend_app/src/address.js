@@ -0,0 +1,81 @@
+// Structured delivery addresses: validation, formatting and the saved-address book.
+
+export const EMPTY_ADDRESS = { street: "", unit: "", city: "", postalCode: "", instructions: "" };
+
+export const ADDRESS_LIMITS = { street: 80, unit: 20, city: 50, instructions: 200 };
+
+const ZIP_RE = /^\d{5}(-\d{4})?$/;
+
+// PUBLIC_INTERFACE
+export function normalizeAddress(address) {
+  const a = { ...EMPTY_ADDRESS, ...(address || {}) };
+  return {
+    street: String(a.street).trim().replace(/\s+/g, " "),
+    unit: String(a.unit).trim(),
+    city: String(a.city).trim().replace(/\s+/g, " "),
+    postalCode: String(a.postalCode).trim(),
+    instructions: String(a.instructions).trim(),
+  };
+}
+
+// Returns a map of field -> message; an empty map means the address is deliverable.
+// PUBLIC_INTERFACE
+export function validateAddress(address) {
+  const a = normalizeAddress(address);
+  const errors = {};
+
+  if (!a.street) errors.street = "Enter a street address.";
+  else if (!/\d/.test(a.street) || !/[a-z]/i.test(a.street)) errors.street = "Include the building number and street.";
+  else if (a.street.length > ADDRESS_LIMITS.street) errors.street = "Street address is too long.";
+
+  if (a.unit.length > ADDRESS_LIMITS.unit) errors.unit = "Unit is too long.";
+
+  if (!a.city) errors.city = "Enter a city.";
+  else if (a.city.length > ADDRESS_LIMITS.city) errors.city = "City is too long.";
+
+  if (!a.postalCode) errors.postalCode = "Enter a ZIP code.";
+  else if (!ZIP_RE.test(a.postalCode)) errors.postalCode = "Enter a 5-digit ZIP code.";
+
+  if (a.instructions.length > ADDRESS_LIMITS.instructions) {
+    errors.instructions = `Keep instructions under ${ADDRESS_LIMITS.instructions} characters.`;
+  }
+  return errors;
+}
+
+// Accepts legacy free-text addresses so orders placed before structured addresses still render.
+// PUBLIC_INTERFACE
+export function formatAddress(address) {
+  if (!address) return "";
+  if (typeof address === "string") return address;
+  const a = normalizeAddress(address);
+  const street = a.unit ? `${a.street}, ${a.unit}` : a.street;
+  return [street, [a.city, a.postalCode].filter(Boolean).join(" ")].filter(Boolean).join(", ");
+}
+
+function sameAddress(a, b) {
+  const x = normalizeAddress(a);
+  const y = normalizeAddress(b);
+  return (
+    x.street.toLowerCase() === y.street.toLowerCase() &&
+    x.unit.toLowerCase() === y.unit.toLowerCase() &&
+    x.postalCode === y.postalCode
+  );
+}
+
+// Adds or refreshes an address in the book (newest first); duplicates are matched on street, unit and ZIP.
+// PUBLIC_INTERFACE
+export function saveAddress(book, address, label) {
+  const normalized = normalizeAddress(address);
+  const existing = book.find((b) => sameAddress(b, normalized));
+  const entry = {
+    id: existing ? existing.id : `addr-${Date.now().toString(36)}`,
+    label: (label || "").trim() || (existing && existing.label) || normalized.street,
+    ...normalized,
+  };
+  return [entry, ...book.filter((b) => b !== existing)];
+}
+
+// PUBLIC_INTERFACE
+export function findSavedAddress(book, address) {
+  return book.find((b) => sameAddress(b, address)) || null;
+}
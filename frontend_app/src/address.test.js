@@ -0,0 +1,37 @@
+import { findSavedAddress, formatAddress, saveAddress, validateAddress } from "./address";
+
+const home = { street: "12 Ocean Ave", unit: "4B", city: "Seaside", postalCode: "94107", instructions: "" };
+
+test("a complete address has no errors", () => {
+  expect(validateAddress(home)).toEqual({});
+  expect(validateAddress({ ...home, unit: "", postalCode: "94107-1234" })).toEqual({});
+});
+
+test("missing or malformed fields are reported per field", () => {
+  expect(validateAddress({})).toEqual({
+    street: "Enter a street address.",
+    city: "Enter a city.",
+    postalCode: "Enter a ZIP code.",
+  });
+  const errors = validateAddress({ ...home, street: "Ocean Ave", postalCode: "9410" });
+  expect(errors.street).toBe("Include the building number and street.");
+  expect(errors.postalCode).toBe("Enter a 5-digit ZIP code.");
+});
+
+test("formatAddress renders structured and legacy free-text addresses", () => {
+  expect(formatAddress(home)).toBe("12 Ocean Ave, 4B, Seaside 94107");
+  expect(formatAddress({ ...home, unit: "" })).toBe("12 Ocean Ave, Seaside 94107");
+  expect(formatAddress("1 Harbour St")).toBe("1 Harbour St");
+});
+
+test("saving an address already in the book moves it to the top instead of duplicating it", () => {
+  const work = { ...home, street: "1 Market St", unit: "" };
+  let book = saveAddress([], home, "Home");
+  book = saveAddress(book, work, "Work");
+  expect(book.map((b) => b.label)).toEqual(["Work", "Home"]);
+
+  book = saveAddress(book, { ...home, street: " 12  ocean ave ", instructions: "Ring twice" });
+  expect(book.map((b) => b.label)).toEqual(["Home", "Work"]);
+  expect(book[0].instructions).toBe("Ring twice");
+  expect(findSavedAddress(book, work)).toBe(book[1]);
+});
@@ -0,0 +1,230 @@
+// Backend API client. Every call goes through `request`, which joins the base URL, adds the auth
+// header, enforces a timeout, validates the response against the endpoint's contract and turns every
+// failure into an `ApiError`.
+//
+// Contracts (JSON):
+//   GET  /menu                  -> MenuItem[] | { items: MenuItem[], categories?: string[] }
+//   PUT  /menu                  -> the saved catalog, same shape   (menu admin; body `{ items, categories }`)
+//   POST /orders                -> { id | orderId, ... }          (send an `Idempotency-Key` header)
+//   GET  /orders/:id            -> { status, progress?, eta?, etaMinutes? }
+//   GET  /orders?active=true    -> Order[] still in progress   (kitchen view)
+//   POST /orders/:id/status     -> { status, ... }             (kitchen view; body `{ status }`)
+//   POST /orders/:id/cancel     -> { refund?: { amount, method?, note? } }
+//   POST /promos/validate       -> promo rule (see promotions.js); 404/422 when the code is unknown
+//   POST /auth/login            -> { token, user: Profile }       (401 when the credentials are wrong)
+//   POST /auth/logout           -> anything
+//   GET  /me, PUT /me           -> Profile (see accounts.js)
+// Error bodies may carry `{ message }`, `{ error }` or `{ errors: { field: message } }`.
+// The staff endpoints (PUT /menu, GET /orders?active=true, POST /orders/:id/status) must answer 401
+// without a sign-in and 403 unless the token belongs to a staff account.
+
+import { normalizeProfile } from "./accounts";
+import { normalizeCatalog } from "./menu";
+import { normalizePromoRule } from "./promotions";
+import { ORDER_STATUSES } from "./trackingSocket";
+
+export const DEFAULT_TIMEOUT_MS = 10_000;
+
+// `kind` is one of "network" | "timeout" | "aborted" | "http" | "invalid_response".
+// PUBLIC_INTERFACE
+export class ApiError extends Error {
+  constructor({ kind, message, status = null, body = null }) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.body = body;
+  }
+
+  // Worth sending again: the request may never have arrived, or the server failed for its own reasons.
+  get retryable() {
+    if (this.kind === "network" || this.kind === "timeout") return true;
+    return this.kind === "http" && (this.status >= 500 || this.status === 408 || this.status === 429);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function joinUrl(baseUrl, path) {
+  return `${String(baseUrl).replace(/\/+$/, "")}/${String(path).replace(/^\/+/, "")}`;
+}
+
+function errorMessage(body) {
+  if (body && typeof body.message === "string" && body.message) return body.message;
+  if (body && typeof body.error === "string" && body.error) return body.error;
+  if (body && body.errors && typeof body.errors === "object") {
+    const messages = Object.values(body.errors).filter((m) => typeof m === "string");
+    if (messages.length > 0) return messages.join(" ");
+  }
+  return "";
+}
+
+async function readJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+// Response contracts: each returns the normalized value, or null when the body does not match.
+function parseCreatedOrder(body) {
+  const id = body && (body.id || body.orderId);
+  return id ? { ...body, id: String(id) } : null;
+}
+
+function parseOrderStatus(body) {
+  if (!body || !ORDER_STATUSES.includes(body.status)) return null;
+  return {
+    status: body.status,
+    progress: Number.isFinite(body.progress) ? body.progress : undefined,
+    eta: body.eta != null ? body.eta : undefined,
+    etaMinutes: Number.isFinite(body.etaMinutes) ? body.etaMinutes : undefined,
+  };
+}
+
+function parseKitchenOrders(body) {
+  if (!Array.isArray(body)) return null;
+  return body
+    .filter((o) => o && (o.id || o.orderId) && ORDER_STATUSES.includes(o.status))
+    .map((o) => ({
+      ...o,
+      id: String(o.id || o.orderId),
+      createdAt: typeof o.createdAt === "string" ? Date.parse(o.createdAt) : o.createdAt,
+      items: Array.isArray(o.items) ? o.items : [],
+    }));
+}
+
+function parseCancellation(body) {
+  return body && typeof body === "object" ? body : {};
+}
+
+function parseAcknowledgement() {
+  return {};
+}
+
+function parseSession(body) {
+  const profile = body && normalizeProfile(body.user || body.profile);
+  return profile && typeof body.token === "string" && body.token ? { token: body.token, profile } : null;
+}
+
+// PUBLIC_INTERFACE
+export function createApiClient({
+  baseUrl,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  getToken = () => null,
+  fetchImpl = (...args) => fetch(...args),
+}) {
+  async function request(path, { method = "GET", body, headers = {}, signal, parse }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const forwardAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener("abort", forwardAbort);
+    }
+
+    const token = getToken();
+    let res;
+    try {
+      res = await fetchImpl(joinUrl(baseUrl, path), {
+        method,
+        headers: {
+          Accept: "application/json",
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers,
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch {
+      if (timedOut) throw new ApiError({ kind: "timeout", message: "The restaurant took too long to respond." });
+      if (signal && signal.aborted) throw new ApiError({ kind: "aborted", message: "The request was cancelled." });
+      throw new ApiError({ kind: "network", message: "We couldn’t reach the restaurant." });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", forwardAbort);
+    }
+
+    const data = await readJson(res);
+    if (!res.ok) {
+      throw new ApiError({
+        kind: "http",
+        status: res.status,
+        body: data,
+        message: errorMessage(data) || `The request failed (${res.status}).`,
+      });
+    }
+    const parsed = parse(data);
+    if (parsed == null) {
+      throw new ApiError({ kind: "invalid_response", status: res.status, body: data, message: "Unexpected response." });
+    }
+    return parsed;
+  }
+
+  return {
+    baseUrl,
+
+    // Resolves to `{ items, categories }` (see menu.js).
+    getMenu({ signal } = {}) {
+      return request("/menu", { signal, parse: normalizeCatalog });
+    },
+
+    saveMenu({ items, categories }) {
+      return request("/menu", { method: "PUT", body: { items, categories }, parse: normalizeCatalog });
+    },
+
+    createOrder(payload, { idempotencyKey } = {}) {
+      return request("/orders", {
+        method: "POST",
+        body: payload,
+        headers: idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {},
+        parse: parseCreatedOrder,
+      });
+    },
+
+    getOrderStatus(orderId, { signal } = {}) {
+      return request(`/orders/${encodeURIComponent(orderId)}`, { signal, parse: parseOrderStatus });
+    },
+
+    listActiveOrders({ signal } = {}) {
+      return request("/orders?active=true", { signal, parse: parseKitchenOrders });
+    },
+
+    updateOrderStatus(orderId, status) {
+      return request(`/orders/${encodeURIComponent(orderId)}/status`, {
+        method: "POST",
+        body: { status },
+        parse: parseOrderStatus,
+      });
+    },
+
+    cancelOrder(orderId) {
+      return request(`/orders/${encodeURIComponent(orderId)}/cancel`, { method: "POST", parse: parseCancellation });
+    },
+
+    validatePromo({ code, subtotal }) {
+      return request("/promos/validate", { method: "POST", body: { code, subtotal }, parse: normalizePromoRule });
+    },
+
+    login({ email, password }) {
+      return request("/auth/login", { method: "POST", body: { email, password }, parse: parseSession });
+    },
+
+    logout() {
+      return request("/auth/logout", { method: "POST", parse: parseAcknowledgement });
+    },
+
+    getProfile({ signal } = {}) {
+      return request("/me", { signal, parse: normalizeProfile });
+    },
+
+    updateProfile(profile) {
+      return request("/me", { method: "PUT", body: profile, parse: normalizeProfile });
+    },
+  };
+}
@@ -0,0 +1,156 @@
+import { ApiError, createApiClient, joinUrl } from "./apiClient";
+import { createMockApi } from "./mockApi";
+import { signedInMockClient } from "./testUtils";
+
+const respond = (status, body) => ({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+test("joinUrl tolerates slashes on either side", () => {
+  expect(joinUrl("http://api.test/", "/menu")).toBe("http://api.test/menu");
+  expect(joinUrl("http://api.test/v1", "orders")).toBe("http://api.test/v1/orders");
+});
+
+test("requests carry JSON and auth headers and validate the response", async () => {
+  const fetchImpl = jest.fn().mockResolvedValue(respond(201, { orderId: 9 }));
+  const api = createApiClient({ baseUrl: "http://api.test/", getToken: () => "tok_1", fetchImpl });
+
+  await expect(api.createOrder({ items: [] }, { idempotencyKey: "ord_1" })).resolves.toEqual({ orderId: 9, id: "9" });
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe("http://api.test/orders");
+  expect(init.method).toBe("POST");
+  expect(init.headers).toMatchObject({
+    Authorization: "Bearer tok_1",
+    "Content-Type": "application/json",
+    "Idempotency-Key": "ord_1",
+  });
+});
+
+test("failures are normalized into ApiError kinds", async () => {
+  const api = (fetchImpl) => createApiClient({ baseUrl: "http://api.test", fetchImpl });
+
+  const http = await api(jest.fn().mockResolvedValue(respond(409, { error: "Too late." })))
+    .cancelOrder("A1")
+    .catch((e) => e);
+  expect(http).toBeInstanceOf(ApiError);
+  expect(http).toMatchObject({ kind: "http", status: 409, message: "Too late.", retryable: false });
+
+  const network = await api(jest.fn().mockRejectedValue(new TypeError("Failed to fetch")))
+    .getMenu()
+    .catch((e) => e);
+  expect(network).toMatchObject({ kind: "network", retryable: true });
+
+  const invalid = await api(jest.fn().mockResolvedValue(respond(200, { status: "Teleported" })))
+    .getOrderStatus("A1")
+    .catch((e) => e);
+  expect(invalid).toMatchObject({ kind: "invalid_response", retryable: false });
+
+  const server = await api(jest.fn().mockResolvedValue(respond(503, null)))
+    .getMenu()
+    .catch((e) => e);
+  expect(server).toMatchObject({ kind: "http", status: 503, message: "The request failed (503).", retryable: true });
+});
+
+test("requests that outlive the timeout are aborted", async () => {
+  const fetchImpl = jest.fn(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))))
+  );
+  const api = createApiClient({ baseUrl: "http://api.test", timeoutMs: 10, fetchImpl });
+  await expect(api.getMenu()).rejects.toMatchObject({ kind: "timeout" });
+});
+
+test("the mock API serves the same contracts end to end", async () => {
+  let now = 0;
+  const mock = createMockApi({ menu: [{ id: "fries", name: "Fries", price: 4 }], now: () => now });
+  const api = await signedInMockClient(mock);
+
+  expect((await api.getMenu()).items[0]).toMatchObject({ id: "fries", price: 4 });
+  await api.saveMenu({ items: [{ id: "fries", name: "Fries", price: 4.5, soldOut: true }], categories: ["Sides"] });
+  expect(await api.getMenu()).toMatchObject({ items: [{ price: 4.5, soldOut: true }], categories: ["Sides"] });
+  expect(await api.validatePromo({ code: "save5", subtotal: 30 })).toMatchObject({ code: "SAVE5", type: "fixed" });
+  await expect(api.validatePromo({ code: "NOPE", subtotal: 30 })).rejects.toMatchObject({ status: 404 });
+
+  const payload = { customerName: "Sam", items: [{ itemId: "fries", quantity: 1 }], pricing: { total: 9 } };
+  const created = await api.createOrder(payload, { idempotencyKey: "k1" });
+  expect((await api.createOrder(payload, { idempotencyKey: "k1" })).id).toBe(created.id);
+  await expect(api.createOrder({ items: [] })).rejects.toMatchObject({ status: 422 });
+
+  expect(await api.getOrderStatus(created.id)).toMatchObject({ status: "Confirmed" });
+  expect(await api.cancelOrder(created.id)).toEqual({ refund: { amount: 9 } });
+  expect((await api.getOrderStatus(created.id)).status).toBe("Cancelled");
+
+  const late = await api.createOrder(payload);
+  now += 60_000;
+  await expect(api.cancelOrder(late.id)).rejects.toMatchObject({ status: 409 });
+
+  const pickup = await api.createOrder({ ...payload, fulfillment: "pickup" });
+  now += 120_000;
+  expect((await api.getOrderStatus(pickup.id)).status).toBe("Ready for pickup");
+  now += 60_000;
+  expect((await api.getOrderStatus(pickup.id)).status).toBe("Picked up");
+
+  mock.setOffline(true);
+  await expect(api.getMenu()).rejects.toMatchObject({ kind: "network" });
+});
+
+test("the mock API signs customers in and keeps their profile behind the token", async () => {
+  const mock = createMockApi();
+  let token = null;
+  const api = createApiClient({ baseUrl: "mock://api", fetchImpl: mock.fetch, getToken: () => token });
+
+  await expect(api.login({ email: "sam@example.com", password: "123" })).rejects.toMatchObject({ status: 401 });
+  const session = await api.login({ email: "Sam@Example.com", password: "secret1" });
+  expect(session.profile).toMatchObject({ email: "sam@example.com", name: "", paymentMethod: "card" });
+
+  await expect(api.getProfile()).rejects.toMatchObject({ status: 401 });
+  token = session.token;
+  const saved = await api.updateProfile({ ...session.profile, name: "Sam", paymentMethod: "cash", id: "other" });
+  expect(saved).toMatchObject({ id: session.profile.id, name: "Sam", paymentMethod: "cash" });
+  expect(await api.getProfile()).toEqual(saved);
+
+  await api.logout();
+  await expect(api.getProfile()).rejects.toMatchObject({ status: 401 });
+});
+
+test("the mock API lets the kitchen list open orders and move them along", async () => {
+  const mock = createMockApi();
+  const api = await signedInMockClient(mock);
+  const first = await api.createOrder({ customerName: "Sam", items: [{ itemId: "fries", quantity: 1 }] });
+  const second = await api.createOrder({ customerName: "Ana", items: [{ itemId: "fries", quantity: 2 }] });
+
+  expect((await api.listActiveOrders()).map((o) => [o.id, o.status, o.customerName])).toEqual([
+    [first.id, "Confirmed", "Sam"],
+    [second.id, "Confirmed", "Ana"],
+  ]);
+
+  expect(await api.updateOrderStatus(first.id, "Preparing")).toMatchObject({ status: "Preparing" });
+  expect((await api.getOrderStatus(first.id)).status).toBe("Preparing");
+  await expect(api.cancelOrder(first.id)).rejects.toMatchObject({ status: 409 });
+  await expect(api.updateOrderStatus(first.id, "Eaten")).rejects.toMatchObject({ status: 422 });
+
+  await api.updateOrderStatus(first.id, "Delivered");
+  expect((await api.listActiveOrders()).map((o) => o.id)).toEqual([second.id]);
+  await expect(api.updateOrderStatus(first.id, "Preparing")).rejects.toMatchObject({ status: 409 });
+});
+
+test("the mock API keeps the staff endpoints to signed-in staff accounts", async () => {
+  const mock = createMockApi({ menu: [{ id: "fries", name: "Fries", price: 4 }] });
+  const guest = createApiClient({ baseUrl: "mock://api", fetchImpl: mock.fetch });
+  const customer = await signedInMockClient(mock, "sam@example.com");
+  const staff = await signedInMockClient(mock);
+  const { id } = await guest.createOrder({ customerName: "Sam", items: [{ itemId: "fries", quantity: 1 }] });
+  const catalog = { items: [{ id: "fries", name: "Fries", price: 5 }], categories: [] };
+
+  for (const [api, status] of [
+    [guest, 401],
+    [customer, 403],
+  ]) {
+    await expect(api.saveMenu(catalog)).rejects.toMatchObject({ status });
+    await expect(api.listActiveOrders()).rejects.toMatchObject({ status });
+    await expect(api.updateOrderStatus(id, "Preparing")).rejects.toMatchObject({ status });
+  }
+  expect((await guest.getMenu()).items[0].price).toBe(4);
+
+  await staff.saveMenu(catalog);
+  expect((await staff.listActiveOrders()).map((o) => o.id)).toEqual([id]);
+  expect(await staff.updateOrderStatus(id, "Preparing")).toMatchObject({ status: "Preparing" });
+});
@@ -0,0 +1,43 @@
+// Rules for cancelling or editing an order after it has been placed.
+
+// How long after placing an order the customer may still swap its items.
+export const EDIT_WINDOW_MS = 2 * 60_000;
+
+// PUBLIC_INTERFACE
+export function canCancelOrder(order) {
+  return Boolean(order) && (order.status === "Scheduled" || order.status === "Confirmed");
+}
+
+// Scheduled orders stay editable until the kitchen starts them.
+// PUBLIC_INTERFACE
+export function canEditOrder(order, now = Date.now()) {
+  if (!canCancelOrder(order)) return false;
+  return order.status === "Scheduled" || now - order.createdAt < EDIT_WINDOW_MS;
+}
+
+// Refund for an order cancelled before the kitchen started: everything is returned.
+// PUBLIC_INTERFACE
+export function localRefund(order) {
+  const amount = order.pricing ? order.pricing.total : 0;
+  if (order.paymentMethod === "cash") {
+    return { amount: 0, method: "cash", note: "Nothing was charged — no payment is due." };
+  }
+  return { amount, method: order.paymentMethod || "card", note: "Refunded to your card in 3–5 business days." };
+}
+
+// Accepts `{ refund: { amount, method?, note? } }` from the backend, falling back to the local rule.
+// PUBLIC_INTERFACE
+export function normalizeRefund(response, order) {
+  const refund = response && response.refund;
+  if (!refund || !Number.isFinite(Number(refund.amount))) return localRefund(order);
+  return {
+    amount: Number(refund.amount),
+    method: refund.method || order.paymentMethod || "card",
+    note: typeof refund.note === "string" ? refund.note : localRefund(order).note,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function markCancelled(order, refund, now = Date.now()) {
+  return { ...order, status: "Cancelled", cancelledAt: now, refund };
+}
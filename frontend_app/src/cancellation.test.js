@@ -0,0 +1,32 @@
+import {
+  canCancelOrder,
+  canEditOrder,
+  EDIT_WINDOW_MS,
+  localRefund,
+  markCancelled,
+  normalizeRefund,
+} from "./cancellation";
+
+const order = { id: "ORD-1", createdAt: 0, status: "Confirmed", paymentMethod: "card", pricing: { total: 23.4 } };
+
+test("orders can be cancelled only while Confirmed, and edited only inside the grace period", () => {
+  expect(canCancelOrder(order)).toBe(true);
+  expect(canCancelOrder({ ...order, status: "Preparing" })).toBe(false);
+  expect(canEditOrder(order, EDIT_WINDOW_MS - 1)).toBe(true);
+  expect(canEditOrder(order, EDIT_WINDOW_MS)).toBe(false);
+});
+
+test("refunds the full total to card and nothing for cash", () => {
+  expect(localRefund(order)).toMatchObject({ amount: 23.4, method: "card" });
+  expect(localRefund({ ...order, paymentMethod: "cash" })).toMatchObject({ amount: 0, method: "cash" });
+});
+
+test("prefers the backend refund and falls back to the local rule", () => {
+  expect(normalizeRefund({ refund: { amount: "20", note: "Partial refund" } }, order)).toEqual({
+    amount: 20,
+    method: "card",
+    note: "Partial refund",
+  });
+  expect(normalizeRefund(null, order)).toEqual(localRefund(order));
+  expect(markCancelled(order, localRefund(order), 5)).toMatchObject({ status: "Cancelled", cancelledAt: 5 });
+});
@@ -0,0 +1,98 @@
+// Delivery zones: where we deliver, what it costs and the smallest order we accept there.
+//
+// A zone matches by postal code ("94107", or a prefix such as "941*") or, for geocoded addresses
+// carrying `location: { lat, lng }`, by polygon. Checkout addresses have no location (normalizeAddress
+// keeps only what the customer types), so polygon zones are only for zone lists passed in through
+// REACT_APP_DELIVERY_ZONES alongside a geocoding backend. Zones are checked in order, so list the
+// closest (cheapest) areas first. `distanceKm` is the typical courier trip and feeds the ETA model.
+
+export const DEFAULT_DELIVERY_FEE = 2.99;
+
+export const DELIVERY_ZONES = [
+  {
+    id: "downtown",
+    name: "Downtown",
+    postalCodes: ["94102", "94103", "94104", "94105", "94107", "94108", "94111"],
+    fee: 1.99,
+    minimumOrder: 0,
+    distanceKm: 2,
+  },
+  {
+    id: "city",
+    name: "Rest of the city",
+    postalCodes: ["941*"],
+    fee: 3.99,
+    minimumOrder: 15,
+    distanceKm: 5,
+  },
+];
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Drops zones without a usable postal code list or polygon. Accepts a bare array or `{ zones: [...] }`.
+// PUBLIC_INTERFACE
+export function normalizeZones(data) {
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.zones) ? data.zones : null;
+  if (!list) return null;
+
+  const zones = list
+    .map((z, idx) => ({
+      id: String(z.id || `zone-${idx + 1}`),
+      name: String(z.name || z.id || `Zone ${idx + 1}`),
+      postalCodes: Array.isArray(z.postalCodes) ? z.postalCodes.map((c) => String(c).trim()).filter(Boolean) : [],
+      polygon: Array.isArray(z.polygon)
+        ? z.polygon.filter((p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite))
+        : [],
+      fee: toNumber(z.fee, DEFAULT_DELIVERY_FEE),
+      minimumOrder: toNumber(z.minimumOrder, 0),
+      distanceKm: toNumber(z.distanceKm, undefined),
+    }))
+    .filter((z) => z.postalCodes.length > 0 || z.polygon.length >= 3);
+  return zones.length > 0 ? zones : null;
+}
+
+function matchesPostalCode(patterns, postalCode) {
+  const zip = String(postalCode || "")
+    .trim()
+    .slice(0, 5);
+  if (!zip) return false;
+  return patterns.some((p) => (p.endsWith("*") ? zip.startsWith(p.slice(0, -1)) : zip === p));
+}
+
+// Ray casting; `polygon` is a list of [lat, lng] vertices.
+// PUBLIC_INTERFACE
+export function pointInPolygon({ lat, lng }, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const straddles = lngI > lng ? lngJ <= lng : lngJ > lng;
+    if (straddles && lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI) inside = !inside;
+  }
+  return inside;
+}
+
+// PUBLIC_INTERFACE
+export function findZone(address, zones = DELIVERY_ZONES) {
+  if (!address) return null;
+  const location = address.location;
+  const hasLocation = location && Number.isFinite(location.lat) && Number.isFinite(location.lng);
+
+  return (
+    zones.find(
+      (z) =>
+        (z.postalCodes && matchesPostalCode(z.postalCodes, address.postalCode)) ||
+        (hasLocation && z.polygon && z.polygon.length >= 3 && pointInPolygon(location, z.polygon))
+    ) || null
+  );
+}
+
+// How much more the customer must add to reach the zone's minimum order (0 when it is met).
+// PUBLIC_INTERFACE
+export function minimumShortfall(zone, subtotal) {
+  if (!zone || !zone.minimumOrder) return 0;
+  return Math.max(0, Math.round((zone.minimumOrder - subtotal) * 100) / 100);
+}
@@ -0,0 +1,57 @@
+import { normalizeAddress } from "./address";
+import { DELIVERY_ZONES, findZone, minimumShortfall, normalizeZones, pointInPolygon } from "./deliveryZones";
+
+test("postal codes match the most specific zone first, including prefixes", () => {
+  expect(findZone({ postalCode: "94107" }).id).toBe("downtown");
+  expect(findZone({ postalCode: "94122-1234" }).id).toBe("city");
+  expect(findZone({ postalCode: "10001" })).toBeNull();
+});
+
+test("geocoded addresses can fall inside a polygon zone from a configured zone list", () => {
+  const airport = {
+    id: "airport",
+    polygon: [
+      [37.6, -122.4],
+      [37.6, -122.36],
+      [37.63, -122.36],
+      [37.63, -122.4],
+    ],
+  };
+  const zones = normalizeZones([...DELIVERY_ZONES, airport]);
+  expect(pointInPolygon({ lat: 37.615, lng: -122.38 }, airport.polygon)).toBe(true);
+  expect(pointInPolygon({ lat: 37.7, lng: -122.38 }, airport.polygon)).toBe(false);
+  expect(findZone({ postalCode: "94128", location: { lat: 37.615, lng: -122.38 } }, zones).id).toBe("city");
+  expect(findZone({ postalCode: "94010", location: { lat: 37.615, lng: -122.38 } }, zones).id).toBe("airport");
+});
+
+test("the built-in zones match checkout addresses, which carry no location", () => {
+  expect(DELIVERY_ZONES.every((z) => z.postalCodes.length > 0)).toBe(true);
+  const typed = {
+    street: "1 Main St",
+    city: "San Francisco",
+    postalCode: "94105",
+    location: { lat: 37.615, lng: -122.38 },
+  };
+  const address = normalizeAddress(typed);
+  expect(address).not.toHaveProperty("location");
+  expect(findZone(address).id).toBe("downtown");
+  expect(findZone(normalizeAddress({ ...typed, postalCode: "94010" }))).toBeNull();
+});
+
+test("minimumShortfall reports how much is missing to reach the zone minimum", () => {
+  const zone = { minimumOrder: 15 };
+  expect(minimumShortfall(zone, 9.5)).toBe(5.5);
+  expect(minimumShortfall(zone, 20)).toBe(0);
+  expect(minimumShortfall(null, 0)).toBe(0);
+});
+
+test("normalizeZones fills defaults and drops zones it cannot match", () => {
+  const zones = normalizeZones({
+    zones: [{ id: "north", postalCodes: [94133], fee: "2.5" }, { id: "nowhere" }, { polygon: [[0, 0]] }],
+  });
+  expect(zones).toEqual([
+    expect.objectContaining({ id: "north", name: "north", postalCodes: ["94133"], fee: 2.5, minimumOrder: 0 }),
+  ]);
+  expect(normalizeZones([])).toBeNull();
+  expect(normalizeZones("nope")).toBeNull();
+});
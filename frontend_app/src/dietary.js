@@ -0,0 +1,119 @@
+// Dietary attributes and allergens, kept apart from the category tags.
+//
+// Items carry `dietary` (diet ids from DIETS, plus "spicy") and `allergens` (ids from ALLERGENS). A
+// filter — and the saved dietary profile, which is just a filter kept for later — is
+// `{ diets, avoid }`: every diet in `diets` must apply, and nothing in `avoid` (allergens or "spicy")
+// may be present.
+
+export const DIETS = [
+  { id: "vegetarian", label: "Vegetarian" },
+  { id: "vegan", label: "Vegan" },
+  { id: "gluten-free", label: "Gluten-free" },
+];
+
+export const ALLERGENS = [
+  { id: "gluten", label: "Gluten" },
+  { id: "dairy", label: "Dairy" },
+  { id: "egg", label: "Egg" },
+  { id: "nuts", label: "Tree nuts" },
+  { id: "peanuts", label: "Peanuts" },
+  { id: "soy", label: "Soy" },
+  { id: "fish", label: "Fish" },
+  { id: "shellfish", label: "Shellfish" },
+  { id: "sesame", label: "Sesame" },
+];
+
+const SPICY = { id: "spicy", label: "Spicy" };
+
+// What an item can be marked as (shown as chips on its card), and what a filter can leave out.
+export const ATTRIBUTE_OPTIONS = [...DIETS, SPICY];
+export const AVOID_OPTIONS = [...ALLERGENS, SPICY];
+
+export const EMPTY_DIET_FILTER = { diets: [], avoid: [] };
+
+const DIET_IDS = DIETS.map((d) => d.id);
+const ATTRIBUTE_IDS = ATTRIBUTE_OPTIONS.map((a) => a.id);
+const ALLERGEN_IDS = ALLERGENS.map((a) => a.id);
+const AVOID_IDS = AVOID_OPTIONS.map((a) => a.id);
+// Tags that used to double as dietary info, e.g. "Gluten-Free" -> "gluten-free".
+const LEGACY_TAGS = { vegetarian: "vegetarian", vegan: "vegan", "gluten-free": "gluten-free", spicy: "spicy" };
+
+// PUBLIC_INTERFACE
+export function labelOf(options, id) {
+  const found = options.find((o) => o.id === id);
+  return found ? found.label : id;
+}
+
+function pick(list, allowed) {
+  return Array.isArray(list) ? [...new Set(list.filter((x) => allowed.includes(x)))] : [];
+}
+
+// Splits dietary info out of `tags` and tidies the attribute lists. Vegan food is vegetarian too.
+// PUBLIC_INTERFACE
+export function normalizeDietary(item) {
+  const tags = [];
+  const dietary = pick(item.dietary, ATTRIBUTE_IDS);
+  (Array.isArray(item.tags) ? item.tags : []).forEach((t) => {
+    const legacy = typeof t === "string" && LEGACY_TAGS[t.toLowerCase()];
+    if (legacy) {
+      if (!dietary.includes(legacy)) dietary.push(legacy);
+    } else if (typeof t === "string") {
+      tags.push(t);
+    }
+  });
+  if (dietary.includes("vegan") && !dietary.includes("vegetarian")) dietary.push("vegetarian");
+  return {
+    tags,
+    dietary: ATTRIBUTE_IDS.filter((id) => dietary.includes(id)),
+    allergens: pick(item.allergens, ALLERGEN_IDS),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function normalizeDietFilter(filter) {
+  return {
+    diets: pick(filter && filter.diets, DIET_IDS),
+    avoid: pick(filter && filter.avoid, AVOID_IDS),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function sameDietFilter(a, b) {
+  const key = (f) => JSON.stringify([[...f.diets].sort(), [...f.avoid].sort()]);
+  return key(a) === key(b);
+}
+
+// PUBLIC_INTERFACE
+export function dietFilterSize(filter) {
+  return filter.diets.length + filter.avoid.length;
+}
+
+// Why `item` falls foul of `filter`: one reason per unmet diet or avoided ingredient.
+// PUBLIC_INTERFACE
+export function dietConflicts(item, filter) {
+  const dietary = item.dietary || [];
+  const present = [...(item.allergens || []), ...(dietary.includes("spicy") ? ["spicy"] : [])];
+  return [
+    ...filter.diets.filter((d) => !dietary.includes(d)).map((d) => `isn’t ${labelOf(DIETS, d).toLowerCase()}`),
+    ...filter.avoid
+      .filter((a) => present.includes(a))
+      .map((a) => `contains ${labelOf(AVOID_OPTIONS, a).toLowerCase()}`),
+  ];
+}
+
+// PUBLIC_INTERFACE
+export function matchesDietFilter(item, filter) {
+  return dietConflicts(item, filter).length === 0;
+}
+
+// Cart lines that clash with the dietary profile, as `{ lineId, name, reasons }`.
+// PUBLIC_INTERFACE
+export function cartDietConflicts(cartItems, menu, profile) {
+  if (dietFilterSize(profile) === 0) return [];
+  return cartItems
+    .map((line) => {
+      const item = menu.find((m) => m.id === line.itemId);
+      return { lineId: line.lineId, name: line.name, reasons: item ? dietConflicts(item, profile) : [] };
+    })
+    .filter((c) => c.reasons.length > 0);
+}
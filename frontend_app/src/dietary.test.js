@@ -0,0 +1,41 @@
+import { cartDietConflicts, dietConflicts, matchesDietFilter, normalizeDietary, normalizeDietFilter } from "./dietary";
+
+test("normalizeDietary moves legacy diet tags out of the categories and keeps known allergens", () => {
+  expect(
+    normalizeDietary({ tags: ["Bowls", "Vegan", "Spicy"], dietary: ["gluten-free", "keto"], allergens: ["soy", "x"] })
+  ).toEqual({ tags: ["Bowls"], dietary: ["vegetarian", "vegan", "gluten-free", "spicy"], allergens: ["soy"] });
+  expect(normalizeDietary({})).toEqual({ tags: [], dietary: [], allergens: [] });
+});
+
+test("normalizeDietFilter drops unknown ids and duplicates", () => {
+  expect(normalizeDietFilter({ diets: ["vegan", "vegan", "paleo"], avoid: ["nuts", "spicy", 3] })).toEqual({
+    diets: ["vegan"],
+    avoid: ["nuts", "spicy"],
+  });
+  expect(normalizeDietFilter(null)).toEqual({ diets: [], avoid: [] });
+});
+
+test("an item must meet every chosen diet and contain nothing that is avoided", () => {
+  const pad = { dietary: ["vegetarian", "spicy"], allergens: ["peanuts", "soy"] };
+  expect(matchesDietFilter(pad, { diets: ["vegetarian"], avoid: ["dairy"] })).toBe(true);
+  expect(dietConflicts(pad, { diets: ["vegan"], avoid: ["peanuts", "spicy"] })).toEqual([
+    "isn’t vegan",
+    "contains peanuts",
+    "contains spicy",
+  ]);
+});
+
+test("cartDietConflicts lists the cart lines that clash with the profile", () => {
+  const menu = [
+    { id: "salad", dietary: [], allergens: ["dairy"] },
+    { id: "fries", dietary: ["vegan", "vegetarian"], allergens: [] },
+  ];
+  const cart = [
+    { lineId: "a", itemId: "salad", name: "Salad" },
+    { lineId: "b", itemId: "fries", name: "Fries" },
+  ];
+  expect(cartDietConflicts(cart, menu, { diets: [], avoid: ["dairy"] })).toEqual([
+    { lineId: "a", name: "Salad", reasons: ["contains dairy"] },
+  ]);
+  expect(cartDietConflicts(cart, menu, { diets: [], avoid: [] })).toEqual([]);
+});
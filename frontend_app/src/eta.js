@@ -0,0 +1,103 @@
+// ETA model: confirmation, then kitchen time (slowest item plus load), then the courier's trip.
+//
+// An order carries a planned `timeline` of absolute times:
+//   { startsAt, preparingAt, outAt, deliverAt }
+// and `eta` is re-estimated from it as the order's status advances. Pickup orders have no courier
+// trip, so `outAt === deliverAt`; they wait as "Ready for pickup" and count as collected
+// PICKUP_WAIT_MINS later.
+
+export const CONFIRM_MINS = 2;
+// Every unit beyond the first adds a minute of assembly and packing, up to this cap.
+export const MAX_LOAD_MINS = 10;
+export const HANDOFF_MINS = 3;
+export const COURIER_KMH = 25;
+export const DEFAULT_DISTANCE_KM = 3;
+export const PICKUP_WAIT_MINS = 10;
+
+const MINUTE = 60_000;
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+// When the order is done: delivered, or collected from the counter.
+function endsAt(timeline, fulfillment) {
+  return fulfillment === "pickup" ? timeline.outAt + PICKUP_WAIT_MINS * MINUTE : timeline.deliverAt;
+}
+
+// PUBLIC_INTERFACE
+export function kitchenMins(items, menu) {
+  const preps = items.map((it) => (menu.find((m) => m.id === it.itemId) || { prepMins: 0 }).prepMins);
+  const units = items.reduce((sum, it) => sum + it.quantity, 0);
+  return Math.max(0, ...preps) + clamp(units - 1, 0, MAX_LOAD_MINS);
+}
+
+// PUBLIC_INTERFACE
+export function deliveryMins(distanceKm = DEFAULT_DISTANCE_KM) {
+  return HANDOFF_MINS + Math.ceil((distanceKm / COURIER_KMH) * 60);
+}
+
+// Minutes from placing an order to its arrival.
+// PUBLIC_INTERFACE
+export function leadMins(kitchen, delivery) {
+  return CONFIRM_MINS + kitchen + delivery;
+}
+
+// PUBLIC_INTERFACE
+export function planTimeline(startsAt, kitchen, delivery) {
+  const preparingAt = startsAt + CONFIRM_MINS * MINUTE;
+  const outAt = preparingAt + kitchen * MINUTE;
+  return { startsAt, preparingAt, outAt, deliverAt: outAt + delivery * MINUTE };
+}
+
+const STEPS = {
+  delivery: ["Confirmed", "Preparing", "Out for delivery", "Delivered"],
+  pickup: ["Confirmed", "Preparing", "Ready for pickup", "Picked up"],
+};
+
+// The statuses an order passes through once the kitchen has it, in order.
+// PUBLIC_INTERFACE
+export function fulfillmentSteps(fulfillment = "delivery") {
+  return STEPS[fulfillment] || STEPS.delivery;
+}
+
+// PUBLIC_INTERFACE
+export function statusAt(timeline, now, fulfillment = "delivery") {
+  if (now < timeline.startsAt) return "Scheduled";
+  if (now < timeline.preparingAt) return "Confirmed";
+  if (now < timeline.outAt) return "Preparing";
+  if (fulfillment === "pickup") return now < endsAt(timeline, fulfillment) ? "Ready for pickup" : "Picked up";
+  if (now < timeline.deliverAt) return "Out for delivery";
+  return "Delivered";
+}
+
+// PUBLIC_INTERFACE
+export function progressAt(timeline, now, fulfillment = "delivery") {
+  if (now < timeline.startsAt) return 0;
+  const span = endsAt(timeline, fulfillment) - timeline.startsAt;
+  return clamp(Math.round(((now - timeline.startsAt) / span) * 100), 0, 100);
+}
+
+// Arrival estimate for the order's current status. A phase never ends earlier than planned, and
+// one that runs late is assumed to need at least another minute, pushing the later phases back.
+// PUBLIC_INTERFACE
+export function reestimateEta(order, now) {
+  const t = order.timeline;
+  if (!t) return order.eta || null;
+  const kitchen = (t.outAt - t.preparingAt) / MINUTE;
+  const delivery = (t.deliverAt - t.outAt) / MINUTE;
+  const remaining = (until) => Math.max(until - now, MINUTE);
+
+  switch (order.status) {
+    case "Scheduled":
+      return t.deliverAt;
+    case "Confirmed":
+      return now + remaining(t.preparingAt) + (kitchen + delivery) * MINUTE;
+    case "Preparing":
+      return now + remaining(t.outAt) + delivery * MINUTE;
+    case "Out for delivery":
+      return now + remaining(t.deliverAt);
+    default:
+      return order.eta || null;
+  }
+}
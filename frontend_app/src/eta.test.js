@@ -0,0 +1,73 @@
+import {
+  deliveryMins,
+  fulfillmentSteps,
+  kitchenMins,
+  leadMins,
+  PICKUP_WAIT_MINS,
+  planTimeline,
+  progressAt,
+  reestimateEta,
+  statusAt,
+} from "./eta";
+
+const MIN = 60_000;
+const menu = [
+  { id: "pizza", prepMins: 22 },
+  { id: "fries", prepMins: 8 },
+];
+
+test("kitchen time is the slowest item plus a capped load per extra unit", () => {
+  expect(kitchenMins([{ itemId: "fries", quantity: 1 }], menu)).toBe(8);
+  expect(
+    kitchenMins(
+      [
+        { itemId: "pizza", quantity: 2 },
+        { itemId: "fries", quantity: 1 },
+      ],
+      menu
+    )
+  ).toBe(24);
+  expect(kitchenMins([{ itemId: "fries", quantity: 40 }], menu)).toBe(18);
+});
+
+test("delivery and lead time add up", () => {
+  expect(deliveryMins(3)).toBe(11);
+  expect(deliveryMins(10)).toBe(27);
+  expect(leadMins(24, 11)).toBe(37);
+});
+
+test("the planned timeline drives status and progress", () => {
+  const t = planTimeline(0, 20, 10);
+  expect(t).toEqual({ startsAt: 0, preparingAt: 2 * MIN, outAt: 22 * MIN, deliverAt: 32 * MIN });
+  expect([-1, 0, 5 * MIN, 25 * MIN, 40 * MIN].map((now) => statusAt(t, now))).toEqual([
+    "Scheduled",
+    "Confirmed",
+    "Preparing",
+    "Out for delivery",
+    "Delivered",
+  ]);
+  expect(progressAt(t, 16 * MIN)).toBe(50);
+});
+
+test("pickup orders wait as ready for pickup, then count as picked up", () => {
+  const t = planTimeline(0, 20, 0);
+  const pickedUpAt = t.outAt + PICKUP_WAIT_MINS * MIN;
+  expect([5 * MIN, 22 * MIN, pickedUpAt - 1, pickedUpAt].map((now) => statusAt(t, now, "pickup"))).toEqual([
+    "Preparing",
+    "Ready for pickup",
+    "Ready for pickup",
+    "Picked up",
+  ]);
+  expect(progressAt(t, 22 * MIN, "pickup")).toBe(69);
+  expect(progressAt(t, pickedUpAt, "pickup")).toBe(100);
+  expect(fulfillmentSteps("pickup")).toEqual(["Confirmed", "Preparing", "Ready for pickup", "Picked up"]);
+  expect(fulfillmentSteps()).toContain("Out for delivery");
+});
+
+test("re-estimates keep the plan when on time and slide when a phase runs late", () => {
+  const order = { timeline: planTimeline(0, 20, 10) };
+  expect(reestimateEta({ ...order, status: "Preparing" }, 10 * MIN)).toBe(32 * MIN);
+  // Still cooking 3 minutes after the planned hand-off: one more minute, then the full trip.
+  expect(reestimateEta({ ...order, status: "Preparing" }, 25 * MIN)).toBe(36 * MIN);
+  expect(reestimateEta({ ...order, status: "Out for delivery" }, 40 * MIN)).toBe(41 * MIN);
+});
@@ -0,0 +1,9 @@
+// PUBLIC_INTERFACE
+export function formatMoney(amount) {
+  return new Intl.NumberFormat(undefined, { style: "currency", currency: "USD" }).format(amount);
+}
+
+// PUBLIC_INTERFACE
+export function formatClock(ms) {
+  return new Intl.DateTimeFormat(undefined, { hour: "numeric", minute: "2-digit" }).format(new Date(ms));
+}
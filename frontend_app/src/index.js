@@ -2,10 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import KitchenDashboard from './KitchenDashboard';
+import MenuAdmin from './MenuAdmin';
+import { currentView, staffApiFromEnv } from './views';
 
+const view = currentView();
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {view === 'kitchen' ? <KitchenDashboard api={staffApiFromEnv()} /> : null}
+    {view === 'admin' ? <MenuAdmin api={staffApiFromEnv()} /> : null}
+    {view === 'customer' ? <App /> : null}
   </React.StrictMode>
 );
@@ -0,0 +1,97 @@
+// Option groups let a menu item declare modifiers:
+//   { id, name, type: "single" | "multi", required, options: [{ id, name, priceDelta }] }
+// A selection is a map of groupId -> array of chosen option ids.
+
+// Drops malformed groups/options so the picker never has to guard against them.
+// PUBLIC_INTERFACE
+export function normalizeOptionGroups(groups) {
+  if (!Array.isArray(groups)) return [];
+  return groups
+    .filter((g) => g && g.id != null && typeof g.name === "string" && Array.isArray(g.options))
+    .map((g) => ({
+      id: String(g.id),
+      name: g.name,
+      type: g.type === "multi" ? "multi" : "single",
+      required: g.type === "multi" ? Boolean(g.required) : g.required !== false,
+      options: g.options
+        .filter((o) => o && o.id != null && typeof o.name === "string")
+        .map((o) => ({
+          id: String(o.id),
+          name: o.name,
+          priceDelta: Number.isFinite(Number(o.priceDelta)) ? Number(o.priceDelta) : 0,
+        })),
+    }))
+    .filter((g) => g.options.length > 0);
+}
+
+// PUBLIC_INTERFACE
+export function hasOptions(item) {
+  return Boolean(item && item.optionGroups && item.optionGroups.length > 0);
+}
+
+// Required single-choice groups start on their first option; everything else starts empty.
+// PUBLIC_INTERFACE
+export function defaultSelections(item) {
+  const selections = {};
+  (item.optionGroups || []).forEach((g) => {
+    selections[g.id] = g.type === "single" && g.required ? [g.options[0].id] : [];
+  });
+  return selections;
+}
+
+// PUBLIC_INTERFACE
+export function toggleSelection(item, selections, groupId, optionId) {
+  const group = (item.optionGroups || []).find((g) => g.id === groupId);
+  if (!group) return selections;
+  const current = selections[groupId] || [];
+
+  if (group.type === "single") {
+    const isSelected = current.includes(optionId);
+    // Optional single-choice groups can be cleared by clicking the selected option again.
+    return { ...selections, [groupId]: isSelected && !group.required ? [] : [optionId] };
+  }
+  return {
+    ...selections,
+    [groupId]: current.includes(optionId) ? current.filter((id) => id !== optionId) : [...current, optionId],
+  };
+}
+
+// Returns a map of groupId -> message for every group that still needs a choice.
+// PUBLIC_INTERFACE
+export function validateSelections(item, selections) {
+  const errors = {};
+  (item.optionGroups || []).forEach((g) => {
+    if (g.required && !(selections[g.id] || []).length) errors[g.id] = `Choose a ${g.name.toLowerCase()}`;
+  });
+  return errors;
+}
+
+// Flattens a selection into the option list stored on cart lines and order items.
+// PUBLIC_INTERFACE
+export function resolveSelections(item, selections) {
+  const chosen = [];
+  (item.optionGroups || []).forEach((g) => {
+    const ids = selections[g.id] || [];
+    g.options.forEach((o) => {
+      if (ids.includes(o.id)) chosen.push({ groupId: g.id, optionId: o.id, name: o.name, priceDelta: o.priceDelta });
+    });
+  });
+  return chosen;
+}
+
+// PUBLIC_INTERFACE
+export function unitPriceWithOptions(basePrice, options) {
+  return Math.round((basePrice + (options || []).reduce((sum, o) => sum + o.priceDelta, 0)) * 100) / 100;
+}
+
+// Cart lines are keyed by item + chosen options, so differently configured items stay separate.
+// PUBLIC_INTERFACE
+export function cartLineId(itemId, options) {
+  const keys = (options || []).map((o) => `${o.groupId}:${o.optionId}`).sort();
+  return keys.length ? `${itemId}|${keys.join(",")}` : itemId;
+}
+
+// PUBLIC_INTERFACE
+export function describeOptions(options) {
+  return (options || []).map((o) => o.name).join(", ");
+}
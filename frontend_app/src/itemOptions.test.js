@@ -0,0 +1,64 @@
+import {
+  cartLineId,
+  defaultSelections,
+  normalizeOptionGroups,
+  resolveSelections,
+  toggleSelection,
+  unitPriceWithOptions,
+  validateSelections,
+} from "./itemOptions";
+
+const burger = {
+  id: "burger",
+  price: 10,
+  optionGroups: normalizeOptionGroups([
+    {
+      id: "size",
+      name: "Size",
+      type: "single",
+      options: [
+        { id: "s", name: "Single", priceDelta: 0 },
+        { id: "d", name: "Double", priceDelta: 3.5 },
+      ],
+    },
+    {
+      id: "addons",
+      name: "Add-ons",
+      type: "multi",
+      options: [
+        { id: "bacon", name: "Bacon", priceDelta: 2 },
+        { id: "cheese", name: "Cheese", priceDelta: "1" },
+      ],
+    },
+    { id: "broken", name: "Broken", options: [] },
+  ]),
+};
+
+test("normalizes groups: single defaults to required, empty groups are dropped", () => {
+  expect(burger.optionGroups.map((g) => [g.id, g.type, g.required])).toEqual([
+    ["size", "single", true],
+    ["addons", "multi", false],
+  ]);
+  expect(burger.optionGroups[1].options[1].priceDelta).toBe(1);
+});
+
+test("required single-choice groups are preselected and validate", () => {
+  const selections = defaultSelections(burger);
+  expect(selections).toEqual({ size: ["s"], addons: [] });
+  expect(validateSelections(burger, selections)).toEqual({});
+  expect(validateSelections(burger, { size: [], addons: [] })).toEqual({ size: "Choose a size" });
+});
+
+test("prices and keys a configured line independent of selection order", () => {
+  let selections = defaultSelections(burger);
+  selections = toggleSelection(burger, selections, "size", "d");
+  selections = toggleSelection(burger, selections, "addons", "cheese");
+  selections = toggleSelection(burger, selections, "addons", "bacon");
+
+  const options = resolveSelections(burger, selections);
+  expect(options.map((o) => o.optionId)).toEqual(["d", "bacon", "cheese"]);
+  expect(unitPriceWithOptions(burger.price, options)).toBe(16.5);
+  expect(cartLineId("burger", options)).toBe(cartLineId("burger", [...options].reverse()));
+  expect(cartLineId("burger", options)).not.toBe(cartLineId("burger", resolveSelections(burger, defaultSelections(burger))));
+  expect(cartLineId("fries", [])).toBe("fries");
+});
@@ -0,0 +1,9 @@
+// Parses `maybeJson` (e.g. a localStorage value), falling back when it is missing or malformed.
+// PUBLIC_INTERFACE
+export function safeParseJson(maybeJson, fallback) {
+  try {
+    return JSON.parse(maybeJson) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
@@ -0,0 +1,9 @@
+import { safeParseJson } from "./json";
+
+test("parses JSON and falls back for missing, null or malformed values", () => {
+  expect(safeParseJson('{"a":1}', {})).toEqual({ a: 1 });
+  expect(safeParseJson("[]", null)).toEqual([]);
+  expect(safeParseJson(null, [])).toEqual([]);
+  expect(safeParseJson("null", "fallback")).toBe("fallback");
+  expect(safeParseJson("{oops", 0)).toBe(0);
+});
@@ -0,0 +1,57 @@
+// Kitchen view helpers: the order queue staff work through and how status changes reach customers.
+//
+// With a backend the kitchen reads `GET /orders` and advances orders with `POST /orders/:id/status`;
+// customers pick the change up through their own polling or tracking socket. In demo mode there is no
+// server, so the kitchen tab reads the orders the customer tab keeps in localStorage and pushes each
+// change over a BroadcastChannel as a tracking event (the same shape the tracking socket delivers).
+
+import { fulfillmentSteps } from "./eta";
+import { isTerminalStatus } from "./trackingSocket";
+
+export const KITCHEN_CHANNEL = "food_order_kitchen_v1";
+export const TRACKED_ORDERS_KEY = "food_order_active_orders_v1"; // written by the customer app
+export const KITCHEN_POLL_MS = 10_000;
+
+// The status staff can move the order to next, or null once it has left the kitchen's hands.
+// PUBLIC_INTERFACE
+export function nextKitchenStatus(order) {
+  if (!order || isTerminalStatus(order.status)) return null;
+  const steps = fulfillmentSteps(order.fulfillment);
+  if (order.status === "Scheduled") return steps[0];
+  const index = steps.indexOf(order.status);
+  return index >= 0 && index < steps.length - 1 ? steps[index + 1] : null;
+}
+
+// Active orders, oldest first, so the kitchen works through them in the order they arrived.
+// PUBLIC_INTERFACE
+export function kitchenQueue(orders) {
+  return orders
+    .filter((o) => o && o.id && !isTerminalStatus(o.status))
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+// PUBLIC_INTERFACE
+export function statusEvent(orderId, status) {
+  return { type: "order.update", orderId, status, at: Date.now() };
+}
+
+// Demo-mode transport between the kitchen and customer tabs. Without BroadcastChannel support
+// publishing is a no-op and the customer tab keeps simulating progress.
+// PUBLIC_INTERFACE
+export function createKitchenChannel({ onEvent = () => {}, channelImpl } = {}) {
+  const Channel = channelImpl || (typeof BroadcastChannel === "function" ? BroadcastChannel : null);
+  if (!Channel) return { publish() {}, close() {} };
+
+  const channel = new Channel(KITCHEN_CHANNEL);
+  channel.onmessage = (e) => {
+    if (e.data && e.data.type === "order.update") onEvent(e.data);
+  };
+  return {
+    publish(event) {
+      channel.postMessage(event);
+    },
+    close() {
+      channel.close();
+    },
+  };
+}
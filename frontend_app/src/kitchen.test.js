@@ -0,0 +1,47 @@
+import { createKitchenChannel, kitchenQueue, nextKitchenStatus } from "./kitchen";
+
+test("nextKitchenStatus walks each fulfillment through its own steps", () => {
+  expect(nextKitchenStatus({ status: "Confirmed" })).toBe("Preparing");
+  expect(nextKitchenStatus({ status: "Preparing" })).toBe("Out for delivery");
+  expect(nextKitchenStatus({ status: "Out for delivery" })).toBe("Delivered");
+  expect(nextKitchenStatus({ status: "Preparing", fulfillment: "pickup" })).toBe("Ready for pickup");
+  expect(nextKitchenStatus({ status: "Ready for pickup", fulfillment: "pickup" })).toBe("Picked up");
+  expect(nextKitchenStatus({ status: "Scheduled" })).toBe("Confirmed");
+  expect(nextKitchenStatus({ status: "Delivered" })).toBeNull();
+  expect(nextKitchenStatus({ status: "Cancelled" })).toBeNull();
+});
+
+test("kitchenQueue keeps open orders, oldest first", () => {
+  const queue = kitchenQueue([
+    { id: "B", createdAt: 2, status: "Preparing" },
+    { id: "C", createdAt: 3, status: "Delivered" },
+    { id: "A", createdAt: 1, status: "Confirmed" },
+  ]);
+  expect(queue.map((o) => o.id)).toEqual(["A", "B"]);
+});
+
+test("createKitchenChannel posts tracking events and ignores anything else", () => {
+  const instances = [];
+  class FakeChannel {
+    constructor(name) {
+      this.name = name;
+      this.postMessage = jest.fn();
+      this.close = jest.fn();
+      instances.push(this);
+    }
+  }
+  const onEvent = jest.fn();
+  const channel = createKitchenChannel({ onEvent, channelImpl: FakeChannel });
+  const [raw] = instances;
+  expect(raw.name).toBe("food_order_kitchen_v1");
+
+  channel.publish({ type: "order.update", orderId: "A", status: "Preparing" });
+  expect(raw.postMessage).toHaveBeenCalledWith({ type: "order.update", orderId: "A", status: "Preparing" });
+
+  raw.onmessage({ data: { type: "chat" } });
+  raw.onmessage({ data: { type: "order.update", orderId: "A", status: "Delivered" } });
+  expect(onEvent).toHaveBeenCalledTimes(1);
+
+  channel.close();
+  expect(raw.close).toHaveBeenCalled();
+});
@@ -0,0 +1,54 @@
+// Menu data shared by the API client, the menu cache, the menu admin and the UI.
+//
+// A catalog is `{ items, categories }`: the items plus the order their tags are shown in as
+// categories. Items carry two admin flags: `soldOut` (shown, but can't be ordered) and `hidden`
+// (left off the customer menu entirely), their dietary attributes and allergens (see dietary.js), and a
+// `popularity` score from the backend (e.g. recent orders) used by the "Most popular" sort.
+
+import { normalizeDietary } from "./dietary";
+import { normalizeOptionGroups } from "./itemOptions";
+
+function normalizeImage(image) {
+  return typeof image === "string" && /^(https?:\/\/|\/|data:image\/)/.test(image.trim()) ? image.trim() : "";
+}
+
+// Accepts either a bare array or `{ items: [...] }` and drops entries the UI cannot render.
+// PUBLIC_INTERFACE
+export function normalizeMenu(data) {
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.items) ? data.items : null;
+  if (!list) return null;
+  return list
+    .filter((m) => m && m.id != null && typeof m.name === "string" && Number.isFinite(Number(m.price)))
+    .map((m) => ({
+      id: String(m.id),
+      name: m.name,
+      description: typeof m.description === "string" ? m.description : "",
+      price: Number(m.price),
+      ...normalizeDietary(m),
+      prepMins: Number.isFinite(Number(m.prepMins)) ? Number(m.prepMins) : 15,
+      popularity: Number(m.popularity) > 0 ? Number(m.popularity) : 0,
+      image: normalizeImage(m.image),
+      soldOut: m.soldOut === true,
+      hidden: m.hidden === true,
+      optionGroups: normalizeOptionGroups(m.optionGroups),
+    }));
+}
+
+// Same inputs as `normalizeMenu`; a bare array has no category order.
+// PUBLIC_INTERFACE
+export function normalizeCatalog(data) {
+  const items = normalizeMenu(data);
+  if (!items) return null;
+  const categories = data && Array.isArray(data.categories) ? data.categories : [];
+  return { items, categories: [...new Set(categories.filter((c) => typeof c === "string" && c))] };
+}
+
+// Every tag in use, in the saved category order; tags not placed yet follow alphabetically.
+// PUBLIC_INTERFACE
+export function orderedCategories(items, categories = []) {
+  const used = new Set();
+  items.forEach((i) => i.tags.forEach((t) => used.add(t)));
+  const placed = categories.filter((c) => used.has(c));
+  const rest = [...used].filter((t) => !placed.includes(t)).sort();
+  return [...placed, ...rest];
+}
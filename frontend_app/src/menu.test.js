@@ -0,0 +1,30 @@
+import { normalizeCatalog, normalizeMenu, orderedCategories } from "./menu";
+
+test("normalizeMenu keeps admin flags and only web, local or inline image sources", () => {
+  const [item] = normalizeMenu([
+    { id: 1, name: "Soup", price: "5", soldOut: true, hidden: "yes", image: "ftp://img.test/soup.png" },
+  ]);
+  expect(item).toMatchObject({ id: "1", price: 5, soldOut: true, hidden: false, image: "" });
+  expect(normalizeMenu([{ id: 2, name: "Tea", price: 3, image: "https://img.test/tea.png" }])[0].image).toBe(
+    "https://img.test/tea.png"
+  );
+});
+
+test("normalizeCatalog accepts bare arrays and de-duplicates the category order", () => {
+  expect(normalizeCatalog([{ id: 1, name: "Soup", price: 5 }]).categories).toEqual([]);
+  expect(normalizeCatalog({ items: [], categories: ["Soups", "Soups", 3, "Salads"] }).categories).toEqual([
+    "Soups",
+    "Salads",
+  ]);
+  expect(normalizeCatalog({ categories: [] })).toBeNull();
+});
+
+test("orderedCategories follows the saved order and appends new tags alphabetically", () => {
+  const items = [{ tags: ["Pizza", "Vegan"] }, { tags: ["Bowls"] }, { tags: ["Drinks"] }];
+  expect(orderedCategories(items, ["Drinks", "Gone", "Pizza"])).toEqual(["Drinks", "Pizza", "Bowls", "Vegan"]);
+});
+
+test("normalizeMenu turns old diet tags into dietary attributes", () => {
+  const [item] = normalizeMenu([{ id: 1, name: "Curry", price: 9, tags: ["Bowls", "Vegan"], allergens: ["soy"] }]);
+  expect(item).toMatchObject({ tags: ["Bowls"], dietary: ["vegetarian", "vegan"], allergens: ["soy"] });
+});
@@ -0,0 +1,135 @@
+// Menu admin: editing drafts of menu items, validating them and keeping the demo catalog.
+//
+// With a backend the admin saves the whole catalog with `PUT /menu`. In demo mode it is kept in
+// localStorage, where the customer app picks it up in place of the sample menu.
+
+import { normalizeDietary } from "./dietary";
+import { safeParseJson } from "./json";
+import { normalizeCatalog } from "./menu";
+import { SAMPLE_MENU } from "./sampleMenu";
+
+export const LOCAL_CATALOG_KEY = "food_order_menu_admin_v1";
+export const MAX_PRICE = 500;
+export const MAX_PREP_MINS = 180;
+
+// Form state for one item; numbers stay strings while they are being typed.
+export const EMPTY_ITEM_DRAFT = {
+  id: null,
+  name: "",
+  description: "",
+  price: "",
+  tags: "",
+  prepMins: "15",
+  image: "",
+  dietary: [],
+  allergens: [],
+};
+
+// PUBLIC_INTERFACE
+export function readLocalCatalog() {
+  return normalizeCatalog(safeParseJson(window.localStorage.getItem(LOCAL_CATALOG_KEY), null));
+}
+
+// The demo catalog: what the admin last saved, or the sample menu.
+// PUBLIC_INTERFACE
+export function localCatalog() {
+  return readLocalCatalog() || normalizeCatalog(SAMPLE_MENU);
+}
+
+// PUBLIC_INTERFACE
+export function writeLocalCatalog(catalog) {
+  window.localStorage.setItem(LOCAL_CATALOG_KEY, JSON.stringify(catalog));
+}
+
+// PUBLIC_INTERFACE
+export function itemToDraft(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    description: item.description,
+    price: String(item.price),
+    tags: item.tags.join(", "),
+    prepMins: String(item.prepMins),
+    image: item.image || "",
+    dietary: item.dietary || [],
+    allergens: item.allergens || [],
+  };
+}
+
+function parseTags(tags) {
+  return [
+    ...new Set(
+      String(tags)
+        .split(",")
+        .map((t) => t.trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+// Returns `{ field: message }` for everything that would stop the draft from being saved.
+// PUBLIC_INTERFACE
+export function validateMenuItem(draft, items = []) {
+  const errors = {};
+  const name = draft.name.trim();
+  if (!name) errors.name = "Enter a name.";
+  else if (items.some((i) => i.id !== draft.id && i.name.trim().toLowerCase() === name.toLowerCase())) {
+    errors.name = "Another item already has this name.";
+  }
+
+  const price = String(draft.price).trim();
+  if (!price) errors.price = "Enter a price.";
+  else if (!/^\d+(\.\d{1,2})?$/.test(price)) errors.price = "Use a price like 12 or 12.50.";
+  else if (Number(price) <= 0 || Number(price) > MAX_PRICE) errors.price = `Prices run from $0.01 to $${MAX_PRICE}.`;
+
+  const prep = String(draft.prepMins).trim();
+  if (!/^\d+$/.test(prep) || Number(prep) < 1 || Number(prep) > MAX_PREP_MINS) {
+    errors.prepMins = `Prep time is a whole number of minutes from 1 to ${MAX_PREP_MINS}.`;
+  }
+
+  const image = draft.image.trim();
+  if (image && !/^https?:\/\/\S+$/.test(image)) errors.image = "Use an image URL starting with http:// or https://.";
+  return errors;
+}
+
+function slugify(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "item"
+  );
+}
+
+// Applies a valid draft to the item list: edits keep the item's id, options and flags; new items get a
+// unique id from their name and go to the end.
+// PUBLIC_INTERFACE
+export function applyDraft(items, draft) {
+  const fields = {
+    name: draft.name.trim(),
+    description: draft.description.trim(),
+    price: Number(draft.price),
+    prepMins: Number(draft.prepMins),
+    image: draft.image.trim(),
+    ...normalizeDietary({ ...draft, tags: parseTags(draft.tags) }),
+  };
+  if (draft.id) return items.map((i) => (i.id === draft.id ? { ...i, ...fields } : i));
+
+  const taken = new Set(items.map((i) => i.id));
+  const base = slugify(fields.name);
+  let id = base;
+  for (let n = 2; taken.has(id); n += 1) id = `${base}-${n}`;
+  return [...items, { id, ...fields, soldOut: false, hidden: false, optionGroups: [] }];
+}
+
+// Moves `category` one place up (delta -1) or down (delta 1) within the full ordered list.
+// PUBLIC_INTERFACE
+export function moveCategory(categories, category, delta) {
+  const from = categories.indexOf(category);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= categories.length) return categories;
+  const next = [...categories];
+  next.splice(from, 1);
+  next.splice(to, 0, category);
+  return next;
+}
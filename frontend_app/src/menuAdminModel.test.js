@@ -0,0 +1,64 @@
+import {
+  applyDraft,
+  EMPTY_ITEM_DRAFT,
+  itemToDraft,
+  localCatalog,
+  moveCategory,
+  validateMenuItem,
+  writeLocalCatalog,
+} from "./menuAdminModel";
+import { SAMPLE_MENU } from "./sampleMenu";
+
+afterEach(() => window.localStorage.clear());
+
+const items = [
+  { id: "fries", name: "Fries", description: "", price: 4, tags: ["Sides"], prepMins: 6, image: "", soldOut: false },
+];
+
+test("validateMenuItem requires a unique name, a sensible price and prep time, and a web image URL", () => {
+  expect(validateMenuItem({ ...EMPTY_ITEM_DRAFT, name: "Tacos", price: "12.50" }, items)).toEqual({});
+  expect(validateMenuItem(EMPTY_ITEM_DRAFT, items)).toEqual({ name: "Enter a name.", price: "Enter a price." });
+
+  const errors = validateMenuItem(
+    { ...EMPTY_ITEM_DRAFT, name: " fries ", price: "4.999", prepMins: "0", image: "ftp://x" },
+    items
+  );
+  expect(Object.keys(errors)).toEqual(["name", "price", "prepMins", "image"]);
+  expect(validateMenuItem({ ...EMPTY_ITEM_DRAFT, name: "Lobster", price: "900" }, items).price).toMatch(/\$500/);
+  expect(validateMenuItem({ ...itemToDraft(items[0]) }, items)).toEqual({});
+});
+
+test("applyDraft adds new items with a unique id and edits existing ones in place", () => {
+  const draft = { ...EMPTY_ITEM_DRAFT, name: "Fries!", price: "5", tags: "Sides, Vegan, Sides", allergens: ["soy"] };
+  const added = applyDraft(items, draft);
+  expect(added[1]).toEqual({
+    id: "fries-2",
+    name: "Fries!",
+    description: "",
+    price: 5,
+    tags: ["Sides"],
+    prepMins: 15,
+    image: "",
+    dietary: ["vegetarian", "vegan"],
+    allergens: ["soy"],
+    soldOut: false,
+    hidden: false,
+    optionGroups: [],
+  });
+
+  const edited = applyDraft(added, { ...itemToDraft(added[0]), price: "4.50" });
+  expect(edited[0]).toMatchObject({ id: "fries", price: 4.5, soldOut: false });
+  expect(edited).toHaveLength(2);
+});
+
+test("moveCategory shifts one place and stops at either end", () => {
+  expect(moveCategory(["A", "B", "C"], "C", -1)).toEqual(["A", "C", "B"]);
+  expect(moveCategory(["A", "B", "C"], "A", -1)).toEqual(["A", "B", "C"]);
+  expect(moveCategory(["A", "B", "C"], "C", 1)).toEqual(["A", "B", "C"]);
+});
+
+test("the demo catalog starts from the sample menu and keeps what was saved", () => {
+  expect(localCatalog().items).toHaveLength(SAMPLE_MENU.length);
+  writeLocalCatalog({ items, categories: ["Sides"] });
+  expect(localCatalog()).toMatchObject({ items: [{ id: "fries" }], categories: ["Sides"] });
+});
@@ -0,0 +1,198 @@
+// In-browser stand-in for the backend, speaking the contracts documented in apiClient.js.
+//
+// `createMockApi().fetch` can be passed to `createApiClient({ fetchImpl })`, which lets the UI run
+// end-to-end in backend mode (set REACT_APP_API_MOCK=true) and lets tests drive it without a server.
+// Any email signs in with a valid password; those in `staffEmails` may also use the staff endpoints.
+
+import { normalizeProfile, validateCredentials } from "./accounts";
+import { normalizeCatalog } from "./menu";
+import { findLocalPromo } from "./promotions";
+import { isTerminalStatus, ORDER_STATUSES } from "./trackingSocket";
+
+export const MOCK_STAFF_EMAIL = "staff@example.com";
+
+const STEP_MS = { confirmed: 30_000, preparing: 90_000, onTheWay: 180_000, readyForPickup: 180_000 };
+
+function reply(status, body) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+function readBody(init) {
+  try {
+    return init && init.body ? JSON.parse(init.body) : null;
+  } catch {
+    return null;
+  }
+}
+
+function memoryCatalogStore(initial) {
+  let catalog = initial;
+  return {
+    read: () => catalog,
+    write: (next) => {
+      catalog = next;
+    },
+  };
+}
+
+// `catalogStore` ({ read, write }) holds the menu behind GET/PUT /menu. It defaults to memory seeded from
+// `menu` and `categories`; the app passes the demo catalog so menu admin edits reach every tab.
+// PUBLIC_INTERFACE
+export function createMockApi({
+  menu = [],
+  categories = [],
+  catalogStore = null,
+  staffEmails = [MOCK_STAFF_EMAIL],
+  latencyMs = 0,
+  now = () => Date.now(),
+} = {}) {
+  const catalogs = catalogStore || memoryCatalogStore(normalizeCatalog({ items: menu, categories }));
+  const orders = new Map(); // id -> { order, createdAt, cancelled, status }
+  const idempotency = new Map(); // Idempotency-Key -> order id
+  const accounts = new Map(); // email -> profile
+  const sessions = new Map(); // token -> email
+  let offline = false;
+  let seq = 0;
+
+  function statusOf(entry) {
+    if (entry.cancelled) return "Cancelled";
+    if (entry.status) return entry.status; // set from the kitchen view
+    const elapsed = now() - entry.createdAt;
+    const pickup = entry.order.fulfillment === "pickup";
+    if (elapsed < STEP_MS.confirmed) return "Confirmed";
+    if (elapsed < STEP_MS.preparing) return "Preparing";
+    if (pickup) return elapsed < STEP_MS.readyForPickup ? "Ready for pickup" : "Picked up";
+    return elapsed < STEP_MS.onTheWay ? "Out for delivery" : "Delivered";
+  }
+
+  const bearerToken = (headers) => String(headers.Authorization || "").replace(/^Bearer /, "");
+
+  function signedInProfile(headers) {
+    const token = bearerToken(headers);
+    return sessions.has(token) ? accounts.get(sessions.get(token)) : null;
+  }
+
+  // The staff endpoints answer 401 without a sign-in and 403 for customer accounts; null lets the request on.
+  function staffRejection(headers) {
+    const profile = signedInProfile(headers);
+    if (!profile) return reply(401, { message: "Please sign in." });
+    if (!staffEmails.includes(profile.email)) return reply(403, { message: "Staff accounts only." });
+    return null;
+  }
+
+  function route(method, path, init) {
+    const headers = (init && init.headers) || {};
+
+    if (method === "GET" && path === "/menu") return reply(200, catalogs.read());
+    if (method === "PUT" && path === "/menu") {
+      const rejection = staffRejection(headers);
+      if (rejection) return rejection;
+      const next = normalizeCatalog(readBody(init));
+      if (!next) return reply(422, { message: "The menu must be a list of items." });
+      catalogs.write(next);
+      return reply(200, next);
+    }
+
+    if (method === "POST" && path === "/orders") {
+      const key = headers["Idempotency-Key"];
+      if (key && idempotency.has(key)) return reply(200, { id: idempotency.get(key), replayed: true });
+
+      const payload = readBody(init);
+      const errors = {};
+      if (!payload || !Array.isArray(payload.items) || payload.items.length === 0) errors.items = "The order is empty.";
+      if (!payload || !String(payload.customerName || "").trim()) errors.customerName = "A name is required.";
+      if (Object.keys(errors).length > 0) return reply(422, { errors });
+
+      seq += 1;
+      const id = `MOCK-${String(seq).padStart(4, "0")}`;
+      orders.set(id, { order: payload, createdAt: now(), cancelled: false, status: null });
+      if (key) idempotency.set(key, id);
+      return reply(201, { id, status: "Confirmed" });
+    }
+
+    if (method === "GET" && path === "/orders") {
+      const rejection = staffRejection(headers);
+      if (rejection) return rejection;
+      const active = [...orders.entries()]
+        .map(([id, entry]) => ({ ...entry.order, id, createdAt: entry.createdAt, status: statusOf(entry) }))
+        .filter((o) => !isTerminalStatus(o.status));
+      return reply(200, active);
+    }
+
+    const match = path.match(/^\/orders\/([^/]+)(\/cancel|\/status)?$/);
+    if (match) {
+      const rejection = method === "POST" && match[2] === "/status" ? staffRejection(headers) : null;
+      if (rejection) return rejection;
+      const entry = orders.get(decodeURIComponent(match[1]));
+      if (!entry) return reply(404, { message: "We couldn’t find that order." });
+
+      if (method === "GET" && !match[2]) return reply(200, { status: statusOf(entry) });
+      if (method === "POST" && match[2] === "/status") {
+        const { status } = readBody(init) || {};
+        if (!ORDER_STATUSES.includes(status)) return reply(422, { message: `Unknown status “${status}”.` });
+        if (isTerminalStatus(statusOf(entry))) return reply(409, { message: "This order is already closed." });
+        entry.status = status;
+        return reply(200, { status });
+      }
+      if (method === "POST" && match[2] === "/cancel") {
+        if (statusOf(entry) !== "Confirmed") {
+          return reply(409, { message: "The kitchen has already started this order." });
+        }
+        entry.cancelled = true;
+        const pricing = entry.order.pricing || {};
+        return reply(200, { refund: { amount: entry.order.paymentMethod === "cash" ? 0 : pricing.total || 0 } });
+      }
+    }
+
+    if (method === "POST" && path === "/auth/login") {
+      const credentials = readBody(init) || {};
+      if (Object.keys(validateCredentials(credentials)).length > 0) {
+        return reply(401, { message: "That email and password don’t match an account." });
+      }
+      const email = credentials.email.trim().toLowerCase();
+      if (!accounts.has(email)) accounts.set(email, normalizeProfile({ id: `user-${accounts.size + 1}`, email }));
+      const token = `mock_${sessions.size + 1}_${email}`;
+      sessions.set(token, email);
+      return reply(200, { token, user: accounts.get(email) });
+    }
+
+    if (method === "POST" && path === "/auth/logout") {
+      sessions.delete(bearerToken(headers));
+      return reply(204, null);
+    }
+
+    if (path === "/me") {
+      const profile = signedInProfile(headers);
+      if (!profile) return reply(401, { message: "Please sign in again." });
+      if (method === "GET") return reply(200, profile);
+      if (method === "PUT") {
+        const next = normalizeProfile({ ...profile, ...readBody(init), id: profile.id, email: profile.email });
+        accounts.set(profile.email, next);
+        return reply(200, next);
+      }
+    }
+
+    if (method === "POST" && path === "/promos/validate") {
+      const rule = findLocalPromo((readBody(init) || {}).code);
+      return rule ? reply(200, rule) : reply(404, { message: "Unknown promo code." });
+    }
+
+    return reply(404, { message: `No mock route for ${method} ${path}.` });
+  }
+
+  async function mockFetch(url, init = {}) {
+    if (latencyMs > 0) await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    if (init.signal && init.signal.aborted) throw new DOMException("The operation was aborted.", "AbortError");
+    if (offline) throw new TypeError("Failed to fetch");
+    return route((init.method || "GET").toUpperCase(), new URL(url).pathname, init);
+  }
+
+  return {
+    fetch: mockFetch,
+    orders,
+    accounts,
+    setOffline(value) {
+      offline = Boolean(value);
+    },
+  };
+}
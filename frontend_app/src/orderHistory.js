@@ -0,0 +1,70 @@
+import { formatMoney } from "./format";
+import { cartLineId, unitPriceWithOptions } from "./itemOptions";
+
+export const HISTORY_LIMIT = 50;
+
+// Inserts or refreshes `order` (matched by id), newest first, so status changes reach the history.
+// PUBLIC_INTERFACE
+export function upsertHistory(history, order) {
+  if (!order || !order.id) return history;
+  const existing = history.find((h) => h.id === order.id);
+  if (existing === order) return history;
+  const rest = history.filter((h) => h.id !== order.id);
+  return [order, ...rest].sort((a, b) => b.createdAt - a.createdAt).slice(0, HISTORY_LIMIT);
+}
+
+// Orders placed by the signed-in customer, or the guest orders made on this device when signed out.
+// PUBLIC_INTERFACE
+export function historyForCustomer(history, customerId) {
+  return history.filter((h) => (h.customerId || null) === (customerId || null));
+}
+
+// Rebuilds cart lines from a past order against the current menu. Items that are gone or whose
+// options no longer exist are dropped or trimmed, and every change is reported in `warnings`.
+// PUBLIC_INTERFACE
+export function buildReorder(pastOrder, menu) {
+  const lines = [];
+  const warnings = [];
+
+  (pastOrder.items || []).forEach((it) => {
+    const item = menu.find((m) => m.id === it.itemId);
+    if (!item) {
+      warnings.push(`${it.name} is no longer on the menu.`);
+      return;
+    }
+
+    const options = [];
+    (it.options || []).forEach((o) => {
+      const group = (item.optionGroups || []).find((g) => g.id === o.groupId);
+      const current = group && group.options.find((c) => c.id === o.optionId);
+      if (!current) {
+        warnings.push(`“${o.name}” is no longer available for ${item.name}.`);
+        return;
+      }
+      options.push({ groupId: group.id, optionId: current.id, name: current.name, priceDelta: current.priceDelta });
+    });
+
+    const unitPrice = unitPriceWithOptions(item.price, options);
+    if (unitPrice !== it.unitPrice) {
+      warnings.push(`${item.name} is now ${formatMoney(unitPrice)} (was ${formatMoney(it.unitPrice)}).`);
+    }
+
+    const lineId = cartLineId(item.id, options);
+    const existing = lines.find((l) => l.lineId === lineId);
+    if (existing) {
+      existing.quantity += it.quantity;
+      return;
+    }
+    lines.push({
+      lineId,
+      itemId: item.id,
+      name: item.name,
+      options,
+      unitPrice,
+      quantity: it.quantity,
+      notes: it.notes || "",
+    });
+  });
+
+  return { lines, warnings };
+}
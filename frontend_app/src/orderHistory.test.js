@@ -0,0 +1,86 @@
+import { buildReorder, historyForCustomer, HISTORY_LIMIT, upsertHistory } from "./orderHistory";
+
+const menu = [
+  {
+    id: "burger",
+    name: "Burger",
+    price: 12,
+    optionGroups: [
+      {
+        id: "patty",
+        name: "Patty",
+        type: "single",
+        required: true,
+        options: [{ id: "double", name: "Double", priceDelta: 3 }],
+      },
+    ],
+  },
+  { id: "fries", name: "Fries", price: 4.25, optionGroups: [] },
+];
+
+test("upsertHistory keeps newest first, replaces by id and caps the length", () => {
+  const a = { id: "A", createdAt: 1, status: "Confirmed" };
+  const b = { id: "B", createdAt: 2, status: "Confirmed" };
+  let history = upsertHistory(upsertHistory([], a), b);
+  expect(history.map((h) => h.id)).toEqual(["B", "A"]);
+
+  history = upsertHistory(history, { ...a, status: "Delivered" });
+  expect(history.map((h) => [h.id, h.status])).toEqual([
+    ["B", "Confirmed"],
+    ["A", "Delivered"],
+  ]);
+
+  const many = Array.from({ length: HISTORY_LIMIT + 5 }, (_, i) => ({ id: `O${i}`, createdAt: i }));
+  expect(many.reduce(upsertHistory, [])).toHaveLength(HISTORY_LIMIT);
+});
+
+test("historyForCustomer separates each account's orders from guest orders", () => {
+  const history = [
+    { id: "A", customerId: "u1" },
+    { id: "B" },
+    { id: "C", customerId: "u2" },
+    { id: "D", customerId: "u1" },
+  ];
+  expect(historyForCustomer(history, "u1").map((h) => h.id)).toEqual(["A", "D"]);
+  expect(historyForCustomer(history, null).map((h) => h.id)).toEqual(["B"]);
+});
+
+test("buildReorder rebuilds lines at current prices and reports what changed", () => {
+  const past = {
+    items: [
+      {
+        itemId: "burger",
+        name: "Burger",
+        quantity: 2,
+        unitPrice: 14.5,
+        notes: "No pickles",
+        options: [
+          { groupId: "patty", optionId: "double", name: "Double", priceDelta: 2.5 },
+          { groupId: "addons", optionId: "bacon", name: "Bacon", priceDelta: 2 },
+        ],
+      },
+      { itemId: "fries", name: "Fries", quantity: 1, unitPrice: 4.25 },
+      { itemId: "soup", name: "Soup of the day", quantity: 1, unitPrice: 6 },
+    ],
+  };
+
+  const { lines, warnings } = buildReorder(past, menu);
+
+  expect(lines).toEqual([
+    {
+      lineId: "burger|patty:double",
+      itemId: "burger",
+      name: "Burger",
+      options: [{ groupId: "patty", optionId: "double", name: "Double", priceDelta: 3 }],
+      unitPrice: 15,
+      quantity: 2,
+      notes: "No pickles",
+    },
+    { lineId: "fries", itemId: "fries", name: "Fries", options: [], unitPrice: 4.25, quantity: 1, notes: "" },
+  ]);
+  expect(warnings).toEqual([
+    "“Bacon” is no longer available for Burger.",
+    "Burger is now $15.00 (was $14.50).",
+    "Soup of the day is no longer on the menu.",
+  ]);
+});
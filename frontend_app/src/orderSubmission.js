@@ -0,0 +1,85 @@
+// Sending orders to the backend: idempotent retries, validation errors and the offline queue.
+//
+// Without an API base the app runs in demo mode and orders are simulated locally. With one, an order
+// only appears on the tracking panel once the backend has accepted it. Every submission carries an
+// `Idempotency-Key`, so a retry after a lost response cannot create the order twice.
+
+import { ApiError } from "./apiClient";
+import { leadMins, planTimeline } from "./eta";
+import { reconnectDelay } from "./trackingSocket";
+
+export const SUBMIT_RETRIES = 2;
+export const SUBMIT_BASE_DELAY_MS = 400;
+
+// PUBLIC_INTERFACE
+export function createIdempotencyKey() {
+  if (window.crypto && typeof window.crypto.randomUUID === "function") return `ord_${window.crypto.randomUUID()}`;
+  return `ord_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// PUBLIC_INTERFACE
+export function localOrderId() {
+  return `ORD-${Math.random().toString(36).slice(2, 7).toUpperCase()}-${Date.now().toString().slice(-4)}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Sends the order through the API client, retrying network failures, timeouts and 5xx responses with
+// backoff. Resolves to
+//   { status: "created", order }        the backend accepted it (`order.id` is the backend's id)
+//   { status: "rejected", message }     4xx: the order itself is wrong; retrying will not help
+//   { status: "unreachable", message }  still failing after the retries; safe to queue and resend
+// PUBLIC_INTERFACE
+export async function submitOrder({
+  api,
+  payload,
+  idempotencyKey,
+  retries = SUBMIT_RETRIES,
+  baseDelay = SUBMIT_BASE_DELAY_MS,
+}) {
+  let lastError = "";
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    if (attempt > 0) await sleep(reconnectDelay(attempt - 1, { baseDelay }));
+    try {
+      return { status: "created", order: await api.createOrder(payload, { idempotencyKey }) };
+    } catch (err) {
+      if (err instanceof ApiError && !err.retryable && err.kind !== "invalid_response") {
+        return { status: "rejected", message: err.message };
+      }
+      lastError = err.message;
+    }
+  }
+  return { status: "unreachable", message: lastError };
+}
+
+// Builds the tracked order from what was submitted. `plan` holds the cart's kitchen and delivery
+// minutes at the time of checkout, so an order sent later from the queue is timed from when it lands.
+// PUBLIC_INTERFACE
+export function buildPlacedOrder({ id, payload, plan, placedVia, now = Date.now() }) {
+  const scheduledFor = payload.scheduledFor ? Date.parse(payload.scheduledFor) : null;
+  const lead = leadMins(plan.kitchenMins, plan.deliveryMins);
+  // The kitchen starts now for ASAP orders, or early enough to arrive at the chosen slot.
+  const timeline = planTimeline(scheduledFor ? scheduledFor - lead * 60_000 : now, plan.kitchenMins, plan.deliveryMins);
+  return {
+    id,
+    createdAt: now,
+    scheduledFor,
+    timeline,
+    eta: timeline.deliverAt,
+    status: scheduledFor ? "Scheduled" : "Confirmed",
+    progress: 0,
+    customerId: payload.customerId || null,
+    customerName: payload.customerName,
+    customerPhone: payload.customerPhone || "",
+    fulfillment: payload.fulfillment,
+    deliveryAddress: payload.deliveryAddress,
+    deliveryZone: payload.deliveryZone,
+    notes: payload.notes,
+    paymentMethod: payload.paymentMethod,
+    payment: payload.payment,
+    items: payload.items,
+    promoCode: payload.promoCode,
+    pricing: payload.pricing,
+    placedVia,
+  };
+}
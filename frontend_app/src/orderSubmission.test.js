@@ -0,0 +1,58 @@
+import { createApiClient } from "./apiClient";
+import { buildPlacedOrder, submitOrder } from "./orderSubmission";
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+const respond = (status, body) => ({ ok: status >= 200 && status < 300, status, json: async () => body });
+const submit = () =>
+  submitOrder({
+    api: createApiClient({ baseUrl: "http://api.test/" }),
+    payload: { items: [] },
+    idempotencyKey: "ord_1",
+    baseDelay: 0,
+  });
+
+test("retries network failures and 5xx responses with the same idempotency key", async () => {
+  global.fetch = jest
+    .fn()
+    .mockRejectedValueOnce(new Error("offline"))
+    .mockResolvedValueOnce(respond(503, {}))
+    .mockResolvedValueOnce(respond(201, { orderId: 77 }));
+
+  await expect(submit()).resolves.toEqual({ status: "created", order: { orderId: 77, id: "77" } });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(global.fetch.mock.calls[0][0]).toBe("http://api.test/orders");
+  expect(global.fetch.mock.calls.map(([, init]) => init.headers["Idempotency-Key"])).toEqual([
+    "ord_1",
+    "ord_1",
+    "ord_1",
+  ]);
+});
+
+test("4xx responses are reported without retrying", async () => {
+  global.fetch = jest
+    .fn()
+    .mockResolvedValue(respond(422, { errors: { deliveryAddress: "We can’t reach that street." } }));
+  await expect(submit()).resolves.toEqual({ status: "rejected", message: "We can’t reach that street." });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test("gives up as unreachable once the retries are used", async () => {
+  global.fetch = jest.fn().mockResolvedValue(respond(502, null));
+  await expect(submit()).resolves.toEqual({ status: "unreachable", message: "The request failed (502)." });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test("buildPlacedOrder times the order from when it was accepted", () => {
+  const order = buildPlacedOrder({
+    id: "A1",
+    payload: { customerName: "Sam", scheduledFor: null, items: [] },
+    plan: { kitchenMins: 10, deliveryMins: 8 },
+    placedVia: "backend",
+    now: 0,
+  });
+  expect(order).toMatchObject({ id: "A1", status: "Confirmed", createdAt: 0, eta: 20 * 60_000, placedVia: "backend" });
+});
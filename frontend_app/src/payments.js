@@ -0,0 +1,185 @@
+// Card payments: card validation and the payment provider interface used by checkout.
+//
+// A provider implements four async methods, each resolving to a result object rather than throwing
+// for business outcomes (a decline is not an exception):
+//   authorize({ amount, currency, card, reference })
+//     -> { status: "authorized", authorizationId }
+//      | { status: "challenge", authorizationId, challenge: { message } }   (3-D Secure style step-up)
+//      | { status: "declined", message }
+//   confirmChallenge(authorizationId, code) -> authorized | declined
+//   capture(authorizationId)                -> { status: "captured", authorizationId } | { status: "failed", message }
+//   voidAuthorization(authorizationId)      -> { status: "voided" }
+// Only the brand and last four digits of a card are kept on an order; the full number never is.
+
+export const MOCK_CHALLENGE_CODE = "123456";
+
+// Test cards understood by the mock provider; any other valid card is approved.
+export const MOCK_CARDS = {
+  decline: "4000000000000002",
+  insufficientFunds: "4000000000009995",
+  challenge: "4000000000003220",
+  captureFails: "4000000000000119",
+};
+
+// PUBLIC_INTERFACE
+export function digitsOnly(value) {
+  return String(value || "").replace(/\D/g, "");
+}
+
+// PUBLIC_INTERFACE
+export function luhnValid(number) {
+  const digits = digitsOnly(number);
+  if (digits.length < 12) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// PUBLIC_INTERFACE
+export function cardBrand(number) {
+  const d = digitsOnly(number);
+  if (/^4/.test(d)) return "Visa";
+  if (/^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/.test(d)) return "Mastercard";
+  if (/^3[47]/.test(d)) return "Amex";
+  if (/^(6011|65)/.test(d)) return "Discover";
+  return "Card";
+}
+
+// Groups digits for display while typing: Amex as 4-6-5, everything else in fours.
+// PUBLIC_INTERFACE
+export function formatCardNumber(value) {
+  const d = digitsOnly(value).slice(0, 19);
+  if (cardBrand(d) === "Amex") return [d.slice(0, 4), d.slice(4, 10), d.slice(10, 15)].filter(Boolean).join(" ");
+  return d.replace(/(\d{4})(?=\d)/g, "$1 ");
+}
+
+// Accepts "MM/YY" or "MM/YYYY"; returns null when it cannot be read.
+// PUBLIC_INTERFACE
+export function parseExpiry(value) {
+  const m = String(value || "")
+    .trim()
+    .match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+  if (!m) return null;
+  const month = Number(m[1]);
+  const year = m[2].length === 2 ? 2000 + Number(m[2]) : Number(m[2]);
+  return month >= 1 && month <= 12 ? { month, year } : null;
+}
+
+// Returns a map of field -> message; an empty map means the card can be sent for authorization.
+// PUBLIC_INTERFACE
+export function validateCard(card, now = Date.now()) {
+  const errors = {};
+  const number = digitsOnly(card.number);
+  if (!number) errors.number = "Enter your card number.";
+  else if (number.length < 12 || number.length > 19 || !luhnValid(number)) {
+    errors.number = "That card number isn’t valid.";
+  }
+
+  const expiry = parseExpiry(card.expiry);
+  const today = new Date(now);
+  if (!String(card.expiry || "").trim()) errors.expiry = "Enter the expiry date.";
+  else if (!expiry) errors.expiry = "Use MM/YY.";
+  else if (expiry.year * 12 + expiry.month < today.getFullYear() * 12 + today.getMonth() + 1) {
+    errors.expiry = "This card has expired.";
+  }
+
+  const cvcLength = cardBrand(number) === "Amex" ? 4 : 3;
+  if (!new RegExp(`^\\d{${cvcLength}}$`).test(String(card.cvc || "").trim())) {
+    errors.cvc = `Enter the ${cvcLength}-digit security code.`;
+  }
+  return errors;
+}
+
+// The only card details that are kept with an order.
+// PUBLIC_INTERFACE
+export function cardSummary(card) {
+  const number = digitsOnly(card.number);
+  return { brand: cardBrand(number), last4: number.slice(-4) };
+}
+
+// In-memory provider that behaves like a gateway sandbox, driven by the `MOCK_CARDS` numbers.
+// PUBLIC_INTERFACE
+export function createMockPaymentProvider({ delayMs = 150 } = {}) {
+  const authorizations = new Map(); // authorizationId -> { amount, number, state }
+  let seq = 0;
+
+  const settle = (result) => new Promise((resolve) => setTimeout(() => resolve(result), delayMs));
+
+  function authorized(id) {
+    authorizations.get(id).state = "authorized";
+    return { status: "authorized", authorizationId: id };
+  }
+
+  return {
+    name: "mock",
+
+    authorize({ amount, card }) {
+      const number = digitsOnly(card.number);
+      if (number === MOCK_CARDS.decline) return settle({ status: "declined", message: "Your card was declined." });
+      if (number === MOCK_CARDS.insufficientFunds) {
+        return settle({ status: "declined", message: "Your card has insufficient funds." });
+      }
+
+      seq += 1;
+      const id = `auth_mock_${Date.now().toString(36)}_${seq}`;
+      authorizations.set(id, { amount, number, state: "pending" });
+      if (number === MOCK_CARDS.challenge) {
+        return settle({
+          status: "challenge",
+          authorizationId: id,
+          challenge: { message: `Enter the code your bank sent to confirm this payment (use ${MOCK_CHALLENGE_CODE}).` },
+        });
+      }
+      return settle(authorized(id));
+    },
+
+    confirmChallenge(authorizationId, code) {
+      const auth = authorizations.get(authorizationId);
+      if (!auth || auth.state !== "pending")
+        return settle({ status: "declined", message: "This payment has expired." });
+      if (String(code).trim() !== MOCK_CHALLENGE_CODE) {
+        auth.state = "declined";
+        return settle({ status: "declined", message: "Your bank couldn’t verify this payment." });
+      }
+      return settle(authorized(authorizationId));
+    },
+
+    capture(authorizationId) {
+      const auth = authorizations.get(authorizationId);
+      if (!auth || auth.state !== "authorized") return settle({ status: "failed", message: "Nothing to capture." });
+      if (auth.number === MOCK_CARDS.captureFails) {
+        return settle({ status: "failed", message: "The payment couldn’t be completed." });
+      }
+      auth.state = "captured";
+      return settle({ status: "captured", authorizationId });
+    },
+
+    voidAuthorization(authorizationId) {
+      const auth = authorizations.get(authorizationId);
+      if (auth) auth.state = "voided";
+      return settle({ status: "voided" });
+    },
+  };
+}
+
+// Authorizes `amount` on `card`, stepping through a challenge when the provider asks for one.
+// `askForCode(challenge)` resolves to the code the customer entered, or null if they gave up.
+// PUBLIC_INTERFACE
+export async function authorizeCard(provider, { amount, currency = "USD", card, reference }, askForCode) {
+  const result = await provider.authorize({ amount, currency, card, reference });
+  if (result.status !== "challenge") return result;
+
+  const code = await askForCode(result.challenge);
+  if (code == null) {
+    await provider.voidAuthorization(result.authorizationId);
+    return { status: "declined", message: "Payment verification was cancelled." };
+  }
+  return provider.confirmChallenge(result.authorizationId, code);
+}
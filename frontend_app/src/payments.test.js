@@ -0,0 +1,66 @@
+import {
+  MOCK_CARDS,
+  MOCK_CHALLENGE_CODE,
+  authorizeCard,
+  cardBrand,
+  cardSummary,
+  createMockPaymentProvider,
+  formatCardNumber,
+  luhnValid,
+  validateCard,
+} from "./payments";
+
+const now = new Date(2024, 4, 15).getTime();
+const visa = { number: "4242 4242 4242 4242", expiry: "05/24", cvc: "123" };
+
+test("card numbers are checked with Luhn and grouped for display", () => {
+  expect(luhnValid("4242424242424242")).toBe(true);
+  expect(luhnValid("4242424242424241")).toBe(false);
+  expect(cardBrand("5555 5555 5555 4444")).toBe("Mastercard");
+  expect(formatCardNumber("4242424242424242")).toBe("4242 4242 4242 4242");
+  expect(formatCardNumber("378282246310005")).toBe("3782 822463 10005");
+});
+
+test("validateCard reports number, expiry and security code problems", () => {
+  expect(validateCard(visa, now)).toEqual({});
+  expect(validateCard({ number: "", expiry: "", cvc: "" }, now)).toEqual({
+    number: "Enter your card number.",
+    expiry: "Enter the expiry date.",
+    cvc: "Enter the 3-digit security code.",
+  });
+  expect(validateCard({ ...visa, number: "4242 4242 4242 4241" }, now).number).toBe("That card number isn’t valid.");
+  expect(validateCard({ ...visa, expiry: "04/24" }, now).expiry).toBe("This card has expired.");
+  expect(validateCard({ ...visa, expiry: "13/30" }, now).expiry).toBe("Use MM/YY.");
+  expect(validateCard({ number: "3782 822463 10005", expiry: "05/2030", cvc: "123" }, now).cvc).toBe(
+    "Enter the 4-digit security code."
+  );
+  expect(cardSummary(visa)).toEqual({ brand: "Visa", last4: "4242" });
+});
+
+test("the mock provider authorizes, captures and declines its test cards", async () => {
+  const provider = createMockPaymentProvider({ delayMs: 0 });
+  const auth = await provider.authorize({ amount: 20, card: visa });
+  expect(auth.status).toBe("authorized");
+  expect(await provider.capture(auth.authorizationId)).toEqual({
+    status: "captured",
+    authorizationId: auth.authorizationId,
+  });
+  expect((await provider.capture(auth.authorizationId)).status).toBe("failed");
+
+  const declined = await provider.authorize({ amount: 20, card: { ...visa, number: MOCK_CARDS.insufficientFunds } });
+  expect(declined).toEqual({ status: "declined", message: "Your card has insufficient funds." });
+});
+
+test("authorizeCard steps through a challenge and voids it when the customer backs out", async () => {
+  const provider = createMockPaymentProvider({ delayMs: 0 });
+  const card = { ...visa, number: MOCK_CARDS.challenge };
+
+  const ok = await authorizeCard(provider, { amount: 20, card }, async () => MOCK_CHALLENGE_CODE);
+  expect(ok.status).toBe("authorized");
+
+  const wrong = await authorizeCard(provider, { amount: 20, card }, async () => "000000");
+  expect(wrong).toEqual({ status: "declined", message: "Your bank couldn’t verify this payment." });
+
+  const cancelled = await authorizeCard(provider, { amount: 20, card }, async () => null);
+  expect(cancelled.message).toBe("Payment verification was cancelled.");
+});
@@ -0,0 +1,102 @@
+// Promo code rules and the discount engine used by cart pricing.
+//
+// A rule looks like:
+//   { code, type, value?, minSubtotal?, expiresAt?, itemId?, buy?, get?, description? }
+// with `type` one of:
+//   "percent"        value% off the item subtotal
+//   "fixed"          value off the item subtotal (never below zero)
+//   "free_delivery"  delivery fee waived
+//   "bxgy"           for `itemId`, every `buy` units earn `get` free units
+
+import { formatMoney } from "./format";
+
+// Demo rule table used when no backend is configured.
+export const LOCAL_PROMO_RULES = [
+  { code: "WELCOME10", type: "percent", value: 10, minSubtotal: 15, description: "10% off orders over $15" },
+  { code: "SAVE5", type: "fixed", value: 5, minSubtotal: 25, description: "$5 off orders over $25" },
+  { code: "FREESHIP", type: "free_delivery", minSubtotal: 20, description: "Free delivery over $20" },
+  { code: "FRIES2FOR1", type: "bxgy", itemId: "fries", buy: 1, get: 1, description: "Buy one fries, get one free" },
+  { code: "SUMMER23", type: "percent", value: 20, expiresAt: "2023-09-01T00:00:00Z", description: "Summer sale" },
+];
+
+const RULE_TYPES = ["percent", "fixed", "free_delivery", "bxgy"];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// PUBLIC_INTERFACE
+export function normalizePromoCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+// Validates the shape of a rule coming from the backend; returns null when unusable.
+// PUBLIC_INTERFACE
+export function normalizePromoRule(rule) {
+  if (!rule || typeof rule.code !== "string" || !RULE_TYPES.includes(rule.type)) return null;
+  const value = Number(rule.value);
+  if ((rule.type === "percent" || rule.type === "fixed") && !(value > 0)) return null;
+  if (rule.type === "bxgy" && !(rule.itemId && rule.buy > 0 && rule.get > 0)) return null;
+  return {
+    ...rule,
+    code: normalizePromoCode(rule.code),
+    value: Number.isFinite(value) ? value : 0,
+    minSubtotal: Number(rule.minSubtotal) || 0,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function findLocalPromo(code) {
+  const wanted = normalizePromoCode(code);
+  return LOCAL_PROMO_RULES.find((r) => r.code === wanted) || null;
+}
+
+function bxgyDiscount(rule, items) {
+  // Free units are taken from the cheapest matching lines first.
+  const units = [];
+  items
+    .filter((it) => it.itemId === rule.itemId)
+    .forEach((it) => {
+      for (let i = 0; i < it.quantity; i += 1) units.push(it.unitPrice);
+    });
+  const freeUnits = Math.floor(units.length / (rule.buy + rule.get)) * rule.get;
+  return units
+    .sort((a, b) => a - b)
+    .slice(0, freeUnits)
+    .reduce((sum, p) => sum + p, 0);
+}
+
+// Applies `rule` to the cart. Returns the item discount (reduces the taxable subtotal), whether
+// delivery is waived, and an `error` explaining why the rule does not apply right now.
+// PUBLIC_INTERFACE
+export function evaluatePromo(rule, { items, subtotal, now = Date.now() }) {
+  const none = { itemDiscount: 0, freeDelivery: false, error: "" };
+  if (!rule) return none;
+
+  if (rule.expiresAt && Date.parse(rule.expiresAt) <= now) {
+    return { ...none, error: `${rule.code} has expired.` };
+  }
+  if (rule.minSubtotal && subtotal < rule.minSubtotal) {
+    return { ...none, error: `${rule.code} needs a subtotal of at least ${formatMoney(rule.minSubtotal)}.` };
+  }
+
+  switch (rule.type) {
+    case "percent":
+      return { ...none, itemDiscount: round2((subtotal * Math.min(rule.value, 100)) / 100) };
+    case "fixed":
+      return { ...none, itemDiscount: round2(Math.min(rule.value, subtotal)) };
+    case "free_delivery":
+      return { ...none, freeDelivery: true };
+    case "bxgy": {
+      const itemDiscount = round2(bxgyDiscount(rule, items));
+      if (itemDiscount === 0) {
+        return { ...none, error: `Add ${rule.buy + rule.get} of the qualifying item to use ${rule.code}.` };
+      }
+      return { ...none, itemDiscount };
+    }
+    default:
+      return none;
+  }
+}
@@ -0,0 +1,49 @@
+import { evaluatePromo, findLocalPromo, normalizePromoRule } from "./promotions";
+
+const items = [
+  { itemId: "fries", unitPrice: 4.25, quantity: 2 },
+  { itemId: "fries", unitPrice: 5.75, quantity: 1 },
+  { itemId: "classic-burger", unitPrice: 11.99, quantity: 1 },
+];
+const subtotal = 26.24;
+
+test("looks up local codes case-insensitively", () => {
+  expect(findLocalPromo(" welcome10 ").code).toBe("WELCOME10");
+  expect(findLocalPromo("NOPE")).toBeNull();
+});
+
+test("percentage and fixed discounts reduce the item subtotal", () => {
+  expect(evaluatePromo(findLocalPromo("WELCOME10"), { items, subtotal }).itemDiscount).toBe(2.62);
+  expect(evaluatePromo(findLocalPromo("SAVE5"), { items, subtotal }).itemDiscount).toBe(5);
+  expect(evaluatePromo({ code: "BIG", type: "fixed", value: 50 }, { items, subtotal: 10 }).itemDiscount).toBe(10);
+});
+
+test("free delivery waives the fee instead of discounting items", () => {
+  expect(evaluatePromo(findLocalPromo("FREESHIP"), { items, subtotal })).toEqual({
+    itemDiscount: 0,
+    freeDelivery: true,
+    error: "",
+  });
+});
+
+test("buy-X-get-Y gives the cheapest qualifying units away", () => {
+  // 3 fries with buy 1 get 1 -> one free unit at the cheapest price
+  expect(evaluatePromo(findLocalPromo("FRIES2FOR1"), { items, subtotal }).itemDiscount).toBe(4.25);
+  expect(evaluatePromo(findLocalPromo("FRIES2FOR1"), { items: items.slice(2), subtotal: 11.99 }).error).toMatch(
+    /add 2/i
+  );
+});
+
+test("minimum subtotal and expiry block the discount with a reason", () => {
+  expect(evaluatePromo(findLocalPromo("SAVE5"), { items, subtotal: 20 })).toMatchObject({
+    itemDiscount: 0,
+    error: expect.stringMatching(/at least \$25\.00/),
+  });
+  expect(evaluatePromo(findLocalPromo("SUMMER23"), { items, subtotal }).error).toMatch(/expired/);
+});
+
+test("rejects malformed backend rules", () => {
+  expect(normalizePromoRule({ code: "x", type: "percent", value: 0 })).toBeNull();
+  expect(normalizePromoRule({ code: "x", type: "mystery" })).toBeNull();
+  expect(normalizePromoRule({ code: "x", type: "percent", value: "15" })).toMatchObject({ code: "X", value: 15 });
+});
@@ -0,0 +1,89 @@
+// Recommendations: items like a given item ("You might also like") and items that go with the cart
+// ("Frequently added together").
+//
+// Similarity weighs shared categories most, then price band, prep time and shared dietary attributes.
+// Cart suggestions count how often an item was ordered alongside the cart's items in past orders; with
+// no history to go on they fall back to cheaper extras from other categories, like fries or a drink
+// with a burger, most popular first.
+
+const WEIGHTS = { tags: 0.5, price: 0.2, prep: 0.15, dietary: 0.15 };
+const MIN_SIMILARITY = 0.2;
+const EXTRA_PRICE_RATIO = 0.6; // an extra costs at most this share of the priciest cart item
+
+function overlap(a, b) {
+  const shared = a.filter((x) => b.includes(x));
+  const all = new Set([...a, ...b]);
+  return { shared, ratio: all.size > 0 ? shared.length / all.size : 0 };
+}
+
+function closeness(a, b, scale) {
+  return Math.max(0, 1 - Math.abs(a - b) / scale);
+}
+
+// How alike two menu items are (0 to 1), with the reasons worth showing to customers.
+// PUBLIC_INTERFACE
+export function similarity(a, b) {
+  const tags = overlap(a.tags, b.tags);
+  const dietary = overlap(a.dietary || [], b.dietary || []);
+  const price = closeness(a.price, b.price, Math.max(a.price, b.price));
+  const prep = closeness(a.prepMins, b.prepMins, 15);
+  const score =
+    WEIGHTS.tags * tags.ratio + WEIGHTS.price * price + WEIGHTS.prep * prep + WEIGHTS.dietary * dietary.ratio;
+
+  const reasons = [];
+  if (tags.shared.length > 0) reasons.push(`Also ${tags.shared.join(", ")}`);
+  if (price >= 0.8) reasons.push("Similar price");
+  if (prep >= 0.8) reasons.push("Similar prep time");
+  return { score, reasons };
+}
+
+// Up to `limit` items from `menu` most like `item`, as `[{ item, score, reasons }]`.
+// PUBLIC_INTERFACE
+export function similarItems(item, menu, limit = 3) {
+  return menu
+    .filter((m) => m.id !== item.id)
+    .map((m) => ({ item: m, ...similarity(item, m) }))
+    .filter((s) => s.score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// How many past orders contained each item together with one of `itemIds`.
+function coOrderCounts(history, itemIds) {
+  const counts = {};
+  history.forEach((order) => {
+    const ids = new Set((order.items || []).map((it) => it.itemId));
+    if (![...ids].some((id) => itemIds.includes(id))) return;
+    ids.forEach((id) => {
+      if (!itemIds.includes(id)) counts[id] = (counts[id] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+function pastOrdersNote(count) {
+  return count === 1 ? "Ordered with these before" : `Ordered with these ${count} times before`;
+}
+
+// Up to `limit` items to suggest alongside `cartItems`, as `[{ item, reason }]`. `menu` should only hold
+// items that can be ordered.
+// PUBLIC_INTERFACE
+export function frequentlyAddedTogether(cartItems, menu, history = [], limit = 3) {
+  const inCart = [...new Set(cartItems.map((l) => l.itemId))];
+  const cartMenuItems = menu.filter((m) => inCart.includes(m.id));
+  if (cartMenuItems.length === 0) return [];
+
+  const counts = coOrderCounts(history, inCart);
+  const cartTags = new Set(cartMenuItems.flatMap((m) => m.tags));
+  const maxPrice = Math.max(...cartMenuItems.map((m) => m.price));
+  const isExtra = (m) => !m.tags.some((t) => cartTags.has(t)) && m.price <= maxPrice * EXTRA_PRICE_RATIO;
+
+  return menu
+    .filter((m) => !inCart.includes(m.id) && (counts[m.id] > 0 || isExtra(m)))
+    .sort((a, b) => (counts[b.id] || 0) - (counts[a.id] || 0) || (b.popularity || 0) - (a.popularity || 0))
+    .slice(0, limit)
+    .map((m) => ({
+      item: m,
+      reason: counts[m.id] > 0 ? pastOrdersNote(counts[m.id]) : "Goes well with your order",
+    }));
+}
@@ -0,0 +1,38 @@
+import { frequentlyAddedTogether, similarItems, similarity } from "./recommendations";
+
+const menu = [
+  { id: "burger", name: "Burger", tags: ["Burgers"], dietary: [], price: 12, prepMins: 18, popularity: 90 },
+  { id: "cheese", name: "Cheeseburger", tags: ["Burgers"], dietary: [], price: 13, prepMins: 18, popularity: 40 },
+  { id: "wrap", name: "Veggie Wrap", tags: ["Wraps"], dietary: ["vegan"], price: 11, prepMins: 12, popularity: 60 },
+  { id: "fries", name: "Fries", tags: ["Sides"], dietary: ["vegan"], price: 4, prepMins: 6, popularity: 80 },
+  { id: "soda", name: "Soda", tags: ["Drinks"], dietary: ["vegan"], price: 2, prepMins: 1, popularity: 30 },
+];
+
+test("similarity rewards shared categories, a close price and a close prep time", () => {
+  const burger = menu[0];
+  expect(similarity(burger, menu[1])).toEqual({
+    score: expect.any(Number),
+    reasons: ["Also Burgers", "Similar price", "Similar prep time"],
+  });
+  expect(similarity(burger, menu[1]).score).toBeGreaterThan(similarity(burger, menu[2]).score);
+  expect(similarItems(burger, menu).map((s) => s.item.id)).toEqual(["cheese", "wrap"]);
+});
+
+test("cart suggestions fall back to cheaper extras from other categories, most popular first", () => {
+  const cart = [{ itemId: "burger" }];
+  expect(frequentlyAddedTogether(cart, menu).map((s) => s.item.id)).toEqual(["fries", "soda"]);
+  expect(frequentlyAddedTogether([], menu)).toEqual([]);
+});
+
+test("items ordered alongside the cart before come first", () => {
+  const history = [
+    { items: [{ itemId: "burger" }, { itemId: "wrap" }] },
+    { items: [{ itemId: "burger" }, { itemId: "wrap" }, { itemId: "soda" }] },
+    { items: [{ itemId: "fries" }, { itemId: "cheese" }] },
+  ];
+  expect(frequentlyAddedTogether([{ itemId: "burger" }], menu, history)).toEqual([
+    { item: menu[2], reason: "Ordered with these 2 times before" },
+    { item: menu[4], reason: "Ordered with these before" },
+    { item: menu[3], reason: "Goes well with your order" },
+  ]);
+});
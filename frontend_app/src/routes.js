@@ -0,0 +1,74 @@
+// Client-side routes for the customer app, kept in the address bar with the History API:
+//
+//   /  or  /menu        the menu
+//   /menu/:itemId       an item's details over the menu
+//   /cart, /checkout    the cart drawer, at the top or scrolled to the checkout form
+//   /orders/:id         order tracking with that order selected
+//
+// The query string belongs to the menu's search state (see search.js) and the staff `?view=` switch (see
+// views.js), so it is carried over as routes change. Anything else falls back to the menu. Hosting has to
+// answer every path with index.html, as the dev server does.
+
+import { useCallback, useEffect, useState } from "react";
+
+export const MENU_ROUTE = { name: "menu" };
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function parseRoute(pathname = window.location.pathname) {
+  const [first, second, ...rest] = pathname.split("/").filter(Boolean);
+  if (rest.length > 0) return MENU_ROUTE;
+  if (first === "cart" && !second) return { name: "cart" };
+  if (first === "checkout" && !second) return { name: "checkout" };
+  const id = second ? decodeSegment(second) : null;
+  if (first === "menu" && id) return { name: "item", itemId: id };
+  if (first === "orders" && id) return { name: "order", orderId: id };
+  return MENU_ROUTE;
+}
+
+// PUBLIC_INTERFACE
+export function routePath(route) {
+  if (route.name === "item") return `/menu/${encodeURIComponent(route.itemId)}`;
+  if (route.name === "order") return `/orders/${encodeURIComponent(route.orderId)}`;
+  if (route.name === "cart" || route.name === "checkout") return `/${route.name}`;
+  return "/menu";
+}
+
+// Brings what a route points at (the checkout form, the tracking panel) into view, smoothly where the
+// browser can; jsdom can't scroll.
+// PUBLIC_INTERFACE
+export function scrollIntoView(el) {
+  if (el && typeof el.scrollIntoView === "function") el.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+// The current route plus `navigate(route, { replace })`. Back and forward work because every navigation
+// is a history entry and `popstate` re-reads the address bar.
+// PUBLIC_INTERFACE
+export function useRoute() {
+  const [route, setRoute] = useState(() => parseRoute());
+
+  useEffect(() => {
+    const onPopState = () => setRoute(parseRoute());
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const path = routePath(next);
+    if (path !== window.location.pathname) {
+      const url = `${path}${window.location.search}`;
+      if (replace) window.history.replaceState(null, "", url);
+      else window.history.pushState(null, "", url);
+    }
+    setRoute(parseRoute(path));
+  }, []);
+
+  return [route, navigate];
+}
@@ -0,0 +1,24 @@
+import { parseRoute, routePath } from "./routes";
+
+test("parseRoute reads the menu, item, cart, checkout and order paths", () => {
+  expect(parseRoute("/")).toEqual({ name: "menu" });
+  expect(parseRoute("/menu/")).toEqual({ name: "menu" });
+  expect(parseRoute("/menu/fish%20tacos")).toEqual({ name: "item", itemId: "fish tacos" });
+  expect(parseRoute("/cart")).toEqual({ name: "cart" });
+  expect(parseRoute("/checkout")).toEqual({ name: "checkout" });
+  expect(parseRoute("/orders/ORD-12")).toEqual({ name: "order", orderId: "ORD-12" });
+});
+
+test("unknown or malformed paths fall back to the menu", () => {
+  expect(parseRoute("/orders")).toEqual({ name: "menu" });
+  expect(parseRoute("/cart/extra")).toEqual({ name: "menu" });
+  expect(parseRoute("/menu/a/b")).toEqual({ name: "menu" });
+  expect(parseRoute("/menu/%E0%A4%A")).toEqual({ name: "menu" });
+  expect(parseRoute("/nowhere")).toEqual({ name: "menu" });
+});
+
+test("routePath round-trips every route", () => {
+  ["/menu", "/menu/fish%20tacos", "/cart", "/checkout", "/orders/ORD-12"].forEach((path) => {
+    expect(routePath(parseRoute(path))).toBe(path);
+  });
+});
@@ -0,0 +1,180 @@
+// A small, pleasant set of sample foods to keep the app functional without a backend. In demo mode the
+// menu admin starts from it until the menu is edited. `popularity` stands in for the order counts a
+// backend would report.
+export const SAMPLE_MENU = [
+  {
+    id: "classic-burger",
+    name: "Classic Burger",
+    description: "Beef patty, cheddar, lettuce, tomato, house sauce.",
+    price: 11.99,
+    tags: ["Burgers"],
+    dietary: [],
+    allergens: ["gluten", "dairy", "egg"],
+    prepMins: 18,
+    popularity: 94,
+    optionGroups: [
+      {
+        id: "patty",
+        name: "Patty",
+        type: "single",
+        required: true,
+        options: [
+          { id: "single", name: "Single", priceDelta: 0 },
+          { id: "double", name: "Double", priceDelta: 3.5 },
+        ],
+      },
+      {
+        id: "addons",
+        name: "Add-ons",
+        type: "multi",
+        options: [
+          { id: "bacon", name: "Bacon", priceDelta: 2 },
+          { id: "avocado", name: "Avocado", priceDelta: 1.75 },
+          { id: "extra-cheese", name: "Extra cheddar", priceDelta: 1 },
+        ],
+      },
+    ],
+  },
+  {
+    id: "crispy-chicken-sandwich",
+    name: "Crispy Chicken Sandwich",
+    description: "Crispy chicken, slaw, pickles, spicy mayo.",
+    price: 12.49,
+    tags: ["Sandwiches"],
+    dietary: ["spicy"],
+    allergens: ["gluten", "egg"],
+    prepMins: 16,
+    popularity: 71,
+  },
+  {
+    id: "margherita-pizza",
+    name: "Margherita Pizza",
+    description: "San Marzano tomato, mozzarella, basil, olive oil.",
+    price: 14.5,
+    tags: ["Pizza"],
+    dietary: ["vegetarian"],
+    allergens: ["gluten", "dairy"],
+    prepMins: 22,
+    popularity: 66,
+    optionGroups: [
+      {
+        id: "size",
+        name: "Size",
+        type: "single",
+        required: true,
+        options: [
+          { id: "12in", name: '12"', priceDelta: 0 },
+          { id: "16in", name: '16"', priceDelta: 4 },
+        ],
+      },
+    ],
+  },
+  {
+    id: "bbq-chicken-pizza",
+    name: "BBQ Chicken Pizza",
+    description: "Smoky BBQ sauce, chicken, red onion, cilantro.",
+    price: 15.75,
+    tags: ["Pizza"],
+    dietary: [],
+    allergens: ["gluten", "dairy"],
+    prepMins: 24,
+    popularity: 58,
+  },
+  {
+    id: "salmon-bowl",
+    name: "Salmon Power Bowl",
+    description: "Seared salmon, quinoa, avocado, greens, citrus vinaigrette.",
+    price: 13.95,
+    tags: ["Bowls"],
+    dietary: ["gluten-free"],
+    allergens: ["fish"],
+    prepMins: 15,
+    popularity: 62,
+  },
+  {
+    id: "veggie-bowl",
+    name: "Rainbow Veggie Bowl",
+    description: "Roasted veg, chickpeas, brown rice, tahini drizzle.",
+    price: 12.25,
+    tags: ["Bowls"],
+    dietary: ["vegetarian", "vegan"],
+    allergens: ["sesame"],
+    prepMins: 14,
+    popularity: 40,
+  },
+  {
+    id: "caesar-salad",
+    name: "Caesar Salad",
+    description: "Romaine, parmesan, croutons, classic Caesar dressing.",
+    price: 9.5,
+    tags: ["Salads"],
+    dietary: [],
+    allergens: ["gluten", "dairy", "egg", "fish"],
+    prepMins: 10,
+    popularity: 35,
+  },
+  {
+    id: "fries",
+    name: "Sea-Salt Fries",
+    description: "Crispy fries with sea salt, with an optional garlic aioli dip.",
+    price: 4.25,
+    tags: ["Sides"],
+    dietary: ["vegetarian", "vegan", "gluten-free"],
+    allergens: [],
+    prepMins: 8,
+    popularity: 88,
+    optionGroups: [
+      {
+        id: "size",
+        name: "Size",
+        type: "single",
+        required: true,
+        options: [
+          { id: "regular", name: "Regular", priceDelta: 0 },
+          { id: "large", name: "Large", priceDelta: 1.5 },
+        ],
+      },
+      {
+        id: "dips",
+        name: "Dips",
+        type: "multi",
+        options: [
+          { id: "aioli", name: "Garlic aioli", priceDelta: 0.75 },
+          { id: "ketchup", name: "Ketchup", priceDelta: 0 },
+        ],
+      },
+    ],
+  },
+  {
+    id: "cold-brew",
+    name: "Cold Brew",
+    description: "Smooth, bold cold brew with optional oat milk.",
+    price: 4.95,
+    tags: ["Drinks"],
+    dietary: ["vegetarian", "vegan", "gluten-free"],
+    allergens: [],
+    prepMins: 3,
+    popularity: 52,
+    optionGroups: [
+      {
+        id: "size",
+        name: "Size",
+        type: "single",
+        required: true,
+        options: [
+          { id: "12oz", name: "12 oz", priceDelta: 0 },
+          { id: "16oz", name: "16 oz", priceDelta: 1 },
+        ],
+      },
+      {
+        id: "extras",
+        name: "Extras",
+        type: "multi",
+        options: [
+          { id: "oat-milk", name: "Oat milk", priceDelta: 0.6 },
+          { id: "vanilla", name: "Vanilla syrup", priceDelta: 0.5 },
+        ],
+      },
+    ],
+  },
+];
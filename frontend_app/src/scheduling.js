@@ -0,0 +1,51 @@
+// Scheduled delivery: which "Deliver at" slots can be offered for a cart.
+
+import { formatClock } from "./format";
+
+// Kitchen hours in minutes after local midnight (11:00–22:00 every day).
+export const OPENING_HOURS = { open: 11 * 60, close: 22 * 60 };
+export const SLOT_MINUTES = 15;
+
+const MINUTE = 60_000;
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// A slot is deliverable if the kitchen can start it within opening hours and it is far enough ahead
+// to cook and deliver the cart; `leadMins` comes from the ETA model.
+// PUBLIC_INTERFACE
+export function availableSlots(now, leadMins, { days = 2, hours = OPENING_HOURS } = {}) {
+  const slots = [];
+  const earliest = now + leadMins * MINUTE;
+  const today = startOfDay(now);
+
+  for (let day = 0; day < days; day += 1) {
+    const midnight = new Date(today);
+    midnight.setDate(midnight.getDate() + day);
+    const base = midnight.getTime();
+
+    const first = Math.ceil((hours.open + leadMins) / SLOT_MINUTES) * SLOT_MINUTES;
+    for (let mins = first; mins <= hours.close; mins += SLOT_MINUTES) {
+      const at = base + mins * MINUTE;
+      if (at >= earliest) slots.push(at);
+    }
+  }
+  return slots;
+}
+
+// PUBLIC_INTERFACE
+export function isSlotAvailable(slot, now, leadMins) {
+  return availableSlots(now, leadMins).includes(Number(slot));
+}
+
+// PUBLIC_INTERFACE
+export function formatSlot(ms, now = Date.now()) {
+  const time = formatClock(ms);
+  const dayDiff = Math.round((startOfDay(ms) - startOfDay(now)) / (24 * 60 * MINUTE));
+  if (dayDiff === 0) return `Today ${time}`;
+  if (dayDiff === 1) return `Tomorrow ${time}`;
+  return `${new Intl.DateTimeFormat(undefined, { weekday: "short" }).format(new Date(ms))} ${time}`;
+}
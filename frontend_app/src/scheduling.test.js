@@ -0,0 +1,25 @@
+import { availableSlots, formatSlot, isSlotAvailable } from "./scheduling";
+
+// Local-time helper so the assertions hold in any timezone.
+const at = (day, h, m = 0) => new Date(2024, 4, day, h, m).getTime();
+
+test("slots start after the lead time and stay within opening hours", () => {
+  const slots = availableSlots(at(1, 9, 0), 44, { days: 1 });
+  // Kitchen opens at 11:00, so the first delivery is 11:44 rounded up to the next quarter hour.
+  expect(slots[0]).toBe(at(1, 11, 45));
+  expect(slots[slots.length - 1]).toBe(at(1, 22, 0));
+  expect(slots.every((s) => new Date(s).getMinutes() % 15 === 0)).toBe(true);
+});
+
+test("slots already too close to now are skipped and the next day is offered", () => {
+  const now = at(1, 21, 30);
+  const slots = availableSlots(now, 30);
+  expect(slots.slice(0, 2)).toEqual([at(1, 22, 0), at(2, 11, 30)]);
+  expect(isSlotAvailable(at(1, 21, 45), now, 30)).toBe(false);
+  expect(isSlotAvailable(at(2, 13, 15), now, 30)).toBe(true);
+});
+
+test("labels slots relative to today", () => {
+  expect(formatSlot(at(1, 12, 0), at(1, 9, 0))).toMatch(/^Today /);
+  expect(formatSlot(at(2, 12, 0), at(1, 9, 0))).toMatch(/^Tomorrow /);
+});
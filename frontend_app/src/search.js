@@ -0,0 +1,190 @@
+// Menu search, sorting and the menu's shareable URL state.
+//
+// Search is typo tolerant and ranked: every word of the query has to match a word of the item's name,
+// categories or description (exactly, as a prefix or substring, or within a small edit distance), and
+// name matches count for more than category matches, which count for more than description matches.
+// Results carry the matched character ranges so the cards can highlight them.
+
+export const SORT_OPTIONS = [
+  { id: "relevance", label: "Best match" },
+  { id: "popular", label: "Most popular" },
+  { id: "price-asc", label: "Price: low to high" },
+  { id: "price-desc", label: "Price: high to low" },
+  { id: "prep", label: "Fastest to prepare" },
+];
+
+const SORT_IDS = SORT_OPTIONS.map((s) => s.id);
+const FIELD_WEIGHTS = { name: 3, tags: 2, description: 1 };
+
+function words(text) {
+  const found = [];
+  const re = /[\p{L}\p{N}]+/gu;
+  let m = re.exec(text);
+  while (m) {
+    found.push({ word: m[0].toLowerCase(), start: m.index });
+    m = re.exec(text);
+  }
+  return found;
+}
+
+// Optimal string alignment distance: edits plus swapped neighbours, so "bruger" is one step from "burger".
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j += 1) d[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Short terms must be spelled right; longer ones may be one or two edits out.
+function allowedTypos(term) {
+  if (term.length <= 3) return 0;
+  return term.length <= 6 ? 1 : 2;
+}
+
+// How well `term` matches `word` (0 to 1) and which characters of the word it covers.
+function matchWord(term, word) {
+  if (word === term) return { quality: 1, from: 0, to: word.length };
+  if (word.startsWith(term)) return { quality: 0.85, from: 0, to: term.length };
+  const at = term.length >= 3 ? word.indexOf(term) : -1;
+  if (at >= 0) return { quality: 0.7, from: at, to: at + term.length };
+
+  const allowed = allowedTypos(term);
+  if (allowed === 0) return null;
+  const whole = editDistance(term, word);
+  if (whole <= allowed) return { quality: 0.6 - whole * 0.1, from: 0, to: word.length };
+  // Still typing: "chikn" against the start of "chicken".
+  const partial = word.length > term.length ? editDistance(term, word.slice(0, term.length)) : Infinity;
+  if (partial <= allowed) return { quality: 0.45 - partial * 0.1, from: 0, to: term.length };
+  return null;
+}
+
+function matchField(term, text) {
+  let best = null;
+  words(text).forEach(({ word, start }) => {
+    const m = matchWord(term, word);
+    if (m && (!best || m.quality > best.quality)) best = { quality: m.quality, from: start + m.from, to: start + m.to };
+  });
+  return best;
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  return sorted.reduce((out, r) => {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([...r]);
+    return out;
+  }, []);
+}
+
+// PUBLIC_INTERFACE
+export function queryTerms(query) {
+  return [...new Set(words(String(query || "")).map((w) => w.word))];
+}
+
+// Scores `item` against `query`. Returns null when some query word matches nothing, otherwise
+// `{ score, highlights: { name, description } }` with `[start, end)` character ranges to highlight.
+// PUBLIC_INTERFACE
+export function scoreItem(item, query) {
+  const terms = queryTerms(query);
+  const highlights = { name: [], description: [] };
+  if (terms.length === 0) return { score: 0, highlights };
+
+  const fields = { name: item.name, tags: item.tags.join(" "), description: item.description };
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    Object.keys(FIELD_WEIGHTS).forEach((field) => {
+      const m = matchField(term, fields[field]);
+      if (!m) return;
+      best = Math.max(best, m.quality * FIELD_WEIGHTS[field]);
+      if (highlights[field]) highlights[field].push([m.from, m.to]);
+    });
+    if (best === 0) return null;
+    score += best;
+  }
+  const q = terms.join(" ");
+  if (item.name.toLowerCase().startsWith(q)) score += 1;
+  return {
+    score,
+    highlights: { name: mergeRanges(highlights.name), description: mergeRanges(highlights.description) },
+  };
+}
+
+const SORTERS = {
+  popular: (a, b) => b.item.popularity - a.item.popularity,
+  "price-asc": (a, b) => a.item.price - b.item.price,
+  "price-desc": (a, b) => b.item.price - a.item.price,
+  prep: (a, b) => a.item.prepMins - b.item.prepMins,
+};
+
+// Filters and orders `items` for `query` and `sort`, as `[{ item, score, highlights }]`. "relevance"
+// ranks by score (menu order without a query); the other sorts fall back to relevance on ties.
+// PUBLIC_INTERFACE
+export function searchMenu(items, query, sort = "relevance") {
+  const results = items
+    .map((item) => {
+      const match = scoreItem(item, query);
+      return match ? { item, ...match } : null;
+    })
+    .filter(Boolean);
+  // The sort is stable, so full ties keep menu order.
+  const byRelevance = (a, b) => b.score - a.score;
+  const sorter = SORTERS[sort];
+  return results.sort((a, b) => (sorter && sorter(a, b)) || byRelevance(a, b));
+}
+
+// Splits `text` into `{ text, match }` runs for rendering highlighted ranges.
+// PUBLIC_INTERFACE
+export function highlightParts(text, ranges = []) {
+  const parts = [];
+  let at = 0;
+  ranges.forEach(([from, to]) => {
+    if (from > at) parts.push({ text: text.slice(at, from), match: false });
+    parts.push({ text: text.slice(from, to), match: true });
+    at = to;
+  });
+  if (at < text.length) parts.push({ text: text.slice(at), match: false });
+  return parts;
+}
+
+// The menu's search, category, dietary filter and sort as kept in the address bar, e.g.
+// `?q=bowl&category=Bowls&diet=vegan&avoid=nuts,sesame&sort=price-asc`.
+// PUBLIC_INTERFACE
+export function readMenuUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const list = (key) => (params.get(key) || "").split(",").filter(Boolean);
+  const sort = params.get("sort");
+  return {
+    query: params.get("q") || "",
+    category: params.get("category") || "All",
+    diet: params.has("diet") || params.has("avoid") ? { diets: list("diet"), avoid: list("avoid") } : null,
+    sort: SORT_IDS.includes(sort) ? sort : "relevance",
+  };
+}
+
+// The query string for `state`, keeping unrelated parameters of `search` (such as `view`). The menu's own
+// parameters always come last and in the same order, so equal states give equal links.
+// PUBLIC_INTERFACE
+export function menuUrlSearch(state, search = "") {
+  const params = new URLSearchParams(search);
+  const values = {
+    q: state.query.trim(),
+    category: state.category === "All" ? "" : state.category,
+    diet: state.diet.diets.join(","),
+    avoid: state.diet.avoid.join(","),
+    sort: state.sort === "relevance" ? "" : state.sort,
+  };
+  Object.keys(values).forEach((key) => params.delete(key));
+  Object.keys(values).forEach((key) => values[key] && params.set(key, values[key]));
+  const next = params.toString();
+  return next ? `?${next}` : "";
+}
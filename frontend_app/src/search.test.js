@@ -0,0 +1,74 @@
+import { highlightParts, menuUrlSearch, readMenuUrlState, scoreItem, searchMenu } from "./search";
+
+const menu = [
+  {
+    id: "salad",
+    name: "Caesar Salad",
+    description: "Romaine and parmesan.",
+    tags: ["Salads"],
+    price: 9,
+    prepMins: 10,
+    popularity: 5,
+  },
+  {
+    id: "burger",
+    name: "Classic Burger",
+    description: "Beef patty.",
+    tags: ["Burgers"],
+    price: 12,
+    prepMins: 18,
+    popularity: 9,
+  },
+  {
+    id: "fries",
+    name: "Fries",
+    description: "Great with a burger.",
+    tags: ["Sides"],
+    price: 4,
+    prepMins: 6,
+    popularity: 7,
+  },
+];
+
+test("searchMenu tolerates typos and ranks name matches above description matches", () => {
+  expect(searchMenu(menu, "buger").map((r) => r.item.id)).toEqual(["burger", "fries"]);
+  expect(searchMenu(menu, "bruger").map((r) => r.item.id)).toEqual(["burger", "fries"]);
+  expect(searchMenu(menu, "CAESAR").map((r) => r.item.id)).toEqual(["salad"]);
+  expect(searchMenu(menu, "pizza")).toEqual([]);
+});
+
+test("every query word has to match, and short words must be spelled right", () => {
+  expect(searchMenu(menu, "classic burgr").map((r) => r.item.id)).toEqual(["burger"]);
+  expect(searchMenu(menu, "classic salad")).toEqual([]);
+  expect(searchMenu(menu, "fry")).toEqual([]);
+});
+
+test("scoreItem reports the matched ranges of the name and description", () => {
+  expect(scoreItem(menu[1], "burg").highlights).toEqual({ name: [[8, 12]], description: [] });
+  expect(scoreItem(menu[2], "buger").highlights).toEqual({ name: [], description: [[13, 19]] });
+  expect(highlightParts("Classic Burger", [[8, 12]])).toEqual([
+    { text: "Classic ", match: false },
+    { text: "Burg", match: true },
+    { text: "er", match: false },
+  ]);
+});
+
+test("sorts by price, prep time or popularity, in menu order without a query", () => {
+  const ids = (sort) => searchMenu(menu, "", sort).map((r) => r.item.id);
+  expect(ids("relevance")).toEqual(["salad", "burger", "fries"]);
+  expect(ids("price-asc")).toEqual(["fries", "salad", "burger"]);
+  expect(ids("price-desc")).toEqual(["burger", "salad", "fries"]);
+  expect(ids("prep")).toEqual(["fries", "salad", "burger"]);
+  expect(ids("popular")).toEqual(["burger", "fries", "salad"]);
+});
+
+test("menu state round-trips through the query string and keeps other parameters", () => {
+  const state = { query: "bowl ", category: "Bowls", diet: { diets: ["vegan"], avoid: ["nuts", "soy"] }, sort: "prep" };
+  const search = menuUrlSearch(state, "?view=customer&q=old");
+  expect(new URLSearchParams(search).get("view")).toBe("customer");
+  expect(readMenuUrlState(search)).toEqual({ ...state, query: "bowl" });
+
+  const empty = { query: "", category: "All", diet: { diets: [], avoid: [] }, sort: "relevance" };
+  expect(menuUrlSearch(empty, "?q=old&sort=prep")).toBe("");
+  expect(readMenuUrlState("?sort=nonsense")).toEqual({ ...empty, diet: null });
+});
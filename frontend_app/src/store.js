@@ -0,0 +1,423 @@
+// The customer app's cart, tracked orders, menu and checkout form as a single reducer, plus the pure
+// selectors that price the cart. App keeps the side effects (persistence, sockets, polling, API calls) and dispatches
+// what they learn; everything here is a plain function of its arguments, so it can be tested directly.
+
+import { EMPTY_ADDRESS, normalizeAddress, validateAddress } from "./address";
+import { canCancelOrder, markCancelled } from "./cancellation";
+import { progressAt, reestimateEta, statusAt } from "./eta";
+import { cartLineId, unitPriceWithOptions } from "./itemOptions";
+import { safeParseJson } from "./json";
+import { normalizeMenu } from "./menu";
+import { localCatalog } from "./menuAdminModel";
+import { validateCard } from "./payments";
+import { DEFAULT_DELIVERY_FEE } from "./deliveryZones";
+import { TRACKED_ORDERS_KEY } from "./kitchen";
+import { applyTrackingEvent, isTerminalStatus } from "./trackingSocket";
+
+export const CART_KEY = "food_order_cart_v1";
+export const LEGACY_ORDER_KEY = "food_order_last_order_v1";
+export const MENU_CACHE_KEY = "food_order_menu_cache_v1";
+export const MENU_CATEGORIES_KEY = "food_order_menu_categories_v1";
+export const TIP_PREF_KEY = "food_order_tip_pref_v1";
+
+const TAX_RATE = 0.0825;
+const EMPTY_CARD = { number: "", expiry: "", cvc: "" };
+
+// The checkout form. Only the tip choice is remembered between visits; card details never are.
+function initialCheckout() {
+  return {
+    name: "",
+    phone: "",
+    fulfillment: "delivery", // delivery | pickup
+    address: EMPTY_ADDRESS,
+    notes: "",
+    deliveryTiming: "asap", // asap | scheduled
+    scheduledSlot: null, // epoch ms of the chosen slot
+    // { type: "percent", value } | { type: "custom", value } | { type: "none" }
+    tipChoice: safeParseJson(window.localStorage.getItem(TIP_PREF_KEY), { type: "percent", value: 15 }),
+    paymentMethod: "card",
+    card: EMPTY_CARD,
+    promoInput: "",
+    appliedPromo: null, // normalized rule
+    promoError: "",
+    isApplyingPromo: false,
+    error: null, // { message, hint }
+    isPlacing: false,
+  };
+}
+
+// The state restored from this browser. With a backend (`apiBase`) the menu starts from the last good copy
+// and is refreshed from `GET /menu`; in demo mode it is the demo catalog as last edited in the menu admin.
+// PUBLIC_INTERFACE
+export function initialStoreState(apiBase) {
+  // Carts saved before options existed have no lineId; plain items are keyed by itemId.
+  const cartItems = safeParseJson(window.localStorage.getItem(CART_KEY), []).map((l) => ({
+    options: [],
+    ...l,
+    lineId: l.lineId || cartLineId(l.itemId, l.options),
+  }));
+
+  // Migrate the single order kept before multiple orders were supported.
+  const saved = safeParseJson(window.localStorage.getItem(TRACKED_ORDERS_KEY), null);
+  const legacy = Array.isArray(saved) ? null : safeParseJson(window.localStorage.getItem(LEGACY_ORDER_KEY), null);
+  const trackedOrders = Array.isArray(saved) ? saved : legacy ? [legacy] : [];
+
+  const catalog = apiBase ? null : localCatalog();
+  return {
+    cartItems,
+    reorderWarnings: [],
+    trackedOrders,
+    selectedOrderId: null,
+    menu: catalog
+      ? catalog.items
+      : normalizeMenu(safeParseJson(window.localStorage.getItem(MENU_CACHE_KEY), null)) || [],
+    categoryOrder: catalog ? catalog.categories : safeParseJson(window.localStorage.getItem(MENU_CATEGORIES_KEY), []),
+    menuStatus: apiBase ? "loading" : "ready", // loading | ready | stale | error
+    menuError: "",
+    checkout: initialCheckout(),
+  };
+}
+
+// Orders placed before the ETA model existed ran on a fixed 2-minute timeline from `createdAt`.
+function legacyTimeline(order) {
+  const start = order.startsAt || order.createdAt;
+  return { startsAt: start, preparingAt: start + 30_000, outAt: start + 75_000, deliverAt: start + 120_000 };
+}
+
+// Local stand-in for the tracking socket: walks the order through its planned timeline.
+function simulateProgress(order, now) {
+  const timeline = order.timeline || legacyTimeline(order);
+  const status = statusAt(timeline, now, order.fulfillment);
+  const progress = progressAt(timeline, now, order.fulfillment);
+  const eta = reestimateEta({ ...order, status }, now);
+
+  if (status === order.status && progress === order.progress && eta === order.eta) return order;
+  return { ...order, status, progress, eta };
+}
+
+// Applies `update` to the orders matched by `shouldUpdate`, keeping the same array when nothing changes.
+function updateOrders(orders, shouldUpdate, update) {
+  let changed = false;
+  const next = orders.map((o) => {
+    if (!shouldUpdate(o)) return o;
+    const updated = update(o);
+    if (updated !== o) changed = true;
+    return updated;
+  });
+  return changed ? next : orders;
+}
+
+function updateLine(cartItems, lineId, update) {
+  return cartItems.map((l) => (l.lineId === lineId ? update(l) : l));
+}
+
+function cartReducer(state, action) {
+  switch (action.type) {
+    case "cart/addLine": {
+      const { item, options } = action;
+      const lineId = cartLineId(item.id, options);
+      if (state.cartItems.some((l) => l.lineId === lineId)) {
+        return {
+          ...state,
+          cartItems: updateLine(state.cartItems, lineId, (l) => ({ ...l, quantity: l.quantity + 1 })),
+        };
+      }
+      const line = {
+        lineId,
+        itemId: item.id,
+        name: item.name,
+        options,
+        unitPrice: unitPriceWithOptions(item.price, options),
+        quantity: 1,
+        notes: "",
+      };
+      return { ...state, cartItems: [...state.cartItems, line] };
+    }
+    case "cart/increment":
+      return {
+        ...state,
+        cartItems: updateLine(state.cartItems, action.lineId, (l) => ({ ...l, quantity: l.quantity + 1 })),
+      };
+    case "cart/decrement": {
+      const line = state.cartItems.find((l) => l.lineId === action.lineId);
+      if (!line) return state;
+      if (line.quantity <= 1) return { ...state, cartItems: state.cartItems.filter((l) => l !== line) };
+      return {
+        ...state,
+        cartItems: updateLine(state.cartItems, action.lineId, (l) => ({ ...l, quantity: l.quantity - 1 })),
+      };
+    }
+    case "cart/remove":
+      return { ...state, cartItems: state.cartItems.filter((l) => l.lineId !== action.lineId) };
+    case "cart/setNotes":
+      return {
+        ...state,
+        cartItems: updateLine(state.cartItems, action.lineId, (l) => ({ ...l, notes: action.notes })),
+      };
+    case "cart/clear":
+      return { ...state, cartItems: [], reorderWarnings: [] };
+    case "cart/replace":
+      return { ...state, cartItems: action.lines, reorderWarnings: action.warnings };
+    case "cart/dismissWarnings":
+      return { ...state, reorderWarnings: [] };
+    default:
+      return state;
+  }
+}
+
+function ordersReducer(state, action) {
+  const update = (shouldUpdate, fn) => {
+    const trackedOrders = updateOrders(state.trackedOrders, shouldUpdate, fn);
+    return trackedOrders === state.trackedOrders ? state : { ...state, trackedOrders };
+  };
+  const isTarget = (o) => o.id === action.orderId;
+
+  switch (action.type) {
+    case "orders/track":
+      return {
+        ...state,
+        trackedOrders: [action.order, ...state.trackedOrders.filter((o) => o.id !== action.order.id)],
+        selectedOrderId: action.order.id,
+      };
+    case "orders/select":
+      return { ...state, selectedOrderId: action.orderId };
+    case "orders/clear":
+      return { ...state, trackedOrders: state.trackedOrders.filter((o) => !isTarget(o)), selectedOrderId: null };
+    case "orders/cancelled":
+      return update(
+        (o) => isTarget(o) && canCancelOrder(o),
+        (o) => markCancelled(o, action.refund, action.now)
+      );
+    case "orders/socketEvent":
+      return update(isTarget, (o) => {
+        const next = applyTrackingEvent(o, action.event, action.now);
+        // Without a server ETA, re-estimate locally whenever the status moves on.
+        const hasServerEta = action.event.eta != null || action.event.etaMinutes != null;
+        if (next === o || hasServerEta || next.status === o.status) return next;
+        return { ...next, eta: reestimateEta(next, action.now) };
+      });
+    case "orders/polled":
+      return update(isTarget, (o) => applyTrackingEvent(o, action.event, action.now));
+    // Once the kitchen has moved an order it drives that order from then on.
+    case "orders/kitchenEvent":
+      return update(isTarget, (o) => {
+        const next = applyTrackingEvent(o, action.event, action.now);
+        return { ...next, kitchenManaged: true, eta: reestimateEta(next, action.now) };
+      });
+    // Orders the backend or the kitchen view report on are left to them.
+    case "orders/simulate":
+      return update(
+        (o) => !isTerminalStatus(o.status) && !(action.backendMode && o.placedVia === "backend") && !o.kitchenManaged,
+        (o) => simulateProgress(o, action.now)
+      );
+    default:
+      return state;
+  }
+}
+
+function menuReducer(state, action) {
+  switch (action.type) {
+    case "menu/loading":
+      return { ...state, menuStatus: "loading", menuError: "" };
+    case "menu/loaded":
+      return { ...state, menu: action.items, categoryOrder: action.categories, menuStatus: "ready", menuError: "" };
+    // Keep the last good menu when there is one.
+    case "menu/failed":
+      return action.cached && action.cached.length > 0
+        ? { ...state, menu: action.cached, menuStatus: "stale", menuError: action.message }
+        : { ...state, menuStatus: "error", menuError: action.message };
+    default:
+      return state;
+  }
+}
+
+function checkoutReducer(state, action) {
+  const form = state.checkout;
+  const update = (changes) => ({ ...state, checkout: { ...form, ...changes } });
+
+  switch (action.type) {
+    case "checkout/update":
+      return update(action.changes);
+    // Switching to a scheduled order preselects the earliest slot.
+    case "checkout/chooseTiming":
+      return update({
+        deliveryTiming: action.timing,
+        scheduledSlot: action.timing === "scheduled" && !form.scheduledSlot ? action.firstSlot : form.scheduledSlot,
+      });
+    // Signing in fills in what hasn't been typed yet; the payment method follows the profile.
+    case "checkout/prefill": {
+      const { profile } = action;
+      const keepAddress = Boolean(form.address.street) || profile.addresses.length === 0;
+      return update({
+        name: form.name || profile.name,
+        phone: form.phone || profile.phone,
+        address: keepAddress ? form.address : normalizeAddress(profile.addresses[0]),
+        paymentMethod: profile.paymentMethod,
+      });
+    }
+    case "checkout/signedOut":
+      return update({ name: "", phone: "", address: EMPTY_ADDRESS, paymentMethod: "card" });
+    case "checkout/checkingPromo":
+      return update({ isApplyingPromo: true, promoError: "" });
+    case "checkout/promoApplied":
+      return update({ appliedPromo: action.rule, promoInput: "", isApplyingPromo: false });
+    case "checkout/promoRejected":
+      return update({ promoError: action.message, isApplyingPromo: false });
+    case "checkout/removePromo":
+      return update({ appliedPromo: null, promoError: "" });
+    case "checkout/placing":
+      return update({ isPlacing: true, error: null });
+    case "checkout/failed":
+      return update({ error: action.error });
+    // Contact and delivery details stay for the next order.
+    case "checkout/placed":
+      return update({ appliedPromo: null, deliveryTiming: "asap", scheduledSlot: null, card: EMPTY_CARD });
+    case "checkout/settled":
+      return update({ isPlacing: false });
+    default:
+      return state;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function storeReducer(state, action) {
+  const [slice] = action.type.split("/");
+  if (slice === "cart") return cartReducer(state, action);
+  if (slice === "orders") return ordersReducer(state, action);
+  if (slice === "menu") return menuReducer(state, action);
+  if (slice === "checkout") return checkoutReducer(state, action);
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export const cartActions = {
+  addLine: (item, options = []) => ({ type: "cart/addLine", item, options }),
+  increment: (lineId) => ({ type: "cart/increment", lineId }),
+  decrement: (lineId) => ({ type: "cart/decrement", lineId }),
+  remove: (lineId) => ({ type: "cart/remove", lineId }),
+  setNotes: (lineId, notes) => ({ type: "cart/setNotes", lineId, notes }),
+  clear: () => ({ type: "cart/clear" }),
+  // Swaps in rebuilt lines (a reorder or an edited order) with notes about what changed.
+  replace: (lines, warnings = []) => ({ type: "cart/replace", lines, warnings }),
+  dismissWarnings: () => ({ type: "cart/dismissWarnings" }),
+};
+
+// PUBLIC_INTERFACE
+export const orderActions = {
+  track: (order) => ({ type: "orders/track", order }),
+  select: (orderId) => ({ type: "orders/select", orderId }),
+  clear: (orderId) => ({ type: "orders/clear", orderId }),
+  cancelled: (orderId, refund, now = Date.now()) => ({ type: "orders/cancelled", orderId, refund, now }),
+  socketEvent: (orderId, event, now = Date.now()) => ({ type: "orders/socketEvent", orderId, event, now }),
+  polled: (orderId, event, now = Date.now()) => ({ type: "orders/polled", orderId, event, now }),
+  kitchenEvent: (event, now = Date.now()) => ({ type: "orders/kitchenEvent", orderId: event.orderId, event, now }),
+  simulate: (now, { backendMode = false } = {}) => ({ type: "orders/simulate", now, backendMode }),
+};
+
+// PUBLIC_INTERFACE
+export const menuActions = {
+  loading: () => ({ type: "menu/loading" }),
+  loaded: (items, categories) => ({ type: "menu/loaded", items, categories }),
+  failed: (message, cached) => ({ type: "menu/failed", message, cached }),
+};
+
+// PUBLIC_INTERFACE
+export const checkoutActions = {
+  // Form fields typed or picked by the customer, e.g. `update({ name })`.
+  update: (changes) => ({ type: "checkout/update", changes }),
+  chooseTiming: (timing, firstSlot = null) => ({ type: "checkout/chooseTiming", timing, firstSlot }),
+  prefill: (profile) => ({ type: "checkout/prefill", profile }),
+  signedOut: () => ({ type: "checkout/signedOut" }),
+  checkingPromo: () => ({ type: "checkout/checkingPromo" }),
+  promoApplied: (rule) => ({ type: "checkout/promoApplied", rule }),
+  promoRejected: (message) => ({ type: "checkout/promoRejected", message }),
+  removePromo: () => ({ type: "checkout/removePromo" }),
+  placing: () => ({ type: "checkout/placing" }),
+  failed: (message, hint = "") => ({ type: "checkout/failed", error: { message, hint } }),
+  placed: () => ({ type: "checkout/placed" }),
+  settled: () => ({ type: "checkout/settled" }),
+};
+
+// Hidden items stay off the menu; sold-out ones are shown but can't be added.
+// PUBLIC_INTERFACE
+export function selectVisibleMenu(menu) {
+  return menu.filter((i) => !i.hidden);
+}
+
+// PUBLIC_INTERFACE
+export function selectOrderableMenu(menu) {
+  return menu.filter((i) => !i.hidden && !i.soldOut);
+}
+
+// Cart lines whose item has since been marked sold out or hidden; they block checkout until removed.
+// PUBLIC_INTERFACE
+export function selectUnavailableLines(cartItems, menu) {
+  return cartItems.filter((l) => {
+    const item = menu.find((m) => m.id === l.itemId);
+    return Boolean(item) && (item.soldOut || item.hidden);
+  });
+}
+
+// The order shown in detail: the selected one, or the most recent.
+// PUBLIC_INTERFACE
+export function selectOrder(state) {
+  return state.trackedOrders.find((o) => o.id === state.selectedOrderId) || state.trackedOrders[0] || null;
+}
+
+// PUBLIC_INTERFACE
+export function selectActiveOrderCount(trackedOrders) {
+  return trackedOrders.filter((o) => !isTerminalStatus(o.status)).length;
+}
+
+// PUBLIC_INTERFACE
+export function selectCartCount(cartItems) {
+  return cartItems.reduce((sum, l) => sum + l.quantity, 0);
+}
+
+// PUBLIC_INTERFACE
+export function selectCartSubtotal(cartItems) {
+  return cartItems.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0);
+}
+
+// A simple fee model for UI realism. Item discounts reduce the taxable subtotal; until a delivery zone is
+// known the default delivery fee stands in as an estimate.
+// PUBLIC_INTERFACE
+export function selectCartFees(subtotal, { promoResult, deliveryZone = null, isPickup = false }) {
+  const serviceFee = subtotal > 0 ? Math.min(3.5, Math.max(1.25, subtotal * 0.08)) : 0;
+  const deliveryFee = subtotal > 0 && !isPickup ? (deliveryZone ? deliveryZone.fee : DEFAULT_DELIVERY_FEE) : 0;
+  const tax = subtotal > 0 ? (subtotal - promoResult.itemDiscount) * TAX_RATE : 0;
+  const discount = promoResult.itemDiscount + (promoResult.freeDelivery ? deliveryFee : 0);
+  return { serviceFee, deliveryFee, tax, discount };
+}
+
+// Tips go to the courier, so pickup orders have none. `tipChoice` is `{ type: "percent", value }`,
+// `{ type: "custom", value }` or `{ type: "none" }`.
+// PUBLIC_INTERFACE
+export function selectCartTip(subtotal, { tipChoice, isPickup = false }) {
+  if (subtotal <= 0 || isPickup) return 0;
+  if (tipChoice.type === "percent") return Math.round(subtotal * tipChoice.value) / 100;
+  if (tipChoice.type === "custom") return Math.max(0, Math.round((Number(tipChoice.value) || 0) * 100) / 100);
+  return 0;
+}
+
+// PUBLIC_INTERFACE
+export function selectCartTotal(subtotal, fees, tip) {
+  return subtotal + fees.serviceFee + fees.deliveryFee + fees.tax - fees.discount + tip;
+}
+
+// An order can be placed once the cart has nothing unavailable and the form is complete: a name, an address
+// in a zone whose minimum is met (unless picking up), valid card details when paying by card and a valid slot.
+// PUBLIC_INTERFACE
+export function selectCanPlaceOrder(state, { deliveryZone, zoneShortfall, hasValidSlot }) {
+  const { checkout, cartItems } = state;
+  const deliverable =
+    Object.keys(validateAddress(checkout.address)).length === 0 && Boolean(deliveryZone) && zoneShortfall === 0;
+  return (
+    cartItems.length > 0 &&
+    selectUnavailableLines(cartItems, state.menu).length === 0 &&
+    checkout.name.trim().length > 0 &&
+    (checkout.fulfillment === "pickup" || deliverable) &&
+    (checkout.paymentMethod !== "card" || Object.keys(validateCard(checkout.card)).length === 0) &&
+    hasValidSlot
+  );
+}
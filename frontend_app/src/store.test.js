@@ -0,0 +1,279 @@
+import {
+  cartActions,
+  checkoutActions,
+  initialStoreState,
+  menuActions,
+  orderActions,
+  selectCartCount,
+  selectCartFees,
+  selectCartSubtotal,
+  selectCartTip,
+  selectActiveOrderCount,
+  selectCanPlaceOrder,
+  selectCartTotal,
+  selectOrder,
+  selectUnavailableLines,
+  storeReducer,
+} from "./store";
+import { planTimeline } from "./eta";
+
+const burger = {
+  id: "burger",
+  name: "Burger",
+  price: 12,
+  optionGroups: [
+    {
+      id: "patty",
+      name: "Patty",
+      type: "single",
+      required: true,
+      options: [{ id: "double", name: "Double", priceDelta: 3 }],
+    },
+  ],
+};
+const fries = { id: "fries", name: "Fries", price: 4, optionGroups: [] };
+const noPromo = { itemDiscount: 0, freeDelivery: false, error: "" };
+
+function emptyState() {
+  return { ...initialStoreState("http://api.test"), cartItems: [], trackedOrders: [] };
+}
+
+function reduce(actions, state = emptyState()) {
+  return actions.reduce(storeReducer, state);
+}
+
+function placedOrder(id, overrides = {}) {
+  return { id, status: "Confirmed", progress: 10, eta: null, createdAt: 0, items: [], ...overrides };
+}
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test("adding the same item and options twice bumps one line; other options get their own line", () => {
+  const double = [{ groupId: "patty", optionId: "double", name: "Double", priceDelta: 3 }];
+  const state = reduce([cartActions.addLine(burger), cartActions.addLine(burger), cartActions.addLine(burger, double)]);
+  expect(state.cartItems.map((l) => [l.name, l.quantity, l.unitPrice])).toEqual([
+    ["Burger", 2, 12],
+    ["Burger", 1, 15],
+  ]);
+  expect(selectCartCount(state.cartItems)).toBe(3);
+  expect(selectCartSubtotal(state.cartItems)).toBe(39);
+});
+
+test("decrementing the last unit removes the line, and notes stay on their line", () => {
+  let state = reduce([cartActions.addLine(fries), cartActions.addLine(burger)]);
+  const [friesLine, burgerLine] = state.cartItems.map((l) => l.lineId);
+  state = reduce(
+    [
+      cartActions.increment(burgerLine),
+      cartActions.setNotes(burgerLine, "no onions"),
+      cartActions.decrement(friesLine),
+    ],
+    state
+  );
+  expect(state.cartItems).toHaveLength(1);
+  expect(state.cartItems[0]).toMatchObject({ itemId: "burger", quantity: 2, notes: "no onions" });
+
+  expect(reduce([cartActions.remove(burgerLine)], state).cartItems).toEqual([]);
+  expect(reduce([cartActions.decrement("missing")], state)).toBe(state);
+});
+
+test("replacing the cart keeps its warnings until cleared or dismissed", () => {
+  const lines = [{ lineId: "fries", itemId: "fries", name: "Fries", options: [], unitPrice: 4, quantity: 1 }];
+  const state = reduce([cartActions.replace(lines, ["Burger is sold out."])]);
+  expect(state.reorderWarnings).toEqual(["Burger is sold out."]);
+  expect(reduce([cartActions.dismissWarnings()], state)).toMatchObject({ cartItems: lines, reorderWarnings: [] });
+  expect(reduce([cartActions.clear()], state)).toMatchObject({ cartItems: [], reorderWarnings: [] });
+});
+
+test("fees follow the service, delivery and tax model and a free-delivery promo waives the delivery fee", () => {
+  const zone = { id: "core", name: "Downtown", fee: 1.99 };
+  const fees = selectCartFees(50, { promoResult: noPromo, deliveryZone: zone });
+  expect(fees.serviceFee).toBe(3.5);
+  expect(fees.deliveryFee).toBe(1.99);
+  expect(fees.tax).toBeCloseTo(4.125);
+  expect(fees.discount).toBe(0);
+
+  // Small orders pay the minimum service fee; no zone yet means the default delivery fee.
+  expect(selectCartFees(10, { promoResult: noPromo })).toMatchObject({ serviceFee: 1.25, deliveryFee: 2.99 });
+  expect(selectCartFees(10, { promoResult: noPromo, isPickup: true }).deliveryFee).toBe(0);
+
+  const freeDelivery = selectCartFees(50, { promoResult: { ...noPromo, freeDelivery: true }, deliveryZone: zone });
+  expect(freeDelivery.discount).toBe(1.99);
+
+  const itemDiscount = selectCartFees(50, { promoResult: { ...noPromo, itemDiscount: 10 } });
+  expect(itemDiscount.tax).toBeCloseTo(3.3);
+  expect(itemDiscount.discount).toBe(10);
+
+  expect(selectCartFees(0, { promoResult: noPromo })).toEqual({ serviceFee: 0, deliveryFee: 0, tax: 0, discount: 0 });
+});
+
+test("tips are a percentage or a custom amount, and nothing for pickup or an empty cart", () => {
+  expect(selectCartTip(40, { tipChoice: { type: "percent", value: 15 } })).toBe(6);
+  expect(selectCartTip(40, { tipChoice: { type: "custom", value: "3.456" } })).toBe(3.46);
+  expect(selectCartTip(40, { tipChoice: { type: "custom", value: "-2" } })).toBe(0);
+  expect(selectCartTip(40, { tipChoice: { type: "none" } })).toBe(0);
+  expect(selectCartTip(40, { tipChoice: { type: "percent", value: 15 }, isPickup: true })).toBe(0);
+  expect(selectCartTip(0, { tipChoice: { type: "percent", value: 15 } })).toBe(0);
+});
+
+test("the total adds fees, tax and tip and takes off the discount", () => {
+  const fees = { serviceFee: 2, deliveryFee: 3, tax: 1.5, discount: 4 };
+  expect(selectCartTotal(20, fees, 2.5)).toBe(25);
+});
+
+test("cart lines for items since sold out or hidden are unavailable", () => {
+  const lines = ["burger", "fries", "gone"].map((itemId) => ({ lineId: itemId, itemId, name: itemId }));
+  const menu = [{ ...burger, soldOut: true }, fries];
+  expect(selectUnavailableLines(lines, menu).map((l) => l.itemId)).toEqual(["burger"]);
+  expect(selectUnavailableLines(lines, [burger, { ...fries, hidden: true }]).map((l) => l.itemId)).toEqual(["fries"]);
+});
+
+test("tracking an order puts it first and selects it; clearing falls back to the latest", () => {
+  let state = reduce([orderActions.track(placedOrder("A")), orderActions.track(placedOrder("B"))]);
+  expect(state.trackedOrders.map((o) => o.id)).toEqual(["B", "A"]);
+  expect(selectOrder(state).id).toBe("B");
+
+  state = reduce([orderActions.select("A")], state);
+  expect(selectOrder(state).id).toBe("A");
+
+  state = reduce([orderActions.clear("A")], state);
+  expect(state.trackedOrders.map((o) => o.id)).toEqual(["B"]);
+  expect(selectOrder(state).id).toBe("B");
+});
+
+test("order updates apply to the matching order only and leave the state alone when nothing changes", () => {
+  const state = reduce([orderActions.track(placedOrder("A")), orderActions.track(placedOrder("B"))]);
+  const update = { type: "order.update", orderId: "A", status: "Preparing", progress: 40, etaMinutes: 20 };
+
+  const polled = reduce([orderActions.polled("A", update, 1000)], state);
+  expect(polled.trackedOrders.find((o) => o.id === "A")).toMatchObject({ status: "Preparing", eta: 1000 + 1_200_000 });
+  expect(polled.trackedOrders.find((o) => o.id === "B")).toBe(state.trackedOrders[0]);
+  expect(reduce([orderActions.polled("A", update, 1000)], polled)).toBe(polled);
+
+  const fromKitchen = reduce([orderActions.kitchenEvent({ ...update, etaMinutes: undefined })], state);
+  expect(fromKitchen.trackedOrders.find((o) => o.id === "A")).toMatchObject({
+    status: "Preparing",
+    kitchenManaged: true,
+  });
+});
+
+test("simulation leaves backend and kitchen-managed orders to their own updates", () => {
+  const timeline = { startsAt: 0, preparingAt: 10, outAt: 20, deliverAt: 30 };
+  const state = reduce([
+    orderActions.track(placedOrder("local", { timeline, placedVia: "local" })),
+    orderActions.track(placedOrder("server", { timeline, placedVia: "backend" })),
+    orderActions.track(placedOrder("kitchen", { timeline, placedVia: "local", kitchenManaged: true })),
+  ]);
+  const next = reduce([orderActions.simulate(30, { backendMode: true })], state);
+  const statuses = Object.fromEntries(next.trackedOrders.map((o) => [o.id, o.status]));
+  expect(statuses).toEqual({ local: "Delivered", server: "Confirmed", kitchen: "Confirmed" });
+});
+
+test("a simulated pickup order is eventually picked up and stops counting as active", () => {
+  const timeline = planTimeline(0, 10, 0);
+  const state = reduce([orderActions.track(placedOrder("P", { timeline, placedVia: "local", fulfillment: "pickup" }))]);
+  const ready = reduce([orderActions.simulate(timeline.outAt, { backendMode: false })], state);
+  expect(ready.trackedOrders[0].status).toBe("Ready for pickup");
+  expect(selectActiveOrderCount(ready.trackedOrders)).toBe(1);
+
+  const collected = reduce([orderActions.simulate(timeline.outAt + 60 * 60_000, { backendMode: false })], ready);
+  expect(collected.trackedOrders[0]).toMatchObject({ status: "Picked up", progress: 100 });
+  expect(selectActiveOrderCount(collected.trackedOrders)).toBe(0);
+});
+
+test("only orders that can still be cancelled are marked cancelled", () => {
+  const refund = { amount: 10, method: "card", note: "Refunded" };
+  const state = reduce([
+    orderActions.track(placedOrder("A")),
+    orderActions.track(placedOrder("B", { status: "Preparing" })),
+  ]);
+  const next = reduce([orderActions.cancelled("A", refund, 5), orderActions.cancelled("B", refund, 5)], state);
+  expect(next.trackedOrders.map((o) => [o.id, o.status])).toEqual([
+    ["B", "Preparing"],
+    ["A", "Cancelled"],
+  ]);
+  expect(next.trackedOrders[1]).toMatchObject({ refund, cancelledAt: 5 });
+});
+
+test("a failed menu load keeps the cached menu as stale, or reports an error without one", () => {
+  const loading = reduce([menuActions.loading()]);
+  expect(loading.menuStatus).toBe("loading");
+
+  const stale = reduce([menuActions.failed("Offline", [fries])], loading);
+  expect(stale).toMatchObject({ menu: [fries], menuStatus: "stale", menuError: "Offline" });
+  expect(reduce([menuActions.failed("Offline", null)], loading)).toMatchObject({ menu: [], menuStatus: "error" });
+
+  const loaded = reduce([menuActions.loaded([burger], ["Burgers"])], stale);
+  expect(loaded).toMatchObject({ menu: [burger], categoryOrder: ["Burgers"], menuStatus: "ready", menuError: "" });
+});
+
+test("the initial state restores the cart and migrates carts and orders saved by older versions", () => {
+  window.localStorage.setItem("food_order_cart_v1", JSON.stringify([{ itemId: "fries", name: "Fries", quantity: 2 }]));
+  window.localStorage.setItem("food_order_last_order_v1", JSON.stringify(placedOrder("OLD")));
+
+  const state = initialStoreState("");
+  expect(state.cartItems).toEqual([{ options: [], itemId: "fries", name: "Fries", quantity: 2, lineId: "fries" }]);
+  expect(state.trackedOrders.map((o) => o.id)).toEqual(["OLD"]);
+  expect(state.menuStatus).toBe("ready");
+  expect(state.menu.length).toBeGreaterThan(0);
+
+  expect(initialStoreState("http://api.test")).toMatchObject({ menu: [], menuStatus: "loading" });
+});
+
+test("signing in fills the checkout form without overwriting what was typed; signing out clears it", () => {
+  const home = { street: "12 Bay St", unit: "", city: "Oakland", postalCode: "94607", instructions: "" };
+  const profile = { name: "Ada", phone: "555-0100", addresses: [home], paymentMethod: "cash" };
+
+  const typed = reduce([checkoutActions.update({ name: "Sam" }), checkoutActions.prefill(profile)]);
+  expect(typed.checkout).toMatchObject({ name: "Sam", phone: "555-0100", address: home, paymentMethod: "cash" });
+
+  const signedOut = reduce([checkoutActions.signedOut()], typed);
+  expect(signedOut.checkout).toMatchObject({ name: "", phone: "", paymentMethod: "card" });
+  expect(signedOut.checkout.address.street).toBe("");
+});
+
+test("scheduling preselects the first slot, and a placed order resets timing, promo and card", () => {
+  const scheduled = reduce([checkoutActions.chooseTiming("scheduled", 1000)]);
+  expect(scheduled.checkout).toMatchObject({ deliveryTiming: "scheduled", scheduledSlot: 1000 });
+  expect(reduce([checkoutActions.chooseTiming("scheduled", 2000)], scheduled).checkout.scheduledSlot).toBe(1000);
+
+  const placed = reduce(
+    [
+      checkoutActions.promoApplied({ code: "WELCOME10" }),
+      checkoutActions.update({ card: { number: "4242", expiry: "", cvc: "" } }),
+      checkoutActions.placing(),
+      checkoutActions.placed(),
+      checkoutActions.settled(),
+    ],
+    scheduled
+  );
+  expect(placed.checkout).toMatchObject({ appliedPromo: null, deliveryTiming: "asap", scheduledSlot: null });
+  expect(placed.checkout).toMatchObject({ card: { number: "", expiry: "", cvc: "" }, isPlacing: false, error: null });
+});
+
+test("an order can be placed once the cart, contact, address, payment and slot all check out", () => {
+  const zone = { id: "inner", name: "Inner Bay", fee: 2.99, minimumOrder: 0 };
+  const ready = { deliveryZone: zone, zoneShortfall: 0, hasValidSlot: true };
+  const address = { street: "12 Bay St", unit: "", city: "Oakland", postalCode: "94607", instructions: "" };
+  const state = reduce([
+    cartActions.addLine(fries),
+    checkoutActions.update({ name: "Sam", address, paymentMethod: "cash" }),
+  ]);
+  const withMenu = { ...state, menu: [fries] };
+
+  expect(selectCanPlaceOrder(withMenu, ready)).toBe(true);
+  expect(selectCanPlaceOrder(withMenu, { ...ready, zoneShortfall: 5 })).toBe(false);
+  expect(selectCanPlaceOrder(withMenu, { ...ready, hasValidSlot: false })).toBe(false);
+  expect(selectCanPlaceOrder(reduce([checkoutActions.update({ paymentMethod: "card" })], withMenu), ready)).toBe(false);
+
+  const pickup = reduce(
+    [checkoutActions.update({ fulfillment: "pickup", address: { ...address, street: "" } })],
+    withMenu
+  );
+  expect(selectCanPlaceOrder(pickup, { ...ready, deliveryZone: null })).toBe(true);
+  expect(
+    selectCanPlaceOrder({ ...pickup, menu: [{ ...fries, soldOut: true }] }, { ...ready, deliveryZone: null })
+  ).toBe(false);
+});
@@ -0,0 +1,23 @@
+import { render } from "@testing-library/react";
+import { createApiClient } from "./apiClient";
+import { MOCK_STAFF_EMAIL } from "./mockApi";
+
+// Builds a component test's `render(props)`: renders `Component` with its defaults (an object, or a
+// function of the test's props), a fresh `jest.fn()` for each name in `handlerNames`, then the test's
+// props, and returns the handlers to assert on.
+export function rendererFor(Component, defaults, handlerNames = []) {
+  return (props = {}) => {
+    const handlers = Object.fromEntries(handlerNames.map((name) => [name, jest.fn()]));
+    const base = typeof defaults === "function" ? defaults(props) : defaults;
+    render(<Component {...base} {...handlers} {...props} />);
+    return handlers;
+  };
+}
+
+// An API client for `mock` (see mockApi.js) signed in as `email`, by default the mock's staff account.
+export async function signedInMockClient(mock, email = MOCK_STAFF_EMAIL) {
+  let token = null;
+  const api = createApiClient({ baseUrl: "mock://api", fetchImpl: mock.fetch, getToken: () => token });
+  token = (await api.login({ email, password: "secret1" })).token;
+  return api;
+}
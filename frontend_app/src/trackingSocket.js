@@ -0,0 +1,136 @@
+// Real-time order tracking over a WebSocket (REACT_APP_WS_URL).
+//
+// Protocol (JSON text frames):
+//   client -> server  { type: "subscribe", orderId }
+//   server -> client  { type: "order.update", orderId, status?, progress?, eta?, etaMinutes? }
+// `eta` is an absolute time (ISO string or epoch ms); `etaMinutes` is relative to receipt.
+
+export const ORDER_STATUSES = [
+  "Scheduled",
+  "Confirmed",
+  "Preparing",
+  "Out for delivery",
+  "Delivered",
+  "Ready for pickup",
+  "Picked up",
+  "Cancelled",
+];
+
+const TERMINAL_STATUSES = ["Delivered", "Picked up", "Cancelled"];
+
+// PUBLIC_INTERFACE
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+function parseEta(event, now) {
+  if (event.eta != null) {
+    const ms = typeof event.eta === "number" ? event.eta : Date.parse(event.eta);
+    return Number.isFinite(ms) ? ms : null;
+  }
+  if (Number.isFinite(event.etaMinutes)) return now + event.etaMinutes * 60_000;
+  return null;
+}
+
+// Returns `order` with a server-pushed update applied, or the same object if nothing changed.
+// PUBLIC_INTERFACE
+export function applyTrackingEvent(order, event, now = Date.now()) {
+  if (!order || !event || event.type !== "order.update" || String(event.orderId) !== String(order.id)) {
+    return order;
+  }
+
+  const next = { ...order };
+  if (ORDER_STATUSES.includes(event.status)) next.status = event.status;
+  if (Number.isFinite(event.progress)) next.progress = Math.max(0, Math.min(100, Math.round(event.progress)));
+  if (next.status === "Delivered" || next.status === "Ready for pickup" || next.status === "Picked up") {
+    next.progress = 100;
+  }
+
+  const eta = parseEta(event, now);
+  if (eta != null) next.eta = eta;
+
+  const changed = next.status !== order.status || next.progress !== order.progress || next.eta !== order.eta;
+  return changed ? next : order;
+}
+
+// Exponential backoff: 1s, 2s, 4s … capped at maxDelay.
+// PUBLIC_INTERFACE
+export function reconnectDelay(attempt, { baseDelay = 1000, maxDelay = 30_000 } = {}) {
+  return Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+// Opens a socket subscribed to `orderId` and keeps it open, reconnecting with backoff, until
+// `close()` is called. Connection state is reported as "connecting" | "live" | "reconnecting".
+// PUBLIC_INTERFACE
+export function createTrackingSocket({
+  url,
+  orderId,
+  onEvent,
+  onConnectionChange = () => {},
+  WebSocketImpl = window.WebSocket,
+  baseDelay,
+  maxDelay,
+}) {
+  let socket = null;
+  let attempt = 0;
+  let retryTimer = null;
+  let closed = false;
+
+  function connect() {
+    onConnectionChange(attempt === 0 ? "connecting" : "reconnecting");
+
+    try {
+      socket = new WebSocketImpl(url);
+    } catch {
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      attempt = 0;
+      socket.send(JSON.stringify({ type: "subscribe", orderId }));
+      onConnectionChange("live");
+    };
+
+    socket.onmessage = (msg) => {
+      let event;
+      try {
+        event = JSON.parse(msg.data);
+      } catch {
+        return; // ignore non-JSON frames
+      }
+      if (event && String(event.orderId) === String(orderId)) onEvent(event);
+    };
+
+    socket.onclose = () => {
+      socket = null;
+      if (!closed) scheduleReconnect();
+    };
+
+    // onclose follows onerror, so reconnecting is handled there.
+    socket.onerror = () => {};
+  }
+
+  function scheduleReconnect() {
+    if (closed) return;
+    onConnectionChange("reconnecting");
+    const delay = reconnectDelay(attempt, { baseDelay, maxDelay });
+    attempt += 1;
+    retryTimer = window.setTimeout(connect, delay);
+  }
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      if (retryTimer) window.clearTimeout(retryTimer);
+      retryTimer = null;
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+    },
+  };
+}
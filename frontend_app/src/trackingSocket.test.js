@@ -0,0 +1,93 @@
+import { applyTrackingEvent, createTrackingSocket, isTerminalStatus, reconnectDelay } from "./trackingSocket";
+import { startMockTrackingServer } from "../scripts/mockTrackingServer";
+
+function waitFor(predicate, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error("Timed out"));
+      return setTimeout(tick, 10);
+    };
+    tick();
+  });
+}
+
+describe("applyTrackingEvent", () => {
+  const order = { id: "ORD-1", status: "Confirmed", progress: 3 };
+
+  test("applies status, progress and a relative ETA", () => {
+    const next = applyTrackingEvent(
+      order,
+      { type: "order.update", orderId: "ORD-1", status: "Preparing", progress: 41.6, etaMinutes: 20 },
+      1_000
+    );
+    expect(next).toEqual({ id: "ORD-1", status: "Preparing", progress: 42, eta: 1_000 + 20 * 60_000 });
+  });
+
+  test("ignores events for other orders, unknown statuses and no-op updates", () => {
+    expect(applyTrackingEvent(order, { type: "order.update", orderId: "ORD-2", status: "Delivered" })).toBe(order);
+    expect(applyTrackingEvent(order, { type: "order.update", orderId: "ORD-1", status: "Teleported" })).toBe(order);
+    expect(applyTrackingEvent(order, { type: "order.update", orderId: "ORD-1", progress: 3 })).toBe(order);
+  });
+
+  test("Delivered always completes the progress bar", () => {
+    expect(applyTrackingEvent(order, { type: "order.update", orderId: "ORD-1", status: "Delivered" }).progress).toBe(
+      100
+    );
+  });
+
+  test("pickup statuses are accepted and a collected order is terminal", () => {
+    const ready = applyTrackingEvent(order, { type: "order.update", orderId: "ORD-1", status: "Ready for pickup" });
+    expect(ready).toMatchObject({ status: "Ready for pickup", progress: 100 });
+    expect(isTerminalStatus(ready.status)).toBe(false);
+    expect(isTerminalStatus("Picked up")).toBe(true);
+  });
+});
+
+test("reconnectDelay backs off exponentially up to the cap", () => {
+  expect([0, 1, 2, 3].map((n) => reconnectDelay(n))).toEqual([1000, 2000, 4000, 8000]);
+  expect(reconnectDelay(10, { maxDelay: 5000 })).toBe(5000);
+});
+
+describe("createTrackingSocket against the mock server", () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await startMockTrackingServer();
+  });
+
+  afterEach(async () => {
+    if (client) client.close();
+    await server.close();
+  });
+
+  test("subscribes to the order, receives updates and reconnects after a drop", async () => {
+    const events = [];
+    const states = [];
+    const subscribed = server.nextSubscription();
+
+    client = createTrackingSocket({
+      url: server.url,
+      orderId: "ORD-42",
+      onEvent: (e) => events.push(e),
+      onConnectionChange: (s) => states.push(s),
+      baseDelay: 10,
+    });
+
+    expect(await subscribed).toBe("ORD-42");
+    server.push("ORD-42", { status: "Preparing", progress: 30 });
+    await waitFor(() => events.length === 1);
+    expect(events[0]).toMatchObject({ type: "order.update", orderId: "ORD-42", status: "Preparing" });
+
+    const resubscribed = server.nextSubscription();
+    server.dropConnections();
+    expect(await resubscribed).toBe("ORD-42");
+    expect(states).toEqual(expect.arrayContaining(["connecting", "live", "reconnecting"]));
+    expect(states[states.length - 1]).toBe("live");
+
+    server.push("ORD-42", { status: "Delivered" });
+    await waitFor(() => events.length === 2);
+  });
+});
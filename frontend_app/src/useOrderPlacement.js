@@ -0,0 +1,269 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { normalizeAddress } from "./address";
+import { ApiError } from "./apiClient";
+import { formatClock } from "./format";
+import { safeParseJson } from "./json";
+import { buildPlacedOrder, createIdempotencyKey, localOrderId, submitOrder } from "./orderSubmission";
+import { authorizeCard, cardSummary, createMockPaymentProvider } from "./payments";
+import { evaluatePromo, findLocalPromo, normalizePromoCode } from "./promotions";
+import { isSlotAvailable } from "./scheduling";
+import { cartActions, checkoutActions, orderActions } from "./store";
+
+const PENDING_ORDERS_KEY = "food_order_pending_orders_v1";
+const CARD_HINT = "Your cart hasn’t been changed — check your card details or try another card.";
+
+// Backend mode only: orders that could not be delivered yet, resent oldest first with their original
+// idempotency keys when the connection returns, every 30s while any are waiting, or on `send()`.
+function usePendingOrders({ api, paymentProvider, dispatch }) {
+  const [pendingOrders, setPendingOrders] = useState(() =>
+    safeParseJson(window.localStorage.getItem(PENDING_ORDERS_KEY), [])
+  );
+  const pendingOrdersRef = useRef(pendingOrders);
+  pendingOrdersRef.current = pendingOrders;
+  const [flushKey, setFlushKey] = useState(() => (pendingOrders.length > 0 ? 1 : 0));
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    window.localStorage.setItem(PENDING_ORDERS_KEY, JSON.stringify(pendingOrders));
+  }, [pendingOrders]);
+
+  const hasPendingOrders = pendingOrders.length > 0;
+  useEffect(() => {
+    if (!api || !hasPendingOrders) return undefined;
+
+    const flush = () => setFlushKey((k) => k + 1);
+    window.addEventListener("online", flush);
+    const timer = window.setInterval(flush, 30_000);
+    return () => {
+      window.removeEventListener("online", flush);
+      window.clearInterval(timer);
+    };
+  }, [api, hasPendingOrders]);
+
+  // Stops at the first order that still cannot get through.
+  useEffect(() => {
+    if (!api || flushKey === 0) return undefined;
+
+    let cancelled = false;
+    (async () => {
+      for (const entry of pendingOrdersRef.current) {
+        const result = await submitOrder({ api, payload: entry.payload, idempotencyKey: entry.idempotencyKey });
+        if (cancelled || result.status === "unreachable") return;
+
+        setPendingOrders((prev) => prev.filter((e) => e.idempotencyKey !== entry.idempotencyKey));
+        if (result.status === "created") {
+          const placedOrder = buildPlacedOrder({
+            id: result.order.id,
+            payload: entry.payload,
+            plan: entry.plan,
+            placedVia: "backend",
+          });
+          dispatch(orderActions.track(placedOrder));
+        } else {
+          if (entry.payload.payment) await paymentProvider.voidAuthorization(entry.payload.payment.authorizationId);
+          setError(`Your order from ${formatClock(entry.queuedAt)} couldn’t be placed: ${result.message}`);
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [api, flushKey, paymentProvider, dispatch]);
+
+  return {
+    count: pendingOrders.length,
+    queue: (entry) => setPendingOrders((prev) => [...prev, entry]),
+    send: () => setFlushKey((k) => k + 1),
+    error,
+    dismissError: () => setError(""),
+  };
+}
+
+// Checkout's workflows on top of the store's checkout slice: applying promo codes and placing the order,
+// which authorizes the card first (asking for a verification code when the provider wants one), then
+// sends the order to the backend or simulates it locally in demo mode. `cart` carries what checkout
+// priced: `{ items, subtotal, pricing, promoResult, deliveryZone, eta, canPlaceOrder }`. `onPlaced` gets
+// the new order's id, or null when the order was queued to send later.
+// PUBLIC_INTERFACE
+export function useOrderPlacement({ api, apiBase, wsUrl, customerId, checkout, cart, dispatch, onPlaced }) {
+  const [paymentChallenge, setPaymentChallenge] = useState(null); // provider challenge awaiting a code
+  const challengeResolverRef = useRef(null);
+  // Any object implementing the provider interface in payments.js can be swapped in here.
+  const paymentProvider = useMemo(() => createMockPaymentProvider(), []);
+  const pending = usePendingOrders({ api, paymentProvider, dispatch });
+
+  async function applyPromo() {
+    const code = normalizePromoCode(checkout.promoInput);
+    if (!code || checkout.isApplyingPromo) return;
+
+    dispatch(checkoutActions.checkingPromo());
+    try {
+      // The backend decides which codes exist; the discount itself is computed by the same local engine.
+      let rule = null;
+      if (api) {
+        try {
+          rule = await api.validatePromo({ code, subtotal: cart.subtotal });
+        } catch (err) {
+          // An unknown code is a 4xx; anything else means we could not check it.
+          if (!(err instanceof ApiError && err.kind === "http" && !err.retryable)) throw err;
+        }
+      } else {
+        rule = findLocalPromo(code);
+      }
+
+      if (!rule) {
+        dispatch(checkoutActions.promoRejected(`“${code}” isn’t a valid promo code.`));
+        return;
+      }
+      const check = evaluatePromo(rule, { items: cart.items, subtotal: cart.subtotal });
+      dispatch(check.error ? checkoutActions.promoRejected(check.error) : checkoutActions.promoApplied(rule));
+    } catch {
+      dispatch(checkoutActions.promoRejected("Couldn’t check that code right now. Please try again."));
+    }
+  }
+
+  // Shows the verification dialog and resolves with the code entered, or null if the customer backs out.
+  function askForChallengeCode(challenge) {
+    return new Promise((resolve) => {
+      challengeResolverRef.current = resolve;
+      setPaymentChallenge(challenge);
+    });
+  }
+
+  function resolveChallenge(code) {
+    const resolve = challengeResolverRef.current;
+    challengeResolverRef.current = null;
+    setPaymentChallenge(null);
+    if (resolve) resolve(code);
+  }
+
+  // Authorizes the cart total on the entered card. Returns the payment record kept on the order, or null
+  // after showing why the card was refused.
+  async function authorizeCardPayment() {
+    const { card } = checkout;
+    const amount = Math.round(cart.pricing.total * 100) / 100;
+    const auth = await authorizeCard(
+      paymentProvider,
+      { amount, card, reference: `cart-${Date.now().toString(36)}` },
+      askForChallengeCode
+    );
+    if (auth.status !== "authorized") {
+      dispatch(checkoutActions.failed(auth.message || "Your payment couldn’t be authorized.", CARD_HINT));
+      return null;
+    }
+    return {
+      provider: paymentProvider.name,
+      authorizationId: auth.authorizationId,
+      status: "authorized",
+      amount,
+      ...cardSummary(card),
+    };
+  }
+
+  function trackOrder(placedOrder) {
+    dispatch(orderActions.track(placedOrder));
+    return placedOrder.id;
+  }
+
+  async function placeOrder() {
+    if (!cart.canPlaceOrder || checkout.isPlacing) return;
+    // The form may have been open past the chosen slot's cut-off; check it again before the card is charged.
+    if (
+      checkout.deliveryTiming === "scheduled" &&
+      !isSlotAvailable(checkout.scheduledSlot, Date.now(), cart.eta.leadMins)
+    ) {
+      dispatch(
+        checkoutActions.failed("That time is no longer available.", "Choose another time and place the order again.")
+      );
+      return;
+    }
+
+    const isPickup = checkout.fulfillment === "pickup";
+    dispatch(checkoutActions.placing());
+    let placedId = null;
+    try {
+      // Nothing is created until the card is authorized; on any failure the cart stays as it is.
+      let payment = null;
+      if (checkout.paymentMethod === "card") {
+        payment = await authorizeCardPayment();
+        if (!payment) return;
+      }
+
+      const payload = {
+        customerId,
+        customerName: checkout.name.trim(),
+        customerPhone: checkout.phone.trim(),
+        fulfillment: checkout.fulfillment,
+        deliveryAddress: isPickup ? null : normalizeAddress(checkout.address),
+        deliveryZone: isPickup ? null : cart.deliveryZone.id,
+        notes: checkout.notes.trim(),
+        paymentMethod: checkout.paymentMethod,
+        payment,
+        items: cart.items.map((it) => ({
+          lineId: it.lineId,
+          itemId: it.itemId,
+          name: it.name,
+          options: it.options || [],
+          unitPrice: it.unitPrice,
+          quantity: it.quantity,
+          notes: (it.notes || "").trim(),
+        })),
+        scheduledFor: checkout.deliveryTiming === "scheduled" ? new Date(checkout.scheduledSlot).toISOString() : null,
+        promoCode: checkout.appliedPromo && !cart.promoResult.error ? checkout.appliedPromo.code : null,
+        pricing: cart.pricing,
+      };
+      const plan = { kitchenMins: cart.eta.kitchenMins, deliveryMins: cart.eta.deliveryMins };
+      // Surface env vars for debugging/verification without breaking preview.
+      const meta = { apiBase: apiBase || null, wsUrl: wsUrl || null };
+
+      if (!api) {
+        // Demo mode: capture here and simulate the order locally. With a backend, the server captures.
+        if (payment) {
+          const captured = await paymentProvider.capture(payment.authorizationId);
+          if (captured.status !== "captured") {
+            await paymentProvider.voidAuthorization(payment.authorizationId);
+            dispatch(checkoutActions.failed(captured.message || "Your payment couldn’t be completed.", CARD_HINT));
+            return;
+          }
+          payload.payment = { ...payment, status: "captured" };
+        }
+        placedId = trackOrder({ ...buildPlacedOrder({ id: localOrderId(), payload, plan, placedVia: "local" }), meta });
+      } else {
+        const idempotencyKey = createIdempotencyKey();
+        const result = await submitOrder({ api, payload, idempotencyKey });
+        if (result.status === "rejected") {
+          if (payment) await paymentProvider.voidAuthorization(payment.authorizationId);
+          dispatch(checkoutActions.failed(result.message, "Your cart hasn’t been changed."));
+          return;
+        }
+        if (result.status === "created") {
+          placedId = trackOrder({
+            ...buildPlacedOrder({ id: result.order.id, payload, plan, placedVia: "backend" }),
+            meta,
+          });
+        } else {
+          // Keep the order (and its payment authorization) and resend it with the same key later.
+          pending.queue({ idempotencyKey, payload, plan, queuedAt: Date.now() });
+        }
+      }
+
+      // Reset cart but keep checkout fields for convenience
+      dispatch(cartActions.clear());
+      dispatch(checkoutActions.placed());
+      onPlaced(placedId);
+    } finally {
+      dispatch(checkoutActions.settled());
+    }
+  }
+
+  return {
+    applyPromo,
+    placeOrder,
+    paymentChallenge,
+    resolveChallenge,
+    pendingCount: pending.count,
+    sendPending: pending.send,
+    queueError: pending.error,
+    dismissQueueError: pending.dismissError,
+  };
+}
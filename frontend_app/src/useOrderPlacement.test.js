@@ -0,0 +1,60 @@
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { initialStoreState } from "./store";
+import { useOrderPlacement } from "./useOrderPlacement";
+
+const line = { lineId: "fries", itemId: "fries", name: "Fries", options: [], unitPrice: 4, quantity: 1 };
+const cart = {
+  items: [line],
+  subtotal: 4,
+  pricing: { subtotal: 4, total: 4.5 },
+  promoResult: { itemDiscount: 0, freeDelivery: false, error: "" },
+  deliveryZone: null,
+  eta: { kitchenMins: 12, deliveryMins: 0, leadMins: 12 },
+  canPlaceOrder: true,
+};
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+function renderPlacement({ api = null, checkout = {} } = {}) {
+  const dispatch = jest.fn();
+  const onPlaced = jest.fn();
+  const form = { ...initialStoreState("").checkout, name: "Sam", fulfillment: "pickup", ...checkout };
+  const hook = renderHook(() => useOrderPlacement({ api, customerId: null, checkout: form, cart, dispatch, onPlaced }));
+  return { ...hook, dispatch, onPlaced };
+}
+
+test("in demo mode a cash order is tracked locally and the cart is cleared", async () => {
+  const { result, dispatch, onPlaced } = renderPlacement({ checkout: { paymentMethod: "cash" } });
+
+  await act(() => result.current.placeOrder());
+  expect(dispatch.mock.calls.map(([action]) => action.type)).toEqual([
+    "checkout/placing",
+    "orders/track",
+    "cart/clear",
+    "checkout/placed",
+    "checkout/settled",
+  ]);
+  const [, [{ order }]] = dispatch.mock.calls;
+  expect(order).toMatchObject({ customerName: "Sam", fulfillment: "pickup", placedVia: "local" });
+  expect(onPlaced).toHaveBeenCalledWith(order.id);
+});
+
+test("orders queued while the backend was unreachable are sent again on load", async () => {
+  const payload = { customerName: "Sam", items: [line], scheduledFor: null };
+  const entry = { idempotencyKey: "k1", payload, plan: { kitchenMins: 12, deliveryMins: 0 }, queuedAt: 0 };
+  window.localStorage.setItem("food_order_pending_orders_v1", JSON.stringify([entry]));
+  const api = { createOrder: jest.fn().mockResolvedValue({ id: "B7" }) };
+  const { result, dispatch } = renderPlacement({ api });
+
+  expect(result.current.pendingCount).toBe(1);
+  await waitFor(() => expect(result.current.pendingCount).toBe(0));
+  expect(api.createOrder).toHaveBeenCalledWith(payload, { idempotencyKey: "k1" });
+  expect(dispatch).toHaveBeenCalledWith(
+    expect.objectContaining({
+      type: "orders/track",
+      order: expect.objectContaining({ id: "B7", placedVia: "backend" }),
+    })
+  );
+});
@@ -0,0 +1,162 @@
+import { useEffect, useRef, useState } from "react";
+import { canCancelOrder, canEditOrder, localRefund, normalizeRefund } from "./cancellation";
+import { createKitchenChannel } from "./kitchen";
+import { buildReorder } from "./orderHistory";
+import { cartActions, orderActions, selectActiveOrderCount } from "./store";
+import { createTrackingSocket, isTerminalStatus } from "./trackingSocket";
+
+const ORDER_POLL_MS = 15_000;
+
+// Keeps the tracked orders in the store up to date: one socket per active order when `wsUrl` is set,
+// otherwise a local simulation plus polling `GET /orders/:id` for orders the backend knows about. Status
+// changes from the kitchen view arrive over the kitchen channel either way.
+//
+// Also cancels and edits tracked orders. `orderableMenu` is what an edited order's items are rebuilt from.
+// PUBLIC_INTERFACE
+export function useOrderTracking({ api, wsUrl, trackedOrders, orderableMenu, dispatch }) {
+  const [trackingLinks, setTrackingLinks] = useState({}); // orderId -> connecting | live | reconnecting
+  const trackingSocketsRef = useRef(new Map());
+  const [cancellingOrderId, setCancellingOrderId] = useState(null);
+  const [actionError, setActionError] = useState(null); // { orderId, message }
+
+  // Live tracking: sockets are opened and closed as orders come and go.
+  const liveOrderKey = wsUrl
+    ? JSON.stringify(trackedOrders.filter((o) => !isTerminalStatus(o.status)).map((o) => o.id))
+    : "[]";
+  useEffect(() => {
+    const ids = JSON.parse(liveOrderKey);
+    const sockets = trackingSocketsRef.current;
+
+    sockets.forEach((socket, id) => {
+      if (ids.includes(id)) return;
+      socket.close();
+      sockets.delete(id);
+      setTrackingLinks((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+    });
+
+    ids.forEach((id) => {
+      if (sockets.has(id)) return;
+      sockets.set(
+        id,
+        createTrackingSocket({
+          url: wsUrl,
+          orderId: id,
+          onEvent: (event) => dispatch(orderActions.socketEvent(id, event)),
+          onConnectionChange: (state) => setTrackingLinks((prev) => ({ ...prev, [id]: state })),
+        })
+      );
+    });
+  }, [wsUrl, liveOrderKey, dispatch]);
+
+  useEffect(() => {
+    const sockets = trackingSocketsRef.current;
+    return () => {
+      sockets.forEach((socket) => socket.close());
+      sockets.clear();
+    };
+  }, []);
+
+  // Without a socket, drive a simple “tracking” simulation on the client for local orders.
+  const simulating = !wsUrl && selectActiveOrderCount(trackedOrders) > 0;
+  useEffect(() => {
+    if (!simulating) return undefined;
+
+    const timer = window.setInterval(
+      () => dispatch(orderActions.simulate(Date.now(), { backendMode: Boolean(api) })),
+      750
+    );
+    return () => window.clearInterval(timer);
+  }, [simulating, api, dispatch]);
+
+  const polledOrderKey =
+    api && !wsUrl
+      ? JSON.stringify(
+          trackedOrders
+            .filter((o) => o.placedVia === "backend" && !o.kitchenManaged && !isTerminalStatus(o.status))
+            .map((o) => o.id)
+        )
+      : "[]";
+  useEffect(() => {
+    const ids = JSON.parse(polledOrderKey);
+    if (!api || ids.length === 0) return undefined;
+
+    const controller = new AbortController();
+    const poll = () =>
+      ids.forEach(async (orderId) => {
+        try {
+          const update = await api.getOrderStatus(orderId, { signal: controller.signal });
+          dispatch(orderActions.polled(orderId, { type: "order.update", orderId, ...update }));
+        } catch {
+          // keep the last known status; the next poll tries again
+        }
+      });
+    const timer = window.setInterval(poll, ORDER_POLL_MS);
+    return () => {
+      window.clearInterval(timer);
+      controller.abort();
+    };
+  }, [api, polledOrderKey, dispatch]);
+
+  // Status changes from the kitchen view in another tab (demo and mock modes, see kitchen.js). Once the
+  // kitchen has moved an order it drives that order from then on, so simulation and polling leave it be.
+  useEffect(() => {
+    const channel = createKitchenChannel({ onEvent: (event) => dispatch(orderActions.kitchenEvent(event)) });
+    return () => channel.close();
+  }, [dispatch]);
+
+  // Resolves to true once the order is cancelled; otherwise `actionError` says why not.
+  async function cancelOrder(orderId) {
+    const target = trackedOrders.find((o) => o.id === orderId);
+    if (!canCancelOrder(target) || cancellingOrderId) return false;
+
+    setCancellingOrderId(orderId);
+    setActionError(null);
+    try {
+      let refund = localRefund(target);
+      // Orders that never reached the backend are cancelled locally.
+      if (api && target.placedVia === "backend") {
+        try {
+          refund = normalizeRefund(await api.cancelOrder(orderId), target);
+        } catch (err) {
+          if (err.status === 409) throw new Error("The kitchen has already started this order.");
+          if (err.kind === "http") throw new Error(`Cancellation failed (${err.status}). Please try again.`);
+          throw new Error("Couldn’t reach the restaurant. Please try again.");
+        }
+      }
+
+      dispatch(orderActions.cancelled(orderId, refund));
+      return true;
+    } catch (err) {
+      setActionError({ orderId, message: err.message });
+      return false;
+    } finally {
+      setCancellingOrderId(null);
+    }
+  }
+
+  // Editing = cancelling within the grace period and putting the items back in the cart. Resolves to
+  // true once the cart holds them.
+  async function editOrder(orderId) {
+    const target = trackedOrders.find((o) => o.id === orderId);
+    if (!canEditOrder(target)) {
+      setActionError({ orderId, message: "The window for editing this order has closed." });
+      return false;
+    }
+    if (!(await cancelOrder(orderId))) return false;
+
+    const { lines, warnings } = buildReorder(target, orderableMenu);
+    dispatch(
+      cartActions.replace(lines, [
+        `Order #${orderId} was cancelled so you can change it. Place it again when ready.`,
+        ...warnings,
+      ])
+    );
+    return true;
+  }
+
+  return { trackingLinks, cancellingOrderId, actionError, cancelOrder, editOrder };
+}
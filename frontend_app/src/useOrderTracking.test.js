@@ -0,0 +1,76 @@
+import { act, renderHook } from "@testing-library/react";
+import { ApiError } from "./apiClient";
+import { useOrderTracking } from "./useOrderTracking";
+
+const fries = { id: "fries", name: "Fries", price: 4, optionGroups: [] };
+
+function trackedOrder(overrides = {}) {
+  return {
+    id: "A1",
+    status: "Confirmed",
+    createdAt: Date.now(),
+    placedVia: "local",
+    paymentMethod: "card",
+    pricing: { total: 4 },
+    items: [{ itemId: "fries", name: "Fries", options: [], unitPrice: 4, quantity: 2 }],
+    ...overrides,
+  };
+}
+
+function renderTracking({ api = null, trackedOrders }) {
+  const dispatch = jest.fn();
+  const hook = renderHook(() => useOrderTracking({ api, wsUrl: "", trackedOrders, orderableMenu: [fries], dispatch }));
+  return { ...hook, dispatch };
+}
+
+test("a backend order the kitchen has started can't be cancelled, and says why", async () => {
+  const started = new ApiError({ kind: "http", status: 409, message: "Conflict" });
+  const api = { cancelOrder: jest.fn().mockRejectedValue(started), getOrderStatus: jest.fn() };
+  const { result, dispatch, unmount } = renderTracking({
+    api,
+    trackedOrders: [trackedOrder({ placedVia: "backend" })],
+  });
+
+  let cancelled = null;
+  await act(async () => {
+    cancelled = await result.current.cancelOrder("A1");
+  });
+  expect(cancelled).toBe(false);
+  expect(result.current.actionError).toEqual({ orderId: "A1", message: "The kitchen has already started this order." });
+  expect(dispatch).not.toHaveBeenCalledWith(expect.objectContaining({ type: "orders/cancelled" }));
+  unmount();
+});
+
+test("editing cancels the order and puts its items back in the cart", async () => {
+  const { result, dispatch, unmount } = renderTracking({ trackedOrders: [trackedOrder()] });
+
+  let edited = null;
+  await act(async () => {
+    edited = await result.current.editOrder("A1");
+  });
+  expect(edited).toBe(true);
+  expect(dispatch).toHaveBeenCalledWith(
+    expect.objectContaining({ type: "orders/cancelled", orderId: "A1", refund: expect.objectContaining({ amount: 4 }) })
+  );
+  expect(dispatch).toHaveBeenCalledWith(
+    expect.objectContaining({
+      type: "cart/replace",
+      lines: [expect.objectContaining({ itemId: "fries", quantity: 2 })],
+    })
+  );
+  unmount();
+});
+
+test("orders past the edit window stay as they are", async () => {
+  const { result, dispatch, unmount } = renderTracking({ trackedOrders: [trackedOrder({ createdAt: 0 })] });
+
+  await act(async () => {
+    expect(await result.current.editOrder("A1")).toBe(false);
+  });
+  expect(result.current.actionError).toEqual({
+    orderId: "A1",
+    message: "The window for editing this order has closed.",
+  });
+  expect(dispatch).not.toHaveBeenCalledWith(expect.objectContaining({ type: "cart/replace" }));
+  unmount();
+});
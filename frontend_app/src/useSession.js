@@ -0,0 +1,75 @@
+import { useEffect, useRef, useState } from "react";
+import { readSession, writeSession } from "./accounts";
+import { ApiError } from "./apiClient";
+import { checkoutActions } from "./store";
+
+// The signed-in customer ({ token, profile }) or null for guests, kept in this browser between visits.
+// `accounts` is createApiAccounts or createLocalAccounts (see accounts.js). Signing in prefills the
+// checkout form through `dispatch` and signing out clears it.
+// PUBLIC_INTERFACE
+export function useSession({ accounts, dispatch }) {
+  const [session, setSession] = useState(readSession);
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+  const customerId = session ? session.profile.id : null;
+
+  useEffect(() => {
+    writeSession(session);
+  }, [session]);
+
+  // Refresh a session restored from storage; an expired token signs the customer out.
+  useEffect(() => {
+    const restored = sessionRef.current;
+    if (!restored) return undefined;
+    let cancelled = false;
+    accounts.loadProfile(restored).then(
+      (profile) => {
+        if (!cancelled) setSession((prev) => (prev && prev.token === restored.token ? { ...prev, profile } : prev));
+      },
+      (err) => {
+        if (!cancelled && err instanceof ApiError && err.status === 401) setSession(null);
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [accounts]);
+
+  // Prefill checkout from the profile on sign-in, without overwriting anything already typed.
+  useEffect(() => {
+    if (!customerId) return;
+    dispatch(checkoutActions.prefill(sessionRef.current.profile));
+  }, [customerId, dispatch]);
+
+  // Resolves to an error message, or "" once signed in.
+  async function signIn(credentials) {
+    try {
+      setSession(await accounts.login(credentials));
+      return "";
+    } catch (err) {
+      return err.status === 401 ? "That email and password don’t match an account." : err.message;
+    }
+  }
+
+  function signOut() {
+    accounts.logout(sessionRef.current).catch(() => {});
+    setSession(null);
+    dispatch(checkoutActions.signedOut());
+  }
+
+  // Saves profile changes; resolves to an error message, or "" once saved.
+  async function saveProfile(changes) {
+    const current = sessionRef.current;
+    if (!current) return "Please sign in again.";
+    try {
+      const profile = await accounts.saveProfile(current, { ...current.profile, ...changes });
+      setSession((prev) => (prev && prev.token === current.token ? { ...prev, profile } : prev));
+      return "";
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 401) setSession(null);
+      return err.message || "Couldn’t save your profile.";
+    }
+  }
+
+  return { session, customerId, signIn, signOut, saveProfile };
+}
@@ -0,0 +1,40 @@
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { createLocalAccounts, readSession, writeSession } from "./accounts";
+import { ApiError } from "./apiClient";
+import { checkoutActions } from "./store";
+import { useSession } from "./useSession";
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test("signing in keeps the session in this browser and prefills checkout; signing out clears both", async () => {
+  const accounts = createLocalAccounts();
+  const dispatch = jest.fn();
+  const { result } = renderHook(() => useSession({ accounts, dispatch }));
+
+  let error = null;
+  await act(async () => {
+    error = await result.current.signIn({ email: "Sam@Example.com", password: "secret1" });
+  });
+  expect(error).toBe("");
+  expect(readSession().profile.email).toBe("sam@example.com");
+  expect(dispatch).toHaveBeenCalledWith(checkoutActions.prefill(result.current.session.profile));
+
+  act(() => result.current.signOut());
+  expect(result.current.customerId).toBeNull();
+  expect(readSession()).toBeNull();
+  expect(dispatch).toHaveBeenLastCalledWith(checkoutActions.signedOut());
+});
+
+test("a restored session whose token has expired is signed out", async () => {
+  writeSession({ token: "old", profile: { id: "u1", email: "sam@example.com" } });
+  const expired = new ApiError({ kind: "http", status: 401, message: "Please sign in again." });
+  const accounts = { ...createLocalAccounts(), loadProfile: () => Promise.reject(expired) };
+  const dispatch = jest.fn();
+  const { result } = renderHook(() => useSession({ accounts, dispatch }));
+
+  expect(result.current.customerId).toBe("u1");
+  await waitFor(() => expect(result.current.session).toBeNull());
+  expect(readSession()).toBeNull();
+});
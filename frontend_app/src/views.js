@@ -0,0 +1,38 @@
+// Which screen the app renders, picked with `?view=`: the customer app by default, or one of the staff
+// views. The staff views need a shared source of truth to be useful, so they only use a real backend.
+
+import { readSession } from "./accounts";
+import { createApiClient } from "./apiClient";
+
+// PUBLIC_INTERFACE
+export function currentView(search = window.location.search) {
+  const view = new URLSearchParams(search).get("view");
+  return view === "kitchen" || view === "admin" ? view : "customer";
+}
+
+// The in-browser mock API lives inside the customer tab, so with REACT_APP_API_MOCK the staff views work
+// on this browser's local data like demo mode does.
+//
+// Staff sign in through the customer app's account sign-in; requests carry that session's token. The
+// backend is what keeps customers out: it must only accept a staff account's token on the staff endpoints.
+// PUBLIC_INTERFACE
+export function staffApiFromEnv(env = process.env) {
+  const baseUrl = env.REACT_APP_API_BASE || env.REACT_APP_BACKEND_URL;
+  if (!baseUrl || env.REACT_APP_API_MOCK === "true") return null;
+  return createApiClient({
+    baseUrl,
+    getToken: () => {
+      const session = readSession();
+      return session ? session.token : null;
+    },
+  });
+}
+
+// Message for a failed staff request, e.g. `staffErrorMessage(err, "save the menu")`. A rejected sign-in
+// asks for a staff account instead of reporting a generic failure.
+// PUBLIC_INTERFACE
+export function staffErrorMessage(err, action) {
+  if (err.status === 401) return `Sign in as staff to ${action}: use Sign in on the customer page, then try again.`;
+  if (err.status === 403) return `The signed-in account isn’t a staff account, so it can’t ${action}.`;
+  return `Couldn’t ${action}: ${err.message}`;
+}
@@ -0,0 +1,36 @@
+import { writeSession } from "./accounts";
+import { ApiError } from "./apiClient";
+import { currentView, staffApiFromEnv, staffErrorMessage } from "./views";
+
+test("the view is chosen by query string", () => {
+  expect(currentView("?view=kitchen")).toBe("kitchen");
+  expect(currentView("?view=admin")).toBe("admin");
+  expect(currentView("?view=menu")).toBe("customer");
+  expect(currentView("")).toBe("customer");
+});
+
+test("staff views only use a real backend", () => {
+  expect(staffApiFromEnv({})).toBeNull();
+  expect(staffApiFromEnv({ REACT_APP_API_BASE: "http://api.test", REACT_APP_API_MOCK: "true" })).toBeNull();
+  expect(staffApiFromEnv({ REACT_APP_API_BASE: "http://api.test" }).baseUrl).toBe("http://api.test");
+});
+
+test("staff requests carry the token of whoever signed in on this browser", async () => {
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ items: [] }) }));
+  try {
+    writeSession({ token: "staff-token", profile: { id: "u1", email: "chef@example.com" } });
+    await staffApiFromEnv({ REACT_APP_API_BASE: "http://api.test" }).saveMenu({ items: [], categories: [] });
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe("Bearer staff-token");
+  } finally {
+    global.fetch = originalFetch;
+    window.localStorage.clear();
+  }
+});
+
+test("rejected staff sign-ins get their own message", () => {
+  const error = (status) => new ApiError({ kind: "http", status, message: "Request failed." });
+  expect(staffErrorMessage(error(401), "save the menu")).toMatch(/^Sign in as staff to save the menu/);
+  expect(staffErrorMessage(error(403), "save the menu")).toMatch(/isn’t a staff account/);
+  expect(staffErrorMessage(error(500), "save the menu")).toBe("Couldn’t save the menu: Request failed.");
+});